@@ -8,6 +8,14 @@ import registerTransportationRoutes from "./routes/transportation.js";
 import csrf from "csurf";
 import helmet from "helmet";
 import { runMigrations } from "../migrate.js";
+import registerApiTokenRoutes, {
+  apiTokenSession,
+  createApiTokenMiddleware,
+  skipCsrfForApiTokens,
+} from "./routes/api-tokens.js";
+import createIdempotencyMiddleware, {
+  IDEMPOTENCY_KEY_TTL_HOURS,
+} from "./routes/idempotency.js";
 
 const app = express();
 const PORT = process.env.PORT;
@@ -44,6 +52,84 @@ async function sendVerificationEmail(email, token) {
   });
 }
 
+async function sendPasswordResetEmail(email, token) {
+  const resetUrl = `${API_BASE}/reset-password.html?token=${token}`;
+
+  await transporter.sendMail({
+    from: process.env.SMTP_FROM,
+    to: email,
+    subject: "Reset your Trippino password",
+    html: `
+      <h1>Reset your password</h1>
+      <p>Click the link below to choose a new password. The link is valid for one hour and can be used once:</p>
+      <p><a href="${resetUrl}">Reset my password</a></p>
+      <p>If you didn't ask for a password reset, you can ignore this email.</p>
+    `,
+  });
+}
+
+async function sendEmailChangeConfirmation(email, token) {
+  const confirmUrl = `${API_BASE}/confirm-email.html?token=${token}`;
+
+  await transporter.sendMail({
+    from: process.env.SMTP_FROM,
+    to: email,
+    subject: "Confirm your new Trippino email",
+    html: `
+      <h1>Confirm your new email</h1>
+      <p>Click the link below to use this address for your Trippino account. The link is valid for 24 hours:</p>
+      <p><a href="${confirmUrl}">Confirm my new email</a></p>
+      <p>If you didn't ask for this change, you can ignore this email.</p>
+    `,
+  });
+}
+
+async function sendEmailChangedNotice(oldEmail, newEmail) {
+  await transporter.sendMail({
+    from: process.env.SMTP_FROM,
+    to: oldEmail,
+    subject: "Your Trippino email was changed",
+    html: `
+      <h1>Your email was changed</h1>
+      <p>Your Trippino account now uses ${newEmail} to sign in. This address will no longer receive emails about the account.</p>
+      <p>If you didn't make this change, contact us right away.</p>
+    `,
+  });
+}
+
+async function sendAccountUnlockEmail(email, token) {
+  const unlockUrl = `${API_BASE}/unlock-account.html?token=${token}`;
+
+  await transporter.sendMail({
+    from: process.env.SMTP_FROM,
+    to: email,
+    subject: "Failed sign-in attempts on your Trippino account",
+    html: `
+      <h1>Someone is trying to sign in</h1>
+      <p>There were several failed sign-in attempts on your Trippino account, so new attempts are delayed for a while.</p>
+      <p>If that was you, click the link below to lift the delay. The link is valid for one hour:</p>
+      <p><a href="${unlockUrl}">Unlock my account</a></p>
+      <p>If it wasn't you, your account is safe, but consider changing your password or turning on two-factor authentication.</p>
+    `,
+  });
+}
+
+async function sendMagicLinkEmail(email, token) {
+  const signInUrl = `${API_BASE}/magic-login.html?token=${token}`;
+
+  await transporter.sendMail({
+    from: process.env.SMTP_FROM,
+    to: email,
+    subject: "Your Trippino sign-in link",
+    html: `
+      <h1>Sign in to Trippino</h1>
+      <p>Click the link below to sign in. The link is valid for 15 minutes and can be used once:</p>
+      <p><a href="${signInUrl}">Sign me in</a></p>
+      <p>If you didn't ask for a sign-in link, you can ignore this email.</p>
+    `,
+  });
+}
+
 import path from "path";
 import sqlite3 from "sqlite3";
 import { fileURLToPath } from "url";
@@ -159,13 +245,16 @@ app.use(
 );
 
 // --- CSRF Protection ---
-const csrfProtection = csrf({
-  cookie: {
-    httpOnly: true,
-    sameSite: "strict",
-    secure: process.env.NODE_ENV === "production",
-  },
-});
+// Requests authenticated with a personal API token are exempt (see routes/api-tokens.js)
+const csrfProtection = skipCsrfForApiTokens(
+  csrf({
+    cookie: {
+      httpOnly: true,
+      sameSite: "strict",
+      secure: process.env.NODE_ENV === "production",
+    },
+  }),
+);
 
 // --- Rate Limiters ---
 
@@ -209,6 +298,48 @@ const passwordChangeLimiter = rateLimit({
   },
 });
 
+// Rate limiter for password reset (prevent email flooding and token guessing)
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 reset requests per hour per IP
+  message: {
+    error: "Too many password reset attempts, please try again later",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    return req.ip || req.connection.remoteAddress;
+  },
+});
+
+// Rate limiter for magic-link sign-in (prevent email flooding and token guessing)
+const magicLinkLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 sign-in link requests per hour per IP
+  message: {
+    error: "Too many sign-in link requests, please try again later",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    return req.ip || req.connection.remoteAddress;
+  },
+});
+
+// Rate limiter for resending verification emails (prevent email flooding)
+const resendVerificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // 3 resend requests per hour per IP
+  message: {
+    error: "Too many verification email requests, please try again later",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    return req.ip || req.connection.remoteAddress;
+  },
+});
+
 // General API rate limiter (prevent abuse of all endpoints)
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -226,6 +357,12 @@ const apiLimiter = rateLimit({
 // Apply general API rate limiter to all /api routes
 app.use("/api", apiLimiter);
 
+// Authenticate `Authorization: Bearer` personal API tokens
+app.use("/api", createApiTokenMiddleware({ run, get }));
+
+// Replay stored responses for retried requests carrying an Idempotency-Key
+app.use("/api", createIdempotencyMiddleware({ getSession, run, get }));
+
 // --- API Health Check ---
 app.get("/api/health", (req, res) => res.json({ ok: true }));
 
@@ -255,6 +392,7 @@ app.get("/api/verify-email", async (req, res) => {
       `UPDATE users SET verified = 1, verification_token = NULL WHERE id = ?`,
       [user.id],
     );
+    await recordAuditEvent(req, user.id, "email.verified");
 
     return res.json({ ok: true, message: "email verified successfully" });
   } catch (e) {
@@ -277,6 +415,42 @@ app.get("/config.js", (req, res) => {
 // --- Register trip and city routes in separate modules ---
 import registerTripRoutes from "./routes/trips.js";
 import registerCityRoutes from "./routes/cities.js";
+import registerStateRoutes, {
+  TOMBSTONE_RETENTION_DAYS,
+} from "./routes/state.js";
+import registerTripEventRoutes from "./routes/events.js";
+import registerPasswordResetRoutes from "./routes/password-reset.js";
+import registerSessionRoutes from "./routes/sessions.js";
+import registerTwoFactorRoutes from "./routes/two-factor.js";
+import registerLoginRoutes from "./routes/login.js";
+import registerPasskeyRoutes from "./routes/passkeys.js";
+import registerMagicLinkRoutes from "./routes/magic-link.js";
+import registerEmailChangeRoutes from "./routes/email-change.js";
+import registerOidcRoutes, { loadOidcConfig } from "./routes/oidc.js";
+import registerAdminRoutes from "./routes/admin.js";
+import registerAuditRoutes, {
+  createAuditLog,
+  AUDIT_RETENTION,
+} from "./routes/audit.js";
+import registerExportRoutes from "./routes/export.js";
+import {
+  checkPasswordPolicy,
+  passwordPolicyError,
+} from "./routes/password-policy.js";
+import registerAccountUnlockRoutes, {
+  LOGIN_FAILURE_RETENTION,
+} from "./routes/login-lockout.js";
+import {
+  sessionCookieOptions,
+  nextSessionExpiry,
+  isSessionExpired,
+} from "./routes/session-expiry.js";
+import registerVerificationRoutes, {
+  VERIFICATION_TOKEN_TTL,
+} from "./routes/verification.js";
+
+// Security events for GET /api/me/audit (see routes/audit.js)
+const recordAuditEvent = createAuditLog({ run });
 
 registerTripRoutes(app, {
   csrfProtection,
@@ -297,38 +471,187 @@ registerTransportationRoutes(app, {
   get,
   all,
 });
+registerStateRoutes(app, {
+  csrfProtection,
+  getSession,
+  run,
+  get,
+  all,
+});
+registerTripEventRoutes(app, {
+  getSession,
+  get,
+});
+registerPasswordResetRoutes(app, {
+  csrfProtection,
+  limiter: passwordResetLimiter,
+  run,
+  get,
+  sendPasswordResetEmail,
+  recordAuditEvent,
+});
+registerSessionRoutes(app, {
+  csrfProtection,
+  getSession,
+  run,
+  all,
+  recordAuditEvent,
+});
+registerTwoFactorRoutes(app, {
+  csrfProtection,
+  limiter: authLimiter,
+  getSession,
+  run,
+  get,
+  createSessionForUserId,
+  setSessionCookie,
+  recordAuditEvent,
+});
+// Passkeys are bound to the site's origin; localhost works for development
+registerPasskeyRoutes(app, {
+  csrfProtection,
+  limiter: authLimiter,
+  getSession,
+  run,
+  get,
+  all,
+  createSessionForUserId,
+  setSessionCookie,
+  recordAuditEvent,
+  rpId: new URL(API_BASE).hostname,
+  origin: new URL(API_BASE).origin,
+});
+registerMagicLinkRoutes(app, {
+  csrfProtection,
+  limiter: magicLinkLimiter,
+  run,
+  get,
+  sendMagicLinkEmail,
+  createSessionForUserId,
+  setSessionCookie,
+  recordAuditEvent,
+});
+registerOidcRoutes(app, {
+  config: loadOidcConfig(process.env, { apiBase: API_BASE }),
+  limiter: authLimiter,
+  run,
+  get,
+  createSessionForUserId,
+  setSessionCookie,
+  recordAuditEvent,
+});
+registerEmailChangeRoutes(app, {
+  csrfProtection,
+  limiter: passwordChangeLimiter,
+  getSession,
+  run,
+  get,
+  sendEmailChangeConfirmation,
+  sendEmailChangedNotice,
+  recordAuditEvent,
+});
+registerAccountUnlockRoutes(app, {
+  csrfProtection,
+  limiter: passwordResetLimiter,
+  run,
+  get,
+});
+registerApiTokenRoutes(app, {
+  csrfProtection,
+  getSession,
+  run,
+  get,
+  all,
+});
+registerAdminRoutes(app, {
+  csrfProtection,
+  getSession,
+  run,
+  get,
+  all,
+  recordAuditEvent,
+});
+registerAuditRoutes(app, {
+  getSession,
+  all,
+});
+registerExportRoutes(app, {
+  getSession,
+  get,
+  all,
+});
+registerVerificationRoutes(app, {
+  csrfProtection,
+  limiter: resendVerificationLimiter,
+  run,
+  get,
+  sendVerificationEmail,
+});
 
-async function createSessionForUserId(userId) {
+// Records the device (user agent, IP) so the user can recognise it in GET /api/sessions.
+// `remember` picks the longer "remember me" lifetimes (see routes/session-expiry.js).
+async function createSessionForUserId(userId, req, { remember = false } = {}) {
   const sid = uuidv4();
   const createdAt = Date.now();
-  await run(`INSERT INTO sessions(sid, user_id, createdAt) VALUES(?,?,?)`, [
-    sid,
-    userId,
-    createdAt,
-  ]);
+  const row = { createdAt, remember: remember ? 1 : 0 };
+  await run(
+    `INSERT INTO sessions(sid, user_id, createdAt, public_id, user_agent, ip, last_seen, remember, expires_at) VALUES(?,?,?,?,?,?,?,?,?)`,
+    [
+      sid,
+      userId,
+      createdAt,
+      uuidv4(),
+      req ? (req.get("User-Agent") || "").slice(0, 512) : null,
+      req ? req.ip : null,
+      createdAt,
+      row.remember,
+      nextSessionExpiry(row, createdAt),
+    ],
+  );
   return sid;
 }
 
-// Session configuration
-const SESSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
+// Idle and max expiry are enforced server-side; see sessionCookieOptions
+// for how long the browser keeps the cookie
+function setSessionCookie(res, sid, { remember = false } = {}) {
+  res.cookie(COOKIE_NAME, sid, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    ...sessionCookieOptions(remember),
+  });
+}
+
+// last_seen and the sliding expiry are written at most once per interval to avoid a write per request
+const SESSION_TOUCH_INTERVAL = 60 * 1000; // 1 minute
 
 async function getSession(req) {
+  if (req.apiToken) return apiTokenSession(req.apiToken);
   const sid = req.cookies[COOKIE_NAME];
   if (!sid) return null;
   const row = await get(
-    `SELECT s.sid, s.user_id, s.createdAt, u.email FROM sessions s JOIN users u ON u.id = s.user_id WHERE s.sid = ?`,
+    `SELECT s.sid, s.user_id, s.createdAt, s.last_seen, s.remember, s.expires_at, u.email, u.locked_at FROM sessions s JOIN users u ON u.id = s.user_id WHERE s.sid = ?`,
     [sid],
   );
   if (!row) return null;
 
-  // Check if session has expired
-  const sessionAge = Date.now() - row.createdAt;
-  if (sessionAge > SESSION_MAX_AGE) {
+  // Check if session has expired (idle too long or past its max lifetime),
+  // or the account was locked by an admin since
+  const now = Date.now();
+  if (isSessionExpired(row, now) || row.locked_at) {
     // Session expired, delete it
     await run(`DELETE FROM sessions WHERE sid = ?`, [sid]);
     return null;
   }
 
+  // Slide the expiry forward on use
+  if (!row.last_seen || now - row.last_seen > SESSION_TOUCH_INTERVAL) {
+    await run(
+      `UPDATE sessions SET last_seen = ?, ip = ?, expires_at = ? WHERE sid = ?`,
+      [now, req.ip, nextSessionExpiry(row, now), sid],
+    );
+  }
+
   return {
     sid: row.sid,
     createdAt: row.createdAt,
@@ -336,33 +659,15 @@ async function getSession(req) {
   };
 }
 
-// login route
-app.post("/api/login", csrfProtection, authLimiter, async (req, res) => {
-  try {
-    const { email, password } = req.body || {};
-    if (!email || !password)
-      return res.status(400).json({ error: "email and password required" });
-    const user = await get(
-      `SELECT id,email,password,verified FROM users WHERE email = ?`,
-      [email],
-    );
-    if (!user) return res.status(401).json({ error: "invalid credentials" });
-    const match = await bcrypt.compare(password, user.password);
-    if (!match) return res.status(401).json({ error: "invalid credentials" });
-    if (!user.verified)
-      return res.status(403).json({ error: "email not verified" });
-    const sid = await createSessionForUserId(user.id);
-    res.cookie(COOKIE_NAME, sid, {
-      httpOnly: true,
-      sameSite: "lax",
-      secure: process.env.NODE_ENV === "production",
-      maxAge: 7 * 24 * 60 * 60 * 1000,
-    });
-    return res.json({ ok: true, email: user.email });
-  } catch (e) {
-    console.error(e);
-    return res.status(500).json({ error: "server error" });
-  }
+registerLoginRoutes(app, {
+  csrfProtection,
+  limiter: authLimiter,
+  run,
+  get,
+  sendAccountUnlockEmail,
+  createSessionForUserId,
+  setSessionCookie,
+  recordAuditEvent,
 });
 
 // register route with email verification
@@ -373,6 +678,9 @@ app.post("/api/register", csrfProtection, registerLimiter, async (req, res) => {
       return res.status(400).json({ error: "email and password required" });
     if (password !== confirmPassword)
       return res.status(400).json({ error: "passwords do not match" });
+    const reasons = checkPasswordPolicy(password, { email });
+    if (reasons.length)
+      return res.status(400).json(passwordPolicyError(reasons));
 
     try {
       const hash = await bcrypt.hash(password, 10);
@@ -393,7 +701,7 @@ app.post("/api/register", csrfProtection, registerLimiter, async (req, res) => {
       } else {
         // Normal flow with email verification
         const verificationToken = uuidv4();
-        const verificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+        const verificationExpires = Date.now() + VERIFICATION_TOKEN_TTL;
 
         await run(
           `INSERT INTO users(email, password, verification_token, verification_expires) VALUES(?,?,?,?)`,
@@ -446,11 +754,11 @@ app.post(
           .json({ error: "current password and new password required" });
       }
 
-      // Validate new password length
-      if (newPassword.length < 6) {
-        return res
-          .status(400)
-          .json({ error: "new password must be at least 6 characters" });
+      const reasons = checkPasswordPolicy(newPassword, {
+        email: s.user.email,
+      });
+      if (reasons.length) {
+        return res.status(400).json(passwordPolicyError(reasons));
       }
 
       // Get user with current password hash
@@ -481,6 +789,9 @@ app.post(
       console.log(
         `[Password Change] Invalidated ${result.changes} session(s) for user ${user.id}`,
       );
+      await recordAuditEvent(req, user.id, "password.changed", {
+        sessionsRevoked: result.changes,
+      });
 
       // Clear current session cookie
       res.clearCookie(COOKIE_NAME, { httpOnly: true, sameSite: "lax" });
@@ -516,6 +827,7 @@ app.delete("/api/me", csrfProtection, async (req, res) => {
     // Delete user (CASCADE will handle sessions, trips, and cities)
     await run("PRAGMA foreign_keys = ON");
     await run(`DELETE FROM users WHERE id = ?`, [userId]);
+    await recordAuditEvent(req, userId, "account.deleted");
 
     // Clear session cookie
     res.clearCookie(COOKIE_NAME, { httpOnly: true, sameSite: "lax" });
@@ -528,186 +840,82 @@ app.delete("/api/me", csrfProtection, async (req, res) => {
   }
 });
 
-// Save state for the first time login into database tables
-app.post("/api/state/firstlogin", csrfProtection, async (req, res) => {
+// Background job: Clean up expired sessions every hour
+const CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
+setInterval(async () => {
   try {
-    const s = await getSession(req);
-    if (!s) return res.status(401).json({ error: "not authenticated" });
-    const userId = s.user.id;
-    const state = req.body && req.body.state;
-    // Log full nested structure (trips with their cities) for debugging
-    console.log(
-      "first login: saving state =>\n" + JSON.stringify(state, null, 2),
-    );
-    if (typeof state === "undefined")
-      return res.status(400).json({ error: "state missing in body" });
-    // Save state for first time login into trips and cities tables
-    const trips = state.trips || [];
-    for (const trip of trips) {
-      const result = await run(
-        `INSERT INTO trips(name, start_date, user_id) VALUES(?,?,?)`,
-        [trip.name, trip.start_date || null, userId],
+    const result = await run(`DELETE FROM sessions WHERE expires_at < ?`, [
+      Date.now(),
+    ]);
+    if (result.changes > 0) {
+      console.log(
+        `[Session Cleanup] Deleted ${result.changes} expired session(s)`,
       );
-      const tripId = result.lastID;
-      const cities = trip.cities || [];
-      let sort_order = 0;
-      for (const city of cities) {
-        await run(
-          `INSERT INTO cities(name, nights, notes, sort_order, trip_id) VALUES(?,?,?,?,?)`,
-          [city.name, city.nights || 0, city.notes, sort_order, tripId],
-        );
-        sort_order += 1;
-      }
     }
-    // return state with new Ids
-    const newState = {
-      trips: trips.map((trip) => ({
-        id: trip.id,
-        name: trip.name,
-        start_date: trip.start_date,
-        cities: trip.cities.map((city) => ({
-          id: city.id,
-          name: city.name,
-          nights: city.nights,
-          notes: city.notes,
-          sort_order: city.sort_order,
-        })),
-      })),
-    };
-    return res.json({ ok: true, state: newState });
   } catch (e) {
-    console.error(e);
-    return res.status(500).json({ error: "server error" });
+    console.error("[Session Cleanup] Error:", e);
   }
-});
-
-// Checks if user has trips, if yes will build a state from trips and cities tables and return it
-app.get("/api/state", async (req, res) => {
   try {
-    const s = await getSession(req);
-    if (!s) return res.status(401).json({ error: "not authenticated" });
-    const userId = s.user.id;
-
-    const trips = await all(
-      `SELECT id, name, start_date FROM trips WHERE user_id = ?`,
-      [userId],
+    const result = await run(
+      `DELETE FROM deleted_records WHERE deleted_at < datetime('now', ?)`,
+      [`-${TOMBSTONE_RETENTION_DAYS} days`],
     );
-    if (!trips || trips.length === 0) return res.json({ state: null });
-
-    const tripIds = trips.map((trip) => trip.id);
-
-    const cities = await all(
-      `SELECT id, name, nights, notes, latitude, longitude, sort_order, trip_id FROM cities WHERE trip_id IN (${tripIds
-        .map(() => "?")
-        .join(", ")})`,
-      tripIds,
-    );
-
-    const transportation = await all(
-      `SELECT id, trip_id, from_city_id, to_city_id, mode, notes FROM transportation WHERE trip_id IN (${tripIds
-        .map(() => "?")
-        .join(", ")})`,
-      tripIds,
-    );
-
-    const state = {
-      trips: trips.map((trip) => ({
-        id: trip.id,
-        name: trip.name,
-        start_date: trip.start_date,
-        cities: cities.filter((city) => city.trip_id === trip.id),
-        transportation: transportation.filter((t) => t.trip_id === trip.id),
-      })),
-    };
-    return res.json({ state });
+    if (result.changes > 0) {
+      console.log(
+        `[Tombstone Cleanup] Deleted ${result.changes} expired deletion record(s)`,
+      );
+    }
   } catch (e) {
-    console.error(e);
-    return res.status(500).json({ error: "server error" });
+    console.error("[Tombstone Cleanup] Error:", e);
   }
-});
-
-// Update a trip's name and/or start_date
-app.put("/api/trips/:id", csrfProtection, async (req, res) => {
   try {
-    const s = await getSession(req);
-    if (!s) return res.status(401).json({ error: "not authenticated" });
-
-    const tripId = parseInt(req.params.id, 10);
-    if (!tripId || !Number.isInteger(tripId)) {
-      return res.status(400).json({ error: "invalid trip id" });
-    }
-
-    const { name, start_date } = req.body || {};
-
-    const hasName = typeof name !== "undefined";
-    const hasStart = typeof start_date !== "undefined";
-    if (!hasName && !hasStart) {
-      return res.status(400).json({ error: "no fields to update" });
-    }
-
-    // Verify ownership
-    const trip = await get(
-      `SELECT id, name, start_date FROM trips WHERE id = ? AND user_id = ?`,
-      [tripId, s.user.id],
+    const cutoff = Date.now() - IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000;
+    const result = await run(
+      `DELETE FROM idempotency_keys WHERE created_at < ?`,
+      [cutoff],
     );
-    if (!trip) {
-      return res.status(404).json({ error: "trip not found or unauthorized" });
-    }
-
-    const sets = [];
-    const params = [];
-
-    if (hasName) {
-      if (!name || !String(name).trim()) {
-        return res.status(400).json({ error: "trip name required" });
-      }
-      sets.push("name = ?");
-      params.push(String(name).trim());
-    }
-
-    if (hasStart) {
-      let sd = start_date;
-      if (sd === "") sd = null; // normalize empty string to null
-      if (sd && !/^\d{4}-\d{2}-\d{2}$/.test(sd)) {
-        return res
-          .status(400)
-          .json({ error: "start_date must be in YYYY-MM-DD format" });
-      }
-      sets.push("start_date = ?");
-      params.push(sd || null);
+    if (result.changes > 0) {
+      console.log(
+        `[Idempotency Cleanup] Deleted ${result.changes} expired key(s)`,
+      );
     }
-
-    // Always bump updated_at
-    const sql = `UPDATE trips SET ${sets.join(", ")}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
-    params.push(tripId);
-    await run(sql, params);
-
-    const updated = await get(
-      `SELECT id, name, start_date FROM trips WHERE id = ? AND user_id = ?`,
-      [tripId, s.user.id],
-    );
-    return res.json({ ok: true, trip: updated });
   } catch (e) {
-    console.error(e);
-    return res.status(500).json({ error: "server error" });
+    console.error("[Idempotency Cleanup] Error:", e);
   }
-});
-
-// Background job: Clean up expired sessions every hour
-const CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
-setInterval(async () => {
   try {
-    const cutoff = Date.now() - SESSION_MAX_AGE;
-    const result = await run(`DELETE FROM sessions WHERE createdAt < ?`, [
-      cutoff,
+    await run(`DELETE FROM login_challenges WHERE expires_at < ?`, [
+      Date.now(),
     ]);
-    if (result.changes > 0) {
-      console.log(
-        `[Session Cleanup] Deleted ${result.changes} expired session(s)`,
-      );
-    }
   } catch (e) {
-    console.error("[Session Cleanup] Error:", e);
+    console.error("[Login Challenge Cleanup] Error:", e);
+  }
+  try {
+    await run(`DELETE FROM webauthn_challenges WHERE expires_at < ?`, [
+      Date.now(),
+    ]);
+  } catch (e) {
+    console.error("[Passkey Challenge Cleanup] Error:", e);
+  }
+  try {
+    await run(`DELETE FROM oidc_login_states WHERE expires_at < ?`, [
+      Date.now(),
+    ]);
+  } catch (e) {
+    console.error("[OIDC State Cleanup] Error:", e);
+  }
+  try {
+    await run(`DELETE FROM login_failures WHERE last_failed_at < ?`, [
+      Date.now() - LOGIN_FAILURE_RETENTION,
+    ]);
+  } catch (e) {
+    console.error("[Login Failure Cleanup] Error:", e);
+  }
+  try {
+    await run(`DELETE FROM audit_events WHERE created_at < ?`, [
+      Date.now() - AUDIT_RETENTION,
+    ]);
+  } catch (e) {
+    console.error("[Audit Cleanup] Error:", e);
   }
 }, CLEANUP_INTERVAL);
 
@@ -30,3 +30,14 @@ export async function logout() {
     // swallow to keep UX smooth; caller may still clear local state
   }
 }
+
+// Error text for a failed API response. Password policy errors carry a list
+// of reasons ({ code, message }), shown one per sentence.
+export function apiErrorMessage(json, fallback) {
+  if (json && Array.isArray(json.reasons) && json.reasons.length) {
+    return json.reasons
+      .map((r) => r.message.charAt(0).toUpperCase() + r.message.slice(1) + ".")
+      .join(" ");
+  }
+  return (json && json.error) || fallback;
+}
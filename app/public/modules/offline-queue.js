@@ -0,0 +1,59 @@
+// Offline write queue helper module (ESM)
+// Lets pages recognise writes the service worker queued while offline and
+// hear back when queued writes are replayed or fail.
+
+// True when the service worker accepted the request for later replay
+export function isQueued(res) {
+  return res.status === 202 && res.headers.get("X-Trippino-Queued") === "1";
+}
+
+// Temporary id for a queued create; the service worker swaps it for the
+// server id in later queued writes once the create is replayed.
+export async function queuedTempId(res) {
+  const data = await res
+    .clone()
+    .json()
+    .catch(() => null);
+  return data && data.queueId ? `tmp-${data.queueId}` : null;
+}
+
+function postToServiceWorker(message) {
+  const sw = navigator.serviceWorker && navigator.serviceWorker.controller;
+  if (sw) sw.postMessage(message);
+}
+
+// Subscribe to replay results. onFailure receives { method, url, status, error }
+// for every queued write the server rejected; each is reported once.
+export function watchOfflineQueue({ onReplayed, onFailure } = {}) {
+  if (!("serviceWorker" in navigator)) return;
+
+  const reportFailures = (failures) => {
+    if (!failures.length) return;
+    if (onFailure) failures.forEach((f) => onFailure(f));
+    postToServiceWorker({
+      type: "dismiss-offline-queue-failures",
+      ids: failures.map((f) => f.id),
+    });
+  };
+
+  navigator.serviceWorker.addEventListener("message", (event) => {
+    const data = event.data || {};
+    if (data.type === "offline-queue-replayed") {
+      if (onReplayed) onReplayed(data.replayed);
+    } else if (data.type === "offline-queue-failed") {
+      reportFailures([data.failure]);
+    } else if (data.type === "offline-queue-status") {
+      reportFailures(data.failures || []);
+    }
+  });
+
+  // Browsers without Background Sync replay when connectivity returns
+  window.addEventListener("online", () => {
+    postToServiceWorker({ type: "replay-offline-queue" });
+  });
+
+  // Pick up failures from replays that ran while no page was open
+  navigator.serviceWorker.ready.then(() => {
+    postToServiceWorker({ type: "offline-queue-status" });
+  });
+}
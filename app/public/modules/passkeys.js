@@ -0,0 +1,97 @@
+// Passkey helper module (ESM)
+// Runs the WebAuthn ceremonies against the server: options come from the API
+// as base64url JSON, the browser needs ArrayBuffers, and the resulting
+// credential goes back as base64url JSON.
+
+import { getCsrfToken } from "/modules/csrf.js";
+
+export function passkeysSupported() {
+  return !!(window.PublicKeyCredential && navigator.credentials);
+}
+
+function toBuffer(value) {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), (c) => c.charCodeAt(0)).buffer;
+}
+
+function toBase64url(buffer) {
+  let binary = "";
+  new Uint8Array(buffer).forEach((b) => (binary += String.fromCharCode(b)));
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+async function postJson(apiBase, path, body) {
+  const token = await getCsrfToken();
+  const res = await fetch(`${apiBase}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "CSRF-Token": token },
+    credentials: "include",
+    body: JSON.stringify(body || {}),
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || "Request failed");
+  return json;
+}
+
+function credentialToJSON(credential) {
+  const response = credential.response;
+  const json = {
+    id: credential.id,
+    rawId: toBase64url(credential.rawId),
+    type: credential.type,
+    response: { clientDataJSON: toBase64url(response.clientDataJSON) },
+  };
+  if (response.attestationObject) {
+    json.response.attestationObject = toBase64url(response.attestationObject);
+    json.response.transports = response.getTransports
+      ? response.getTransports()
+      : [];
+  } else {
+    json.response.authenticatorData = toBase64url(response.authenticatorData);
+    json.response.signature = toBase64url(response.signature);
+    json.response.userHandle = response.userHandle
+      ? toBase64url(response.userHandle)
+      : null;
+  }
+  return json;
+}
+
+// Create a passkey for the signed-in user. Resolves with the stored passkey.
+export async function registerPasskey(apiBase, name) {
+  const { publicKey } = await postJson(
+    apiBase,
+    "/api/passkeys/register/options",
+  );
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      ...publicKey,
+      challenge: toBuffer(publicKey.challenge),
+      user: { ...publicKey.user, id: toBuffer(publicKey.user.id) },
+      excludeCredentials: publicKey.excludeCredentials.map((c) => ({
+        ...c,
+        id: toBuffer(c.id),
+      })),
+    },
+  });
+  const { passkey } = await postJson(apiBase, "/api/passkeys/register", {
+    credential: credentialToJSON(credential),
+    name,
+  });
+  return passkey;
+}
+
+// Sign in with any passkey the browser has for this site
+export async function signInWithPasskey(apiBase, { remember = false } = {}) {
+  const { publicKey } = await postJson(apiBase, "/api/login/passkey/options");
+  const credential = await navigator.credentials.get({
+    publicKey: { ...publicKey, challenge: toBuffer(publicKey.challenge) },
+  });
+  return postJson(apiBase, "/api/login/passkey", {
+    credential: credentialToJSON(credential),
+    remember,
+  });
+}
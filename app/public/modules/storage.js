@@ -0,0 +1,160 @@
+// Local trip storage module (ESM)
+// Keeps appState in IndexedDB with one record per trip instead of a single
+// localStorage blob. Falls back to localStorage where IndexedDB is missing.
+//
+// Stores (schema version 1):
+//   trips: { id, position, ...trip } keyed by trip id; position keeps the list order
+//   meta:  { key, value }; "state" holds the remaining top-level appState fields
+
+const DB_NAME = "trippino-state";
+const DB_VERSION = 1;
+// Pre-IndexedDB storage, migrated on first open and then removed
+const LEGACY_STORAGE_KEY = "simpleTripPlanner_v1";
+
+let dbPromise = null;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function readLegacyState() {
+  try {
+    const raw = localStorage.getItem(LEGACY_STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.warn("legacy state unreadable", e);
+    return null;
+  }
+}
+
+function splitState(state) {
+  const { trips, ...rest } = state || {};
+  return { trips: Array.isArray(trips) ? trips : [], rest };
+}
+
+function writeState(tripsStore, metaStore, state) {
+  const { trips, rest } = splitState(state);
+  trips.forEach((trip, position) => tripsStore.put({ ...trip, position }));
+  metaStore.put({ key: "state", value: rest });
+}
+
+// Each step upgrades the schema from the previous version
+const MIGRATIONS = {
+  1: (db, tx) => {
+    const tripsStore = db.createObjectStore("trips", { keyPath: "id" });
+    const metaStore = db.createObjectStore("meta", { keyPath: "key" });
+    const legacy = readLegacyState();
+    if (legacy) writeState(tripsStore, metaStore, legacy);
+    tx.addEventListener("complete", () => {
+      if (legacy) localStorage.removeItem(LEGACY_STORAGE_KEY);
+    });
+  },
+};
+
+function openDb() {
+  if (!("indexedDB" in window)) return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        for (let v = event.oldVersion + 1; v <= DB_VERSION; v++) {
+          MIGRATIONS[v](request.result, request.transaction);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      // Private browsing modes may refuse IndexedDB; use localStorage then
+      request.onerror = () => {
+        console.warn("IndexedDB unavailable", request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// Load the whole appState ({ trips: [...] } when nothing is stored)
+export async function loadState() {
+  const db = await openDb();
+  if (!db) return readLegacyState() || { trips: [] };
+
+  const tx = db.transaction(["trips", "meta"], "readonly");
+  const [trips, meta] = await Promise.all([
+    requestToPromise(tx.objectStore("trips").getAll()),
+    requestToPromise(tx.objectStore("meta").get("state")),
+  ]);
+  trips.sort((a, b) => a.position - b.position);
+  return {
+    ...((meta && meta.value) || {}),
+    trips: trips.map(({ position, ...trip }) => trip),
+  };
+}
+
+// Replace the stored appState; trips missing from it are removed
+export async function saveState(state) {
+  try {
+    const db = await openDb();
+    if (!db) {
+      localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify(state));
+      return;
+    }
+    const tx = db.transaction(["trips", "meta"], "readwrite");
+    const tripsStore = tx.objectStore("trips");
+    tripsStore.clear();
+    writeState(tripsStore, tx.objectStore("meta"), state);
+    await transactionDone(tx);
+  } catch (e) {
+    console.warn("save failed", e);
+  }
+}
+
+// Write a single trip, keeping its place in the list
+export async function saveTrip(trip) {
+  try {
+    const db = await openDb();
+    if (!db) {
+      const state = readLegacyState() || { trips: [] };
+      const idx = state.trips.findIndex((t) => t.id === trip.id);
+      if (idx === -1) state.trips.push(trip);
+      else state.trips[idx] = trip;
+      localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify(state));
+      return;
+    }
+    const tx = db.transaction("trips", "readwrite");
+    const store = tx.objectStore("trips");
+    const stored = await requestToPromise(store.getAll());
+    const existing = stored.find((t) => t.id === trip.id);
+    const position = existing
+      ? existing.position
+      : stored.reduce((max, t) => Math.max(max, t.position), -1) + 1;
+    store.put({ ...trip, position });
+    await transactionDone(tx);
+  } catch (e) {
+    console.warn("save trip failed", e);
+  }
+}
+
+// Forget everything stored on this device (e.g. on logout)
+export async function clearState() {
+  try {
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+    const db = await openDb();
+    if (!db) return;
+    const tx = db.transaction(["trips", "meta"], "readwrite");
+    tx.objectStore("trips").clear();
+    tx.objectStore("meta").clear();
+    await transactionDone(tx);
+  } catch (e) {
+    console.warn("clear state failed", e);
+  }
+}
@@ -0,0 +1,39 @@
+// Live trip updates helper module (ESM)
+// Subscribes to the server's event stream for one trip so the page can patch
+// its view when the trip is edited from another device.
+
+const EVENT_TYPES = [
+  "trip.updated",
+  "trip.replaced",
+  "trip.deleted",
+  "city.created",
+  "city.updated",
+  "city.deleted",
+  "cities.reordered",
+  "transportation.updated",
+  "transportation.deleted",
+];
+
+// onEvent receives (type, data) for every change. Returns a function that
+// closes the stream. EventSource reconnects by itself after network errors.
+export function watchTripEvents(apiBase, tripId, onEvent) {
+  if (!("EventSource" in window)) return () => {};
+
+  const source = new EventSource(`${apiBase}/api/trips/${tripId}/events`, {
+    withCredentials: true,
+  });
+  EVENT_TYPES.forEach((type) => {
+    source.addEventListener(type, (event) => {
+      let data = null;
+      try {
+        data = JSON.parse(event.data);
+      } catch (e) {
+        console.warn("invalid trip event", e);
+        return;
+      }
+      onEvent(type, data);
+      if (type === "trip.deleted") source.close();
+    });
+  });
+  return () => source.close();
+}
@@ -22,16 +22,257 @@ self.addEventListener("install", (event) => {
   );
 });
 
+// --- Offline write queue ---
+// Trip mutations made while offline are stored in IndexedDB and replayed in
+// order when connectivity returns (Background Sync, or a message from the page
+// on the "online" event where Background Sync is not supported).
+const QUEUE_DB_NAME = "trippino-offline";
+const QUEUE_DB_VERSION = 1;
+const SYNC_TAG = "trippino-offline-queue";
+
+let queueDbPromise = null;
+
+function openQueueDb() {
+  if (!queueDbPromise) {
+    queueDbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(QUEUE_DB_NAME, QUEUE_DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains("queue")) {
+          db.createObjectStore("queue", { keyPath: "id", autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains("failed")) {
+          db.createObjectStore("failed", { keyPath: "id" });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        queueDbPromise = null;
+        reject(req.error);
+      };
+    });
+  }
+  return queueDbPromise;
+}
+
+// Run a single operation on an object store and resolve with its result
+async function queueOp(storeName, mode, op) {
+  const db = await openQueueDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = op(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Writes to an existing trip (its cities, nights, transportation...) can be queued.
+// Creating a trip stays online-only.
+function isQueueableMutation(request, url) {
+  if (!["POST", "PUT", "DELETE"].includes(request.method)) return false;
+  return /^\/api\/trips\/[^/]+(\/.*)?$/.test(url.pathname);
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({
+    type: "window",
+    includeUncontrolled: true,
+  });
+  clients.forEach((client) => client.postMessage(message));
+}
+
+async function requestReplay() {
+  if (self.registration.sync) {
+    try {
+      await self.registration.sync.register(SYNC_TAG);
+      return;
+    } catch (err) {
+      console.warn("Background Sync registration failed:", err);
+    }
+  }
+  if (navigator.onLine) replayQueue().catch(() => {});
+}
+
+async function sendOrQueue(request) {
+  const body =
+    request.method === "DELETE" ? null : await request.clone().text();
+
+  // Never overtake writes that are already waiting in the queue
+  const pending = await queueOp("queue", "readonly", (store) => store.count());
+  if (pending === 0) {
+    try {
+      return await fetch(request);
+    } catch (err) {
+      // offline: fall through and queue the write
+    }
+  }
+
+  const queueId = await queueOp("queue", "readwrite", (store) =>
+    store.add({
+      url: request.url,
+      method: request.method,
+      headers: Object.fromEntries(request.headers.entries()),
+      body,
+      queuedAt: Date.now(),
+    }),
+  );
+  await requestReplay();
+
+  return new Response(JSON.stringify({ ok: true, queued: true, queueId }), {
+    status: 202,
+    headers: { "Content-Type": "application/json", "X-Trippino-Queued": "1" },
+  });
+}
+
+// After a queued write succeeds, fix up the writes queued behind it:
+// - temporary ids ("tmp-<queueId>") of a queued create become the server id
+// - a chained If-Match on the same resource moves to the new ETag
+async function rewriteQueuedEntries(entry, response) {
+  let serverId = null;
+  if (entry.method === "POST") {
+    const data = await response
+      .clone()
+      .json()
+      .catch(() => null);
+    if (data && data.id) serverId = data.id;
+  }
+  const etag = response.headers.get("ETag");
+  const ifMatch = entry.headers["if-match"];
+  if (!serverId && !(etag && ifMatch)) return;
+
+  const tempId = `tmp-${entry.id}`;
+  const tempIdInPath = new RegExp(`/${tempId}(?=/|\\?|$)`, "g");
+  const rest = await queueOp("queue", "readonly", (store) => store.getAll());
+  for (const next of rest) {
+    let changed = false;
+    if (serverId) {
+      const url = next.url.replace(tempIdInPath, `/${serverId}`);
+      const body = next.body
+        ? next.body.split(`"${tempId}"`).join(String(serverId))
+        : next.body;
+      changed = url !== next.url || body !== next.body;
+      next.url = url;
+      next.body = body;
+    }
+    if (
+      etag &&
+      ifMatch &&
+      next.url === entry.url &&
+      next.headers["if-match"] === ifMatch
+    ) {
+      next.headers["if-match"] = etag;
+      changed = true;
+    }
+    if (changed)
+      await queueOp("queue", "readwrite", (store) => store.put(next));
+  }
+}
+
+async function drainQueue() {
+  let replayed = 0;
+  for (;;) {
+    const [entry] = await queueOp("queue", "readonly", (store) =>
+      store.getAll(null, 1),
+    );
+    if (!entry) break;
+
+    // A network error propagates so Background Sync retries later
+    const response = await fetch(entry.url, {
+      method: entry.method,
+      headers: entry.headers,
+      body: entry.body,
+      credentials: "include",
+    });
+    await queueOp("queue", "readwrite", (store) => store.delete(entry.id));
+
+    if (response.ok) {
+      replayed += 1;
+      await rewriteQueuedEntries(entry, response);
+    } else {
+      // Keep failed writes so the UI can surface them instead of dropping them
+      const data = await response.json().catch(() => ({}));
+      const failure = {
+        id: entry.id,
+        method: entry.method,
+        url: entry.url,
+        body: entry.body,
+        status: response.status,
+        error: data.error || response.statusText,
+        failedAt: Date.now(),
+      };
+      await queueOp("failed", "readwrite", (store) => store.put(failure));
+      await notifyClients({ type: "offline-queue-failed", failure });
+    }
+  }
+  if (replayed > 0) {
+    await notifyClients({ type: "offline-queue-replayed", replayed });
+  }
+}
+
+let replaying = null;
+
+function replayQueue() {
+  if (!replaying) {
+    replaying = drainQueue().finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+}
+
+async function reportQueueStatus(client) {
+  const pending = await queueOp("queue", "readonly", (store) => store.count());
+  const failures = await queueOp("failed", "readonly", (store) =>
+    store.getAll(),
+  );
+  client.postMessage({ type: "offline-queue-status", pending, failures });
+}
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(replayQueue());
+  }
+});
+
+self.addEventListener("message", (event) => {
+  const data = event.data || {};
+  if (data.type === "replay-offline-queue") {
+    event.waitUntil(replayQueue().catch(() => {}));
+  } else if (data.type === "offline-queue-status" && event.source) {
+    event.waitUntil(reportQueueStatus(event.source));
+  } else if (data.type === "dismiss-offline-queue-failures") {
+    const ids = Array.isArray(data.ids) ? data.ids : [];
+    event.waitUntil(
+      Promise.all(
+        ids.map((id) =>
+          queueOp("failed", "readwrite", (store) => store.delete(id)),
+        ),
+      ),
+    );
+  }
+});
+
 // Fetch event - serve from cache when offline
 self.addEventListener("fetch", (event) => {
   const url = new URL(event.request.url);
 
-  // Only handle same-origin requests and GET requests
-  if (url.origin !== location.origin || event.request.method !== "GET") {
+  // Only handle same-origin requests
+  if (url.origin !== location.origin) {
+    return;
+  }
+
+  // Queue trip mutations that cannot reach the server
+  if (isQueueableMutation(event.request, url)) {
+    event.respondWith(sendOrQueue(event.request));
+    return;
+  }
+
+  // Only GET requests are served from cache
+  if (event.request.method !== "GET") {
     return;
   }
 
-  // Skip API calls - they should fail naturally when offline
+  // Skip API reads - they should fail naturally when offline
   if (url.pathname.startsWith("/api/")) {
     return;
   }
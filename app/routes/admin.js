@@ -0,0 +1,243 @@
+// Admin routes for operators: find users, verify, lock and unlock accounts,
+// revoke sessions and delete accounts. Only users with users.is_admin = 1 get
+// in; the flag is set with ops/set_admin.sh, not through the API.
+
+import { hashLoginEmail } from "./login-lockout.js";
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Per-user counts shown next to each account
+const USER_COLUMNS = `u.id, u.email, u.verified, u.is_admin, u.locked_at, u.totp_enabled,
+  (SELECT COUNT(*) FROM trips t WHERE t.user_id = u.id) AS trip_count,
+  (SELECT COUNT(*) FROM sessions s WHERE s.user_id = u.id) AS session_count`;
+
+// Escape LIKE wildcards so a search for "a_b" matches only that text
+function likePattern(text) {
+  return `%${String(text).replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+}
+
+function registerAdminRoutes(app, deps) {
+  const {
+    csrfProtection,
+    getSession,
+    run,
+    get,
+    all,
+    recordAuditEvent = async () => {},
+  } = deps;
+
+  // The session of an admin, or null after sending 401/403
+  async function requireAdmin(req, res) {
+    const s = await getSession(req);
+    if (!s) {
+      res.status(401).json({ error: "not authenticated" });
+      return null;
+    }
+    const row = await get(`SELECT is_admin FROM users WHERE id = ?`, [
+      s.user.id,
+    ]);
+    if (!row || !row.is_admin) {
+      res.status(403).json({ error: "admin only" });
+      return null;
+    }
+    return s;
+  }
+
+  // The target account of /api/admin/users/:id, or null after sending 404
+  async function findUser(req, res) {
+    const user = await get(
+      `SELECT ${USER_COLUMNS} FROM users u WHERE u.id = ?`,
+      [req.params.id],
+    );
+    if (!user) res.status(404).json({ error: "user not found" });
+    return user || null;
+  }
+
+  // List users, newest first, optionally filtered by a piece of the email
+  app.get("/api/admin/users", async (req, res) => {
+    try {
+      const s = await requireAdmin(req, res);
+      if (!s) return;
+
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+        MAX_PAGE_SIZE,
+      );
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      const q = String(req.query.q || "").trim();
+      const where = q ? `WHERE u.email LIKE ? ESCAPE '\\'` : "";
+      const params = q ? [likePattern(q)] : [];
+
+      const { total } = await get(
+        `SELECT COUNT(*) AS total FROM users u ${where}`,
+        params,
+      );
+      const users = await all(
+        `SELECT ${USER_COLUMNS} FROM users u ${where} ORDER BY u.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset],
+      );
+      return res.json({ users, total, limit, offset });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // One user with everything attached to the account counted
+  app.get("/api/admin/users/:id", async (req, res) => {
+    try {
+      const s = await requireAdmin(req, res);
+      if (!s) return;
+      const user = await findUser(req, res);
+      if (!user) return;
+
+      const counts = await get(
+        `SELECT
+          (SELECT COUNT(*) FROM cities c JOIN trips t ON t.id = c.trip_id WHERE t.user_id = ?) AS city_count,
+          (SELECT COUNT(*) FROM passkeys WHERE user_id = ?) AS passkey_count,
+          (SELECT COUNT(*) FROM api_tokens WHERE user_id = ?) AS api_token_count`,
+        [user.id, user.id, user.id],
+      );
+      return res.json({ user: { ...user, ...counts } });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Mark the email as verified, e.g. when the verification mail never arrived
+  app.post("/api/admin/users/:id/verify", csrfProtection, async (req, res) => {
+    try {
+      const s = await requireAdmin(req, res);
+      if (!s) return;
+      const user = await findUser(req, res);
+      if (!user) return;
+
+      await run(
+        `UPDATE users SET verified = 1, verification_token = NULL, verification_expires = NULL WHERE id = ?`,
+        [user.id],
+      );
+      console.log(`[Admin] User ${s.user.id} verified user ${user.id}`);
+      await recordAuditEvent(req, user.id, "account.verified", {
+        adminId: s.user.id,
+      });
+      return res.json({ ok: true });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Lock an account: every way of signing in is refused and the user is
+  // signed out everywhere until an admin unlocks it
+  app.post("/api/admin/users/:id/lock", csrfProtection, async (req, res) => {
+    try {
+      const s = await requireAdmin(req, res);
+      if (!s) return;
+      const user = await findUser(req, res);
+      if (!user) return;
+      if (user.id === s.user.id) {
+        return res.status(400).json({ error: "cannot lock your own account" });
+      }
+
+      await run(
+        `UPDATE users SET locked_at = COALESCE(locked_at, ?), magic_token = NULL, magic_expires = NULL WHERE id = ?`,
+        [Date.now(), user.id],
+      );
+      await run(`DELETE FROM sessions WHERE user_id = ?`, [user.id]);
+      await run(`DELETE FROM login_challenges WHERE user_id = ?`, [user.id]);
+      console.log(`[Admin] User ${s.user.id} locked user ${user.id}`);
+      await recordAuditEvent(req, user.id, "account.locked", {
+        adminId: s.user.id,
+      });
+      return res.json({ ok: true });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Unlock an account; this also lifts a lockout from failed logins
+  app.post("/api/admin/users/:id/unlock", csrfProtection, async (req, res) => {
+    try {
+      const s = await requireAdmin(req, res);
+      if (!s) return;
+      const user = await findUser(req, res);
+      if (!user) return;
+
+      await run(
+        `UPDATE users SET locked_at = NULL, unlock_token = NULL, unlock_expires = NULL WHERE id = ?`,
+        [user.id],
+      );
+      await run(`DELETE FROM login_failures WHERE email_hash = ?`, [
+        hashLoginEmail(user.email),
+      ]);
+      console.log(`[Admin] User ${s.user.id} unlocked user ${user.id}`);
+      await recordAuditEvent(req, user.id, "account.unlocked", {
+        adminId: s.user.id,
+      });
+      return res.json({ ok: true });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Sign the user out on every device
+  app.delete(
+    "/api/admin/users/:id/sessions",
+    csrfProtection,
+    async (req, res) => {
+      try {
+        const s = await requireAdmin(req, res);
+        if (!s) return;
+        const user = await findUser(req, res);
+        if (!user) return;
+
+        const result = await run(`DELETE FROM sessions WHERE user_id = ?`, [
+          user.id,
+        ]);
+        console.log(
+          `[Admin] User ${s.user.id} revoked ${result.changes} session(s) of user ${user.id}`,
+        );
+        await recordAuditEvent(req, user.id, "session.revoked", {
+          count: result.changes,
+          adminId: s.user.id,
+        });
+        return res.json({ ok: true, revoked: result.changes });
+      } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "server error" });
+      }
+    },
+  );
+
+  // Delete the account and, through the foreign keys, all of its data
+  app.delete("/api/admin/users/:id", csrfProtection, async (req, res) => {
+    try {
+      const s = await requireAdmin(req, res);
+      if (!s) return;
+      const user = await findUser(req, res);
+      if (!user) return;
+      if (user.id === s.user.id) {
+        return res.status(400).json({
+          error: "delete your own account from the profile page",
+        });
+      }
+
+      await run("PRAGMA foreign_keys = ON");
+      await run(`DELETE FROM users WHERE id = ?`, [user.id]);
+      console.log(`[Admin] User ${s.user.id} deleted user ${user.id}`);
+      await recordAuditEvent(req, user.id, "account.deleted", {
+        adminId: s.user.id,
+      });
+      return res.json({ ok: true });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+}
+
+export default registerAdminRoutes;
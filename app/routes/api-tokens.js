@@ -0,0 +1,211 @@
+// Personal API tokens for scripts: `Authorization: Bearer trp_...` instead of
+// the session cookie. Tokens are created on the profile page, stored hashed,
+// scoped to read-only or read-write access, and only reach the trips API.
+
+import crypto from "crypto";
+
+export const API_TOKEN_PREFIX = "trp_";
+export const API_TOKEN_SCOPES = ["read", "write"];
+const MAX_API_TOKENS = 20;
+const MAX_TOKEN_NAME_LENGTH = 100;
+// last_used_at is written at most once per interval, like session last_seen
+const TOKEN_TOUCH_INTERVAL = 60 * 1000; // 1 minute
+const READ_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+// Endpoints a token may call; account settings stay cookie-only so a leaked
+// token cannot change the password, create more tokens or delete the account
+const API_TOKEN_ROUTES = [
+  { pattern: /^\/api\/trips(\/|$)/ },
+  { pattern: /^\/api\/state(\/|$)/ },
+  { pattern: /^\/api\/me$/, methods: READ_METHODS },
+];
+
+export function hashApiToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function tokenAllowedFor(req) {
+  const path = req.baseUrl + req.path;
+  return API_TOKEN_ROUTES.some(
+    (route) =>
+      route.pattern.test(path) &&
+      (!route.methods || route.methods.has(req.method)),
+  );
+}
+
+function bearerToken(req) {
+  const header = req.get("Authorization") || "";
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  return match ? match[1] : null;
+}
+
+// Mounted on /api before the routes: authenticates bearer tokens and sets
+// req.apiToken, which getSession and csrfProtection look at
+export function createApiTokenMiddleware(deps) {
+  const { run, get } = deps;
+
+  return async function apiToken(req, res, next) {
+    const token = bearerToken(req);
+    if (!token) return next();
+
+    try {
+      const row = await get(
+        `SELECT t.id, t.user_id, t.scope, t.created_at, t.last_used_at, u.email, u.locked_at FROM api_tokens t JOIN users u ON u.id = t.user_id WHERE t.token_hash = ?`,
+        [hashApiToken(token)],
+      );
+      if (!row) return res.status(401).json({ error: "invalid api token" });
+      if (row.locked_at) {
+        return res.status(403).json({ error: "account is locked" });
+      }
+      if (!tokenAllowedFor(req)) {
+        return res
+          .status(403)
+          .json({ error: "api tokens cannot be used for this endpoint" });
+      }
+      if (row.scope !== "write" && !READ_METHODS.has(req.method)) {
+        return res.status(403).json({ error: "api token is read-only" });
+      }
+
+      const now = Date.now();
+      if (!row.last_used_at || now - row.last_used_at > TOKEN_TOUCH_INTERVAL) {
+        await run(`UPDATE api_tokens SET last_used_at = ? WHERE id = ?`, [
+          now,
+          row.id,
+        ]);
+      }
+
+      req.apiToken = {
+        id: row.id,
+        scope: row.scope,
+        createdAt: row.created_at,
+        user: { id: row.user_id, email: row.email },
+      };
+      return next();
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  };
+}
+
+// The getSession result for a token request. There is no session id, so
+// session-bound routes (which tokens cannot reach) never see one.
+export function apiTokenSession(apiToken) {
+  return {
+    sid: null,
+    createdAt: apiToken.createdAt,
+    user: apiToken.user,
+    apiToken: { id: apiToken.id, scope: apiToken.scope },
+  };
+}
+
+// Token requests carry no cookies, so there is nothing to forge: skip CSRF
+export function skipCsrfForApiTokens(csrfMiddleware) {
+  return (req, res, next) =>
+    req.apiToken ? next() : csrfMiddleware(req, res, next);
+}
+
+function registerApiTokenRoutes(app, deps) {
+  const { csrfProtection, getSession, run, get, all } = deps;
+
+  // List the user's tokens; the secret itself is never shown again
+  app.get("/api/tokens", async (req, res) => {
+    try {
+      const s = await getSession(req);
+      if (!s) return res.status(401).json({ error: "not authenticated" });
+
+      const tokens = await all(
+        `SELECT id, name, scope, prefix, created_at, last_used_at FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC`,
+        [s.user.id],
+      );
+      return res.json({ tokens });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Create a token; the plain value is only in this response
+  app.post("/api/tokens", csrfProtection, async (req, res) => {
+    try {
+      const s = await getSession(req);
+      if (!s) return res.status(401).json({ error: "not authenticated" });
+
+      const { name, scope } = req.body || {};
+      const label = String(name || "").trim();
+      if (!label) return res.status(400).json({ error: "token name required" });
+      if (label.length > MAX_TOKEN_NAME_LENGTH) {
+        return res.status(400).json({
+          error: `token name must be at most ${MAX_TOKEN_NAME_LENGTH} characters`,
+        });
+      }
+      if (!API_TOKEN_SCOPES.includes(scope)) {
+        return res.status(400).json({
+          error: `scope must be one of: ${API_TOKEN_SCOPES.join(", ")}`,
+        });
+      }
+
+      const { count } = await get(
+        `SELECT COUNT(*) AS count FROM api_tokens WHERE user_id = ?`,
+        [s.user.id],
+      );
+      if (count >= MAX_API_TOKENS) {
+        return res.status(400).json({
+          error: `at most ${MAX_API_TOKENS} tokens per account, revoke one first`,
+        });
+      }
+
+      const token =
+        API_TOKEN_PREFIX + crypto.randomBytes(32).toString("base64url");
+      const prefix = token.slice(0, API_TOKEN_PREFIX.length + 6);
+      const createdAt = Date.now();
+      const result = await run(
+        `INSERT INTO api_tokens(user_id, name, scope, token_hash, prefix, created_at) VALUES(?,?,?,?,?,?)`,
+        [s.user.id, label, scope, hashApiToken(token), prefix, createdAt],
+      );
+      console.log(
+        `[API Tokens] Created ${scope} token ${result.lastID} for user ${s.user.id}`,
+      );
+      return res.status(201).json({
+        ok: true,
+        token,
+        apiToken: {
+          id: result.lastID,
+          name: label,
+          scope,
+          prefix,
+          created_at: createdAt,
+          last_used_at: null,
+        },
+      });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Revoke a token; requests using it fail right away
+  app.delete("/api/tokens/:id", csrfProtection, async (req, res) => {
+    try {
+      const s = await getSession(req);
+      if (!s) return res.status(401).json({ error: "not authenticated" });
+
+      const result = await run(
+        `DELETE FROM api_tokens WHERE id = ? AND user_id = ?`,
+        [req.params.id, s.user.id],
+      );
+      if (result.changes === 0) {
+        return res.status(404).json({ error: "token not found" });
+      }
+      console.log(
+        `[API Tokens] Revoked token ${req.params.id} for user ${s.user.id}`,
+      );
+      return res.json({ ok: true });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+}
+
+export default registerApiTokenRoutes;
@@ -0,0 +1,82 @@
+// Security audit log: sign-ins, password, email and 2FA changes, revoked
+// sessions, admin actions, account deletion and email verification are
+// written to audit_events, and users can read their own history with
+// GET /api/me/audit.
+
+// Events older than this are removed by the hourly cleanup in app.js
+export const AUDIT_RETENTION = 90 * 24 * 60 * 60 * 1000; // 90 days
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Returns recordAuditEvent(req, userId, type, details). Types in use:
+// login.succeeded and login.failed (details.method: password, two_factor,
+// passkey, magic_link or oidc), password.changed, password.reset,
+// session.revoked, account.deleted, email.verified, email.changed,
+// totp.enabled and totp.disabled, plus account.verified, account.locked and
+// account.unlocked from the admin API. Admin actions carry details.adminId.
+// A failed write is only logged: the audit log must never break the action
+// it records.
+export function createAuditLog(deps) {
+  const { run } = deps;
+
+  return async function recordAuditEvent(req, userId, type, details = null) {
+    try {
+      await run(
+        `INSERT INTO audit_events(user_id, type, ip, user_agent, details, created_at) VALUES(?,?,?,?,?,?)`,
+        [
+          userId,
+          type,
+          req ? req.ip : null,
+          req ? (req.get("User-Agent") || "").slice(0, 512) : null,
+          details ? JSON.stringify(details) : null,
+          Date.now(),
+        ],
+      );
+    } catch (e) {
+      console.error(`[Audit] Failed to record ${type}:`, e);
+    }
+  };
+}
+
+// Details as shown to the user: which admin acted stays internal, the user
+// only learns that an administrator did
+export function userAuditDetails(details) {
+  if (!details) return null;
+  const parsed = JSON.parse(details);
+  if (!("adminId" in parsed)) return parsed;
+  const { adminId, ...rest } = parsed;
+  return { ...rest, byAdmin: true };
+}
+
+function registerAuditRoutes(app, deps) {
+  const { getSession, all } = deps;
+
+  // The user's own events, newest first. Pass the last id seen as `before`
+  // to get the next page.
+  app.get("/api/me/audit", async (req, res) => {
+    try {
+      const s = await getSession(req);
+      if (!s) return res.status(401).json({ error: "not authenticated" });
+
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+        MAX_PAGE_SIZE,
+      );
+      const before = parseInt(req.query.before, 10);
+      const rows = await all(
+        `SELECT id, type, ip, user_agent, details, created_at FROM audit_events WHERE user_id = ? ${before ? "AND id < ?" : ""} ORDER BY id DESC LIMIT ?`,
+        before ? [s.user.id, before, limit] : [s.user.id, limit],
+      );
+      const events = rows.map((row) => ({
+        ...row,
+        details: userAuditDetails(row.details),
+      }));
+      return res.json({ events });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+}
+
+export default registerAuditRoutes;
@@ -3,6 +3,10 @@
  * Handles city CRUD operations within trips
  */
 
+import { v4 as uuidv4, validate as uuidValidate } from "uuid";
+import { etagFor, isStaleWrite } from "./etag.js";
+import { publishTripEvent } from "./events.js";
+
 function registerCityRoutes(app, deps) {
   const { csrfProtection, getSession, run, get } = deps;
 
@@ -29,11 +33,34 @@ function registerCityRoutes(app, deps) {
           .json({ error: "trip not found or unauthorized" });
       }
 
-      const { name, nights, notes, latitude, longitude } = req.body || {};
+      const { name, nights, notes, latitude, longitude, uuid } = req.body || {};
       if (!name || !String(name).trim()) {
         return res.status(400).json({ error: "city name required" });
       }
 
+      if (typeof uuid !== "undefined" && !uuidValidate(String(uuid))) {
+        return res.status(400).json({ error: "uuid must be a valid UUID" });
+      }
+      let cityUuid = uuid ? String(uuid).toLowerCase() : uuidv4();
+
+      // The client uuid is the idempotency key: a replayed create returns the existing city
+      const existing = await get(
+        `SELECT c.id, c.uuid, c.name, c.nights, c.notes, c.latitude, c.longitude, c.sort_order, c.trip_id, c.version, t.user_id AS owner_id FROM cities c JOIN trips t ON t.id = c.trip_id WHERE c.uuid = ?`,
+        [cityUuid],
+      );
+      // A uuid from another account is replaced, like for trips
+      if (existing && existing.owner_id !== s.user.id) {
+        cityUuid = uuidv4();
+      } else if (existing) {
+        if (existing.trip_id !== tripId) {
+          return res.status(409).json({ error: "uuid already in use" });
+        }
+        const { owner_id, ...city } = existing;
+        res.set("ETag", etagFor(city));
+        res.status(201);
+        return res.json(city);
+      }
+
       let n =
         typeof nights === "undefined" || nights === null ? 1 : Number(nights);
       if (!Number.isFinite(n) || n < 0) {
@@ -73,7 +100,7 @@ function registerCityRoutes(app, deps) {
       const sortOrder = (maxSortOrder.max ?? -1) + 1;
 
       const result = await run(
-        `INSERT INTO cities(name, nights, notes, latitude, longitude, sort_order, trip_id) VALUES(?,?,?,?,?,?,?)`,
+        `INSERT INTO cities(name, nights, notes, latitude, longitude, sort_order, trip_id, uuid) VALUES(?,?,?,?,?,?,?,?)`,
         [
           String(name).trim(),
           n,
@@ -82,14 +109,17 @@ function registerCityRoutes(app, deps) {
           lon,
           sortOrder,
           tripId,
+          cityUuid,
         ],
       );
 
       const city = await get(
-        `SELECT id, name, nights, notes, latitude, longitude, sort_order, trip_id FROM cities WHERE id = ?`,
+        `SELECT id, uuid, name, nights, notes, latitude, longitude, sort_order, trip_id, version FROM cities WHERE id = ?`,
         [result.lastID],
       );
+      publishTripEvent(tripId, "city.created", { city });
       // Return 201 Created status
+      res.set("ETag", etagFor(city));
       res.status(201);
       return res.json(city);
     } catch (e) {
@@ -130,7 +160,7 @@ function registerCityRoutes(app, deps) {
 
         // Verify the city belongs to the trip
         const city = await get(
-          `SELECT id, name, nights, notes, latitude, longitude, sort_order, trip_id FROM cities WHERE id = ? AND trip_id = ?`,
+          `SELECT id, uuid, name, nights, notes, latitude, longitude, sort_order, trip_id, version FROM cities WHERE id = ? AND trip_id = ?`,
           [cityId, tripId],
         );
         if (!city) {
@@ -139,6 +169,14 @@ function registerCityRoutes(app, deps) {
             .json({ error: "city not found or unauthorized" });
         }
 
+        // Reject writes based on an outdated copy, returning the current one
+        if (isStaleWrite(req, city)) {
+          res.set("ETag", etagFor(city));
+          return res
+            .status(412)
+            .json({ error: "city was modified by another client", city });
+        }
+
         const { name, nights, notes, latitude, longitude } = req.body || {};
         const sets = [];
         const params = [];
@@ -206,15 +244,28 @@ function registerCityRoutes(app, deps) {
           return res.status(400).json({ error: "no fields to update" });
         }
 
-        const sql = `UPDATE cities SET ${sets.join(", ")}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+        // With If-Match, compare-and-set on version so concurrent writers cannot both win
+        let sql = `UPDATE cities SET ${sets.join(", ")}, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
         params.push(cityId);
-        await run(sql, params);
+        if (req.get("If-Match")) {
+          sql += " AND version = ?";
+          params.push(city.version);
+        }
+        const result = await run(sql, params);
 
         const updatedCity = await get(
-          `SELECT id, name, nights, notes, latitude, longitude, sort_order, trip_id FROM cities WHERE id = ?`,
+          `SELECT id, uuid, name, nights, notes, latitude, longitude, sort_order, trip_id, version FROM cities WHERE id = ?`,
           [cityId],
         );
+        res.set("ETag", etagFor(updatedCity));
+        if (result.changes === 0) {
+          return res.status(412).json({
+            error: "city was modified by another client",
+            city: updatedCity,
+          });
+        }
 
+        publishTripEvent(tripId, "city.updated", { city: updatedCity });
         return res.json({ ok: true, city: updatedCity });
       } catch (e) {
         console.error(e);
@@ -269,12 +320,19 @@ function registerCityRoutes(app, deps) {
             .json({ error: "city not found or unauthorized" });
         }
 
-        await run(`UPDATE cities SET sort_order = ? WHERE id = ?`, [
-          index,
-          cityId,
-        ]);
+        // Ordering is not part of the city's version, so open edits stay valid
+        await run(
+          `UPDATE cities SET sort_order = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [index, cityId],
+        );
       }
 
+      publishTripEvent(tripId, "cities.reordered", {
+        order: sortOrder.map(({ id, index }) => ({
+          id: parseInt(id, 10),
+          sort_order: index,
+        })),
+      });
       return res.json({ ok: true });
     } catch (e) {
       console.error(e);
@@ -324,6 +382,7 @@ function registerCityRoutes(app, deps) {
         }
 
         await run(`DELETE FROM cities WHERE id = ?`, [cityId]);
+        publishTripEvent(tripId, "city.deleted", { id: cityId });
 
         return res.json({ ok: true });
       } catch (e) {
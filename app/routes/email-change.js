@@ -0,0 +1,186 @@
+// Email change routes: request a new address with the current password,
+// confirm it from the link sent to that address, or cancel. The old address
+// stays the login until the new one is confirmed, and is told afterwards.
+
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+
+export const EMAIL_CHANGE_TOKEN_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// Also keeps markup out of the address, which is echoed in emails
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+$/;
+
+// Only a hash of the token is stored, like password reset tokens
+export function hashEmailChangeToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function registerEmailChangeRoutes(app, deps) {
+  const {
+    csrfProtection,
+    limiter,
+    getSession,
+    run,
+    get,
+    sendEmailChangeConfirmation,
+    sendEmailChangedNotice,
+    recordAuditEvent = async () => {},
+  } = deps;
+
+  // Current and pending address for the profile page
+  app.get("/api/me/email", async (req, res) => {
+    try {
+      const s = await getSession(req);
+      if (!s) return res.status(401).json({ error: "not authenticated" });
+
+      const user = await get(
+        `SELECT email, pending_email, email_change_expires FROM users WHERE id = ?`,
+        [s.user.id],
+      );
+      const pending =
+        user.pending_email && user.email_change_expires > Date.now();
+      return res.json({
+        email: user.email,
+        pendingEmail: pending ? user.pending_email : null,
+      });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Start a change: send a confirmation link to the new address
+  app.post("/api/me/email", csrfProtection, limiter, async (req, res) => {
+    try {
+      const s = await getSession(req);
+      if (!s) return res.status(401).json({ error: "not authenticated" });
+
+      const { newEmail, password } = req.body || {};
+      const email = String(newEmail || "").trim();
+      if (!email || !password) {
+        return res
+          .status(400)
+          .json({ error: "new email and current password required" });
+      }
+      if (!EMAIL_PATTERN.test(email)) {
+        return res.status(400).json({ error: "invalid email address" });
+      }
+
+      const user = await get(
+        `SELECT id, email, password FROM users WHERE id = ?`,
+        [s.user.id],
+      );
+      if (!(await bcrypt.compare(password, user.password))) {
+        return res.status(401).json({ error: "current password is incorrect" });
+      }
+      if (email === user.email) {
+        return res
+          .status(400)
+          .json({ error: "new email is the same as the current one" });
+      }
+      const taken = await get(`SELECT id FROM users WHERE email = ?`, [email]);
+      if (taken) return res.status(409).json({ error: "email already exists" });
+
+      const token = crypto.randomBytes(32).toString("hex");
+      // A new request replaces any earlier pending change
+      await run(
+        `UPDATE users SET pending_email = ?, email_change_token = ?, email_change_expires = ? WHERE id = ?`,
+        [
+          email,
+          hashEmailChangeToken(token),
+          Date.now() + EMAIL_CHANGE_TOKEN_TTL,
+          user.id,
+        ],
+      );
+      await sendEmailChangeConfirmation(email, token);
+      console.log(`[Email Change] Confirmation sent for user ${user.id}`);
+
+      return res.json({ ok: true, pendingEmail: email });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Drop a pending change; the emailed link stops working
+  app.delete("/api/me/email", csrfProtection, async (req, res) => {
+    try {
+      const s = await getSession(req);
+      if (!s) return res.status(401).json({ error: "not authenticated" });
+
+      await run(
+        `UPDATE users SET pending_email = NULL, email_change_token = NULL, email_change_expires = NULL WHERE id = ?`,
+        [s.user.id],
+      );
+      return res.json({ ok: true });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Confirm with the token from the link. No session is needed: the link
+  // may be opened on a device where the user is not signed in.
+  app.post(
+    "/api/me/email/confirm",
+    csrfProtection,
+    limiter,
+    async (req, res) => {
+      try {
+        const { token } = req.body || {};
+        if (!token) return res.status(400).json({ error: "token required" });
+
+        const user = await get(
+          `SELECT id, email, pending_email, locked_at FROM users WHERE email_change_token = ? AND email_change_expires > ?`,
+          [hashEmailChangeToken(token), Date.now()],
+        );
+        if (!user) {
+          return res
+            .status(400)
+            .json({ error: "invalid or expired confirmation link" });
+        }
+        // A link mailed before an admin lock must not move the login
+        if (user.locked_at) {
+          return res.status(403).json({ error: "account is locked" });
+        }
+
+        try {
+          // Reset and sign-in links sent to the old address stop working too
+          await run(
+            `UPDATE users SET email = ?, verified = 1, pending_email = NULL, email_change_token = NULL, email_change_expires = NULL, reset_token = NULL, reset_expires = NULL, magic_token = NULL, magic_expires = NULL WHERE id = ?`,
+            [user.pending_email, user.id],
+          );
+        } catch (e) {
+          // Someone registered the address after the change was requested
+          if (e && e.message && e.message.indexOf("UNIQUE") !== -1)
+            return res.status(409).json({ error: "email already exists" });
+          throw e;
+        }
+        // The login changed: sign the account out on every device
+        const result = await run(`DELETE FROM sessions WHERE user_id = ?`, [
+          user.id,
+        ]);
+        console.log(
+          `[Email Change] User ${user.id} confirmed a new email, invalidated ${result.changes} session(s)`,
+        );
+        await recordAuditEvent(req, user.id, "email.changed", {
+          sessionsRevoked: result.changes,
+        });
+
+        try {
+          await sendEmailChangedNotice(user.email, user.pending_email);
+        } catch (e) {
+          // The change is done; a failed notice must not undo it
+          console.error("[Email Change] Failed to notify old address:", e);
+        }
+
+        return res.json({ ok: true, email: user.pending_email });
+      } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "server error" });
+      }
+    },
+  );
+}
+
+export default registerEmailChangeRoutes;
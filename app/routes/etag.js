@@ -0,0 +1,15 @@
+// ETag helpers for optimistic concurrency on versioned rows (trips, cities)
+
+// Strong ETag derived from a row's revision counter
+export function etagFor(row) {
+  return `"${row.id}-${row.version}"`;
+}
+
+// True when the request carries an If-Match header that does not match the
+// current row. Requests without If-Match are allowed (last write wins).
+export function isStaleWrite(req, row) {
+  const header = req.get("If-Match");
+  if (!header) return false;
+  const tags = header.split(",").map((t) => t.trim());
+  return !tags.includes("*") && !tags.includes(etagFor(row));
+}
@@ -0,0 +1,85 @@
+// Trip events: route handlers publish trip, city and transportation changes
+// and open pages receive them over a Server-Sent Events stream
+
+import { EventEmitter } from "events";
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+const bus = new EventEmitter();
+// One listener per open stream; there is no meaningful default cap
+bus.setMaxListeners(0);
+let lastEventId = 0;
+
+// Notify every stream subscribed to the trip. `type` is e.g. "city.updated".
+export function publishTripEvent(tripId, type, data = {}) {
+  lastEventId += 1;
+  bus.emit(`trip:${tripId}`, { id: lastEventId, type, data });
+}
+
+function registerTripEventRoutes(app, deps) {
+  const { getSession, get } = deps;
+
+  // Stream changes of a trip to an open page
+  app.get("/api/trips/:id/events", async (req, res) => {
+    try {
+      const s = await getSession(req);
+      if (!s) return res.status(401).json({ error: "not authenticated" });
+
+      const tripId = parseInt(req.params.id, 10);
+      if (!tripId || !Number.isInteger(tripId)) {
+        return res.status(400).json({ error: "invalid trip id" });
+      }
+
+      const trip = await get(
+        `SELECT id FROM trips WHERE id = ? AND user_id = ?`,
+        [tripId, s.user.id],
+      );
+      if (!trip) {
+        return res
+          .status(404)
+          .json({ error: "trip not found or unauthorized" });
+      }
+
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+      res.write("retry: 5000\n\n");
+
+      const channel = `trip:${tripId}`;
+      let heartbeat;
+      const close = () => {
+        clearInterval(heartbeat);
+        bus.off(channel, send);
+        res.end();
+      };
+      function send(event) {
+        res.write(
+          `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`,
+        );
+        if (event.type === "trip.deleted") close();
+      }
+
+      bus.on(channel, send);
+      // Keep proxies from dropping an idle stream, and end it once the session is gone
+      heartbeat = setInterval(async () => {
+        try {
+          if (!(await getSession(req))) return close();
+          res.write(": keep-alive\n\n");
+        } catch (e) {
+          console.error(e);
+          close();
+        }
+      }, HEARTBEAT_INTERVAL);
+      req.on("close", close);
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+}
+
+export default registerTripEventRoutes;
@@ -0,0 +1,176 @@
+// Data export: GET /api/me/export downloads everything stored for the
+// account as JSON, or with ?format=zip as a zip archive holding the same
+// JSON plus one CSV file per table.
+
+import { createZip } from "./zip.js";
+import { userAuditDetails } from "./audit.js";
+
+export const EXPORT_VERSION = 1;
+
+const TRIP_COLUMNS = [
+  "id",
+  "uuid",
+  "name",
+  "start_date",
+  "created_at",
+  "updated_at",
+];
+const CITY_COLUMNS = [
+  "id",
+  "uuid",
+  "trip_id",
+  "name",
+  "nights",
+  "notes",
+  "latitude",
+  "longitude",
+  "sort_order",
+  "created_at",
+  "updated_at",
+];
+const TRANSPORTATION_COLUMNS = [
+  "id",
+  "uuid",
+  "trip_id",
+  "from_city_id",
+  "to_city_id",
+  "mode",
+  "notes",
+  "created_at",
+  "updated_at",
+];
+
+// RFC 4180: quote fields with commas, quotes or line breaks; CRLF line ends.
+// Text starting like a formula gets a leading ' so spreadsheet apps show it
+// instead of running it; numbers such as negative longitudes stay as they are.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+export function toCsv(rows, columns) {
+  const field = (value) => {
+    if (value === null || value === undefined) return "";
+    let text = String(value);
+    if (typeof value === "string" && FORMULA_START.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows.map((row) => columns.map((c) => row[c]))]
+    .map((values) => values.map(field).join(","))
+    .join("\r\n")
+    .concat("\r\n");
+}
+
+// Everything the account holds, without secrets (password and token hashes,
+// TOTP secret, passkey public keys)
+export async function buildExport(userId, { get, all }) {
+  const user = await get(
+    `SELECT id, email, verified, totp_enabled, pending_email FROM users WHERE id = ?`,
+    [userId],
+  );
+  const trips = await all(
+    `SELECT ${TRIP_COLUMNS.join(", ")} FROM trips WHERE user_id = ? ORDER BY id`,
+    [userId],
+  );
+  const cities = await all(
+    `SELECT ${CITY_COLUMNS.map((c) => `c.${c}`).join(", ")} FROM cities c JOIN trips t ON t.id = c.trip_id WHERE t.user_id = ? ORDER BY c.trip_id, c.sort_order, c.id`,
+    [userId],
+  );
+  const transportation = await all(
+    `SELECT ${TRANSPORTATION_COLUMNS.map((c) => `l.${c}`).join(", ")} FROM transportation l JOIN trips t ON t.id = l.trip_id WHERE t.user_id = ? ORDER BY l.trip_id, l.id`,
+    [userId],
+  );
+  const passkeys = await all(
+    `SELECT name, created_at, last_used_at FROM passkeys WHERE user_id = ? ORDER BY created_at`,
+    [userId],
+  );
+  const apiTokens = await all(
+    `SELECT name, scope, prefix, created_at, last_used_at FROM api_tokens WHERE user_id = ? ORDER BY created_at`,
+    [userId],
+  );
+  const identities = await all(
+    `SELECT issuer, email, created_at, last_login_at FROM oidc_identities WHERE user_id = ? ORDER BY created_at`,
+    [userId],
+  );
+  const securityEvents = await all(
+    `SELECT type, ip, user_agent, details, created_at FROM audit_events WHERE user_id = ? ORDER BY id`,
+    [userId],
+  );
+
+  return {
+    format: "trippino-export",
+    version: EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    profile: {
+      id: user.id,
+      email: user.email,
+      verified: !!user.verified,
+      pending_email: user.pending_email,
+      two_factor_enabled: !!user.totp_enabled,
+      passkeys,
+      api_tokens: apiTokens,
+      linked_identities: identities,
+    },
+    trips: trips.map((trip) => ({
+      ...trip,
+      cities: cities.filter((city) => city.trip_id === trip.id),
+      transportation: transportation.filter((leg) => leg.trip_id === trip.id),
+    })),
+    security_events: securityEvents.map((event) => ({
+      ...event,
+      details: userAuditDetails(event.details),
+    })),
+  };
+}
+
+// The zip variant: the JSON export plus the trip tables as CSV
+export function buildExportArchive(data) {
+  const cities = data.trips.flatMap((trip) => trip.cities);
+  const transportation = data.trips.flatMap((trip) => trip.transportation);
+  return createZip([
+    { name: "trippino-export.json", content: JSON.stringify(data, null, 2) },
+    {
+      name: "profile.csv",
+      content: toCsv(
+        [data.profile],
+        ["id", "email", "verified", "pending_email", "two_factor_enabled"],
+      ),
+    },
+    { name: "trips.csv", content: toCsv(data.trips, TRIP_COLUMNS) },
+    { name: "cities.csv", content: toCsv(cities, CITY_COLUMNS) },
+    {
+      name: "transportation.csv",
+      content: toCsv(transportation, TRANSPORTATION_COLUMNS),
+    },
+  ]);
+}
+
+function registerExportRoutes(app, deps) {
+  const { getSession, get, all } = deps;
+
+  app.get("/api/me/export", async (req, res) => {
+    try {
+      const s = await getSession(req);
+      if (!s) return res.status(401).json({ error: "not authenticated" });
+
+      const format = req.query.format || "json";
+      if (format !== "json" && format !== "zip") {
+        return res.status(400).json({ error: "format must be json or zip" });
+      }
+
+      const data = await buildExport(s.user.id, { get, all });
+      const filename = `trippino-export-${data.exported_at.slice(0, 10)}.${format}`;
+      res.set("Cache-Control", "no-store");
+      res.attachment(filename);
+      console.log(`[Export] User ${s.user.id} exported their data (${format})`);
+      if (format === "zip") {
+        return res.type("application/zip").send(buildExportArchive(data));
+      }
+      return res.type("application/json").send(JSON.stringify(data, null, 2));
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+}
+
+export default registerExportRoutes;
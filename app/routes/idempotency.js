@@ -0,0 +1,126 @@
+// Idempotency-Key support for mutating API routes: the first response per
+// user and key is stored and replayed when a flaky client retries the request
+
+import crypto from "crypto";
+
+export const IDEMPOTENCY_KEY_TTL_HOURS = 24;
+const IDEMPOTENCY_KEY_TTL = IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+const MUTATING_METHODS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+
+function requestHash(req) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(req.body || {}))
+    .digest("hex");
+}
+
+function createIdempotencyMiddleware(deps) {
+  const { getSession, run, get } = deps;
+
+  return async function idempotency(req, res, next) {
+    const key = req.get("Idempotency-Key");
+    if (!key || !MUTATING_METHODS.has(req.method)) return next();
+
+    try {
+      if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+          error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+        });
+      }
+
+      // Keys are scoped per user; anonymous requests are rejected by the route
+      const s = await getSession(req);
+      if (!s) return next();
+
+      const userId = s.user.id;
+      const hash = requestHash(req);
+      await run(
+        `DELETE FROM idempotency_keys WHERE user_id = ? AND idem_key = ? AND created_at < ?`,
+        [userId, key, Date.now() - IDEMPOTENCY_KEY_TTL],
+      );
+
+      const stored = await get(
+        `SELECT method, path, request_hash, status, body, etag FROM idempotency_keys WHERE user_id = ? AND idem_key = ?`,
+        [userId, key],
+      );
+      if (stored) {
+        if (
+          stored.method !== req.method ||
+          stored.path !== req.originalUrl ||
+          stored.request_hash !== hash
+        ) {
+          return res.status(422).json({
+            error: "Idempotency-Key was already used for a different request",
+          });
+        }
+        if (stored.status === null) {
+          return res.status(409).json({
+            error: "a request with this Idempotency-Key is still in progress",
+          });
+        }
+        res.set("Idempotent-Replayed", "true");
+        if (stored.etag) res.set("ETag", stored.etag);
+        return res.status(stored.status).json(JSON.parse(stored.body));
+      }
+
+      // Reserve the key first so concurrent retries don't both run the handler
+      try {
+        await run(
+          `INSERT INTO idempotency_keys(user_id, idem_key, method, path, request_hash, created_at) VALUES(?,?,?,?,?,?)`,
+          [userId, key, req.method, req.originalUrl, hash, Date.now()],
+        );
+      } catch (e) {
+        if (e && e.message && e.message.indexOf("UNIQUE") !== -1) {
+          return res.status(409).json({
+            error: "a request with this Idempotency-Key is still in progress",
+          });
+        }
+        throw e;
+      }
+
+      // Server errors and non-JSON responses release the key so the client can retry
+      let settled = false;
+      const release = () =>
+        run(`DELETE FROM idempotency_keys WHERE user_id = ? AND idem_key = ?`, [
+          userId,
+          key,
+        ]);
+
+      const sendJson = res.json.bind(res);
+      res.json = (data) => {
+        settled = true;
+        const save =
+          res.statusCode >= 500
+            ? release()
+            : run(
+                `UPDATE idempotency_keys SET status = ?, body = ?, etag = ? WHERE user_id = ? AND idem_key = ?`,
+                [
+                  res.statusCode,
+                  JSON.stringify(data),
+                  res.get("ETag") || null,
+                  userId,
+                  key,
+                ],
+              );
+        // Respond only once the outcome is stored, so an immediate retry replays it
+        save
+          .catch((e) => console.error("[Idempotency] Error:", e))
+          .finally(() => sendJson(data));
+        return res;
+      };
+      res.on("finish", () => {
+        if (!settled) {
+          release().catch((e) => console.error("[Idempotency] Error:", e));
+        }
+      });
+
+      return next();
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  };
+}
+
+export default createIdempotencyMiddleware;
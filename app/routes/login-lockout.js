@@ -0,0 +1,139 @@
+// Per-account login throttling. authLimiter only counts per IP, so failed
+// password attempts are also counted per email: after a few failures every
+// further attempt has to wait, with the wait doubling each time. Failures are
+// tracked by a hash of the submitted email whether or not an account exists,
+// so the responses never tell an attacker which addresses are registered.
+
+import crypto from "crypto";
+
+// Failures before attempts are delayed, and the first delay
+export const LOCKOUT_THRESHOLD = 3;
+const LOCKOUT_BASE_DELAY = 30 * 1000; // 30 seconds
+const LOCKOUT_MAX_DELAY = 60 * 60 * 1000; // 1 hour
+// Failures before the account owner gets an email with an unlock link
+export const UNLOCK_EMAIL_THRESHOLD = 5;
+export const UNLOCK_TOKEN_TTL = 60 * 60 * 1000; // 1 hour
+// Failure streaks older than this are forgotten
+export const LOGIN_FAILURE_RETENTION = 24 * 60 * 60 * 1000; // 24 hours
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+export function hashLoginEmail(email) {
+  return sha256(
+    String(email || "")
+      .trim()
+      .toLowerCase(),
+  );
+}
+
+// How long attempts are blocked after `failures` consecutive failures
+export function lockoutDelay(failures) {
+  if (failures < LOCKOUT_THRESHOLD) return 0;
+  return Math.min(
+    LOCKOUT_BASE_DELAY * 2 ** (failures - LOCKOUT_THRESHOLD),
+    LOCKOUT_MAX_DELAY,
+  );
+}
+
+export function createLoginLockout(deps) {
+  const { run, get, sendAccountUnlockEmail } = deps;
+
+  // Milliseconds until the next attempt is allowed, or 0
+  async function getRetryAfter(email, now = Date.now()) {
+    const row = await get(
+      `SELECT locked_until FROM login_failures WHERE email_hash = ?`,
+      [hashLoginEmail(email)],
+    );
+    return row && row.locked_until > now ? row.locked_until - now : 0;
+  }
+
+  // `user` is the matching account, or undefined for unknown emails
+  async function recordFailure(email, user, now = Date.now()) {
+    const emailHash = hashLoginEmail(email);
+    const row = await get(
+      `SELECT failures, last_failed_at FROM login_failures WHERE email_hash = ?`,
+      [emailHash],
+    );
+    const stale = row && now - row.last_failed_at > LOGIN_FAILURE_RETENTION;
+    const failures = row && !stale ? row.failures + 1 : 1;
+    const delay = lockoutDelay(failures);
+
+    await run(
+      `INSERT INTO login_failures(email_hash, failures, locked_until, last_failed_at) VALUES(?,?,?,?)
+       ON CONFLICT(email_hash) DO UPDATE SET failures = excluded.failures, locked_until = excluded.locked_until, last_failed_at = excluded.last_failed_at`,
+      [emailHash, failures, delay ? now + delay : null, now],
+    );
+
+    const who = user ? `user ${user.id}` : "unknown account";
+    if (delay) {
+      console.log(
+        `[Lockout] ${failures} failed logins for ${who}, locked for ${delay / 1000}s`,
+      );
+    } else {
+      console.log(`[Lockout] Failed login for ${who} (${failures})`);
+    }
+
+    if (user && failures === UNLOCK_EMAIL_THRESHOLD) {
+      const token = crypto.randomBytes(32).toString("hex");
+      await run(
+        `UPDATE users SET unlock_token = ?, unlock_expires = ? WHERE id = ?`,
+        [sha256(token), now + UNLOCK_TOKEN_TTL, user.id],
+      );
+      try {
+        await sendAccountUnlockEmail(user.email, token);
+        console.log(`[Lockout] Unlock email sent to user ${user.id}`);
+      } catch (e) {
+        console.error("[Lockout] Failed to send unlock email:", e);
+      }
+    }
+    return { failures, retryAfter: delay };
+  }
+
+  // After a correct password the streak starts over
+  async function clearFailures(email) {
+    await run(`DELETE FROM login_failures WHERE email_hash = ?`, [
+      hashLoginEmail(email),
+    ]);
+  }
+
+  return { getRetryAfter, recordFailure, clearFailures };
+}
+
+// POST /api/unlock-account: the emailed link lifts the lock right away
+function registerAccountUnlockRoutes(app, deps) {
+  const { csrfProtection, limiter, run, get } = deps;
+
+  app.post("/api/unlock-account", csrfProtection, limiter, async (req, res) => {
+    try {
+      const { token } = req.body || {};
+      if (!token) return res.status(400).json({ error: "token required" });
+
+      const user = await get(
+        `SELECT id, email FROM users WHERE unlock_token = ? AND unlock_expires > ?`,
+        [sha256(token), Date.now()],
+      );
+      if (!user) {
+        return res
+          .status(400)
+          .json({ error: "invalid or expired unlock link" });
+      }
+
+      await run(
+        `UPDATE users SET unlock_token = NULL, unlock_expires = NULL WHERE id = ?`,
+        [user.id],
+      );
+      await run(`DELETE FROM login_failures WHERE email_hash = ?`, [
+        hashLoginEmail(user.email),
+      ]);
+      console.log(`[Lockout] User ${user.id} unlocked by email link`);
+      return res.json({ ok: true, message: "account unlocked" });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+}
+
+export default registerAccountUnlockRoutes;
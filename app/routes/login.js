@@ -0,0 +1,88 @@
+// Password login: POST /api/login checks the lockout, the password and the
+// account state, then either signs the user in or, with 2FA enabled, hands
+// out a challenge for POST /api/login/2fa.
+
+import bcrypt from "bcryptjs";
+import { v4 as uuidv4 } from "uuid";
+import { createLoginLockout } from "./login-lockout.js";
+import { createLoginChallenge } from "./two-factor.js";
+
+// Unknown emails are compared against this so both take as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(uuidv4(), 10);
+
+function registerLoginRoutes(app, deps) {
+  const {
+    csrfProtection,
+    limiter,
+    run,
+    get,
+    sendAccountUnlockEmail,
+    createSessionForUserId,
+    setSessionCookie,
+    recordAuditEvent = async () => {},
+  } = deps;
+
+  const loginLockout = createLoginLockout({ run, get, sendAccountUnlockEmail });
+
+  app.post("/api/login", csrfProtection, limiter, async (req, res) => {
+    try {
+      const { email, password, remember } = req.body || {};
+      if (!email || !password)
+        return res.status(400).json({ error: "email and password required" });
+      // Locked emails are refused before the password is even checked
+      const retryAfter = await loginLockout.getRetryAfter(email);
+      if (retryAfter) {
+        res.set("Retry-After", String(Math.ceil(retryAfter / 1000)));
+        return res.status(429).json({
+          error: "too many failed attempts, please try again later",
+          retryAfter: Math.ceil(retryAfter / 1000),
+        });
+      }
+      const user = await get(
+        `SELECT id,email,password,verified,totp_enabled,locked_at FROM users WHERE email = ?`,
+        [email],
+      );
+      const match = await bcrypt.compare(
+        password,
+        user ? user.password : DUMMY_PASSWORD_HASH,
+      );
+      if (!user || !match) {
+        await loginLockout.recordFailure(email, user);
+        if (user) {
+          await recordAuditEvent(req, user.id, "login.failed", {
+            method: "password",
+          });
+        }
+        return res.status(401).json({ error: "invalid credentials" });
+      }
+      await loginLockout.clearFailures(email);
+      if (user.locked_at)
+        return res.status(403).json({ error: "account is locked" });
+      // Tell the client it may offer POST /api/resend-verification
+      if (!user.verified)
+        return res
+          .status(403)
+          .json({ error: "email not verified", canResendVerification: true });
+      // With 2FA the password only earns a challenge for POST /api/login/2fa
+      if (user.totp_enabled) {
+        const challenge = await createLoginChallenge(run, user.id, {
+          remember: remember === true,
+        });
+        return res.json({ ok: true, twoFactorRequired: true, challenge });
+      }
+      const sid = await createSessionForUserId(user.id, req, {
+        remember: remember === true,
+      });
+      setSessionCookie(res, sid, { remember: remember === true });
+      await recordAuditEvent(req, user.id, "login.succeeded", {
+        method: "password",
+      });
+      return res.json({ ok: true, email: user.email });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+}
+
+export default registerLoginRoutes;
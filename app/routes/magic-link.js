@@ -0,0 +1,114 @@
+// Magic-link login routes: email a single-use sign-in link, and trade the
+// token from that link for a session
+
+import crypto from "crypto";
+import { createLoginChallenge } from "./two-factor.js";
+
+export const MAGIC_LINK_TTL = 15 * 60 * 1000; // 15 minutes
+
+// Only a hash of the token is stored, like password reset tokens
+export function hashMagicToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function registerMagicLinkRoutes(app, deps) {
+  const {
+    csrfProtection,
+    limiter,
+    run,
+    get,
+    sendMagicLinkEmail,
+    createSessionForUserId,
+    setSessionCookie,
+    recordAuditEvent = async () => {},
+  } = deps;
+
+  // Request a sign-in link. The response is the same whether or not the
+  // email has an account, so it cannot be used to probe for registered addresses.
+  app.post("/api/login/magic", csrfProtection, limiter, async (req, res) => {
+    try {
+      const { email } = req.body || {};
+      if (!email) return res.status(400).json({ error: "email required" });
+
+      const user = await get(`SELECT id, email FROM users WHERE email = ?`, [
+        email,
+      ]);
+      if (user) {
+        const token = crypto.randomBytes(32).toString("hex");
+        // A new request replaces any earlier, still unused link
+        await run(
+          `UPDATE users SET magic_token = ?, magic_expires = ? WHERE id = ?`,
+          [hashMagicToken(token), Date.now() + MAGIC_LINK_TTL, user.id],
+        );
+        await sendMagicLinkEmail(user.email, token);
+        console.log(`[Magic Link] Sign-in link sent to user ${user.id}`);
+      }
+
+      return res.json({
+        ok: true,
+        message: "if an account exists for this email, a sign-in link was sent",
+      });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Sign in with the token from the link. The link page posts it instead of
+  // the link hitting the API directly, so mail scanners that prefetch links
+  // cannot use it up.
+  app.post(
+    "/api/login/magic/verify",
+    csrfProtection,
+    limiter,
+    async (req, res) => {
+      try {
+        const { token, remember } = req.body || {};
+        if (!token) return res.status(400).json({ error: "token required" });
+
+        const user = await get(
+          `SELECT id, email, totp_enabled, locked_at FROM users WHERE magic_token = ? AND magic_expires > ?`,
+          [hashMagicToken(token), Date.now()],
+        );
+        if (!user) {
+          return res
+            .status(400)
+            .json({ error: "invalid or expired sign-in link" });
+        }
+        if (user.locked_at) {
+          return res.status(403).json({ error: "account is locked" });
+        }
+
+        // Clearing the token makes it single-use. Following the emailed link
+        // also proves the address, so an unverified account becomes verified.
+        await run(
+          `UPDATE users SET magic_token = NULL, magic_expires = NULL, verified = 1, verification_token = NULL WHERE id = ?`,
+          [user.id],
+        );
+        console.log(`[Magic Link] Link used by user ${user.id}`);
+
+        // The link replaces the password, not the second factor
+        if (user.totp_enabled) {
+          const challenge = await createLoginChallenge(run, user.id, {
+            remember: remember === true,
+          });
+          return res.json({ ok: true, twoFactorRequired: true, challenge });
+        }
+
+        const sid = await createSessionForUserId(user.id, req, {
+          remember: remember === true,
+        });
+        setSessionCookie(res, sid, { remember: remember === true });
+        await recordAuditEvent(req, user.id, "login.succeeded", {
+          method: "magic_link",
+        });
+        return res.json({ ok: true, email: user.email });
+      } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "server error" });
+      }
+    },
+  );
+}
+
+export default registerMagicLinkRoutes;
@@ -0,0 +1,402 @@
+// OpenID Connect login: the authorization code flow with PKCE against an
+// identity provider configured through the OIDC_* env variables. The email
+// the provider has verified signs in to the matching account, or creates one.
+
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import { createLoginChallenge } from "./two-factor.js";
+
+export const OIDC_STATE_TTL = 10 * 60 * 1000; // 10 minutes
+export const OIDC_STATE_COOKIE = "trippino_oidc";
+// Allowed clock skew between us and the provider when checking id tokens
+const CLOCK_TOLERANCE = 60 * 1000; // 1 minute
+// Discovery document and signing keys are refetched after this long
+const METADATA_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+
+// Signature algorithms accepted for id tokens
+const JWT_ALGORITHMS = {
+  RS256: { kty: "RSA", hash: "sha256" },
+  ES256: { kty: "EC", hash: "sha256", dsaEncoding: "ieee-p1363" },
+};
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+// Settings from the environment, or null when OIDC login is turned off.
+// OIDC_ISSUER and OIDC_CLIENT_ID are required; without OIDC_CLIENT_SECRET
+// the app signs in as a public client, relying on PKCE alone.
+export function loadOidcConfig(env, { apiBase } = {}) {
+  if (!env.OIDC_ISSUER || !env.OIDC_CLIENT_ID) return null;
+  return {
+    issuer: env.OIDC_ISSUER,
+    clientId: env.OIDC_CLIENT_ID,
+    clientSecret: env.OIDC_CLIENT_SECRET || null,
+    redirectUri: env.OIDC_REDIRECT_URI || `${apiBase}/api/login/oidc/callback`,
+    scopes: env.OIDC_SCOPES || "openid email profile",
+    providerName: env.OIDC_PROVIDER_NAME || "single sign-on",
+  };
+}
+
+// Code verifier and S256 challenge for PKCE (RFC 7636)
+export function createPkcePair() {
+  const verifier = crypto.randomBytes(32).toString("base64url");
+  const challenge = crypto
+    .createHash("sha256")
+    .update(verifier)
+    .digest("base64url");
+  return { verifier, challenge };
+}
+
+function decodeJwtPart(part) {
+  return JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+}
+
+// Verify the signature and claims of an id token against the provider's
+// JWKS. Returns the claims, or throws with the reason.
+export function verifyIdToken(
+  idToken,
+  jwks,
+  { issuer, clientId, nonce, now = Date.now() },
+) {
+  const parts = String(idToken || "").split(".");
+  if (parts.length !== 3) throw new Error("malformed id token");
+  const header = decodeJwtPart(parts[0]);
+  const claims = decodeJwtPart(parts[1]);
+
+  const alg = JWT_ALGORITHMS[header.alg];
+  if (!alg) throw new Error(`unsupported id token algorithm ${header.alg}`);
+  const jwk = (jwks.keys || []).find(
+    (key) =>
+      key.kty === alg.kty &&
+      (!header.kid || key.kid === header.kid) &&
+      (!key.use || key.use === "sig"),
+  );
+  if (!jwk) throw new Error("no matching signing key");
+
+  const key = crypto.createPublicKey({ key: jwk, format: "jwk" });
+  const valid = crypto.verify(
+    alg.hash,
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    alg.dsaEncoding ? { key, dsaEncoding: alg.dsaEncoding } : key,
+    Buffer.from(parts[2], "base64url"),
+  );
+  if (!valid) throw new Error("invalid id token signature");
+
+  if (claims.iss !== issuer) throw new Error("id token issuer mismatch");
+  const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audience.includes(clientId)) {
+    throw new Error("id token audience mismatch");
+  }
+  if (audience.length > 1 && claims.azp !== clientId) {
+    throw new Error("id token authorized party mismatch");
+  }
+  if (
+    typeof claims.exp !== "number" ||
+    claims.exp * 1000 < now - CLOCK_TOLERANCE
+  ) {
+    throw new Error("id token expired");
+  }
+  if (
+    typeof claims.iat === "number" &&
+    claims.iat * 1000 > now + CLOCK_TOLERANCE
+  ) {
+    throw new Error("id token issued in the future");
+  }
+  if (claims.nonce !== nonce) throw new Error("id token nonce mismatch");
+  if (!claims.sub) throw new Error("id token has no subject");
+  return claims;
+}
+
+// Talks to the provider: discovery, the token endpoint and its JWKS
+export function createOidcClient(config) {
+  let metadata = null;
+  let jwks = null;
+
+  async function fetchJson(url, options) {
+    const response = await fetch(url, options);
+    if (!response.ok) {
+      throw new Error(`${url} responded with ${response.status}`);
+    }
+    return response.json();
+  }
+
+  async function discover() {
+    if (metadata && Date.now() - metadata.fetchedAt < METADATA_CACHE_TTL) {
+      return metadata.document;
+    }
+    const document = await fetchJson(
+      `${config.issuer.replace(/\/+$/, "")}/.well-known/openid-configuration`,
+    );
+    if (document.issuer !== config.issuer) {
+      throw new Error("discovery issuer does not match OIDC_ISSUER");
+    }
+    metadata = { document, fetchedAt: Date.now() };
+    return document;
+  }
+
+  async function signingKeys({ refresh = false } = {}) {
+    if (!refresh && jwks && Date.now() - jwks.fetchedAt < METADATA_CACHE_TTL) {
+      return jwks.keys;
+    }
+    const { jwks_uri } = await discover();
+    jwks = { keys: await fetchJson(jwks_uri), fetchedAt: Date.now() };
+    return jwks.keys;
+  }
+
+  async function authorizationUrl({ state, nonce, codeChallenge }) {
+    const { authorization_endpoint } = await discover();
+    const url = new URL(authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: "code",
+      client_id: config.clientId,
+      redirect_uri: config.redirectUri,
+      scope: config.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: "S256",
+    }).toString();
+    return url.toString();
+  }
+
+  // Trade the authorization code for tokens and return the verified claims
+  async function exchangeCode({ code, codeVerifier, nonce }) {
+    const { token_endpoint } = await discover();
+    const body = new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: config.redirectUri,
+      code_verifier: codeVerifier,
+    });
+    const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+    if (config.clientSecret) {
+      const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+    } else {
+      body.set("client_id", config.clientId);
+    }
+    const tokens = await fetchJson(token_endpoint, {
+      method: "POST",
+      headers,
+      body,
+    });
+
+    const options = { issuer: config.issuer, clientId: config.clientId, nonce };
+    try {
+      return verifyIdToken(tokens.id_token, await signingKeys(), options);
+    } catch (e) {
+      // The provider may have rotated its keys since we cached them
+      if (e.message !== "no matching signing key") throw e;
+      return verifyIdToken(
+        tokens.id_token,
+        await signingKeys({ refresh: true }),
+        options,
+      );
+    }
+  }
+
+  return { authorizationUrl, exchangeCode };
+}
+
+function registerOidcRoutes(app, deps) {
+  const {
+    config,
+    limiter,
+    run,
+    get,
+    createSessionForUserId,
+    setSessionCookie,
+    recordAuditEvent = async () => {},
+  } = deps;
+  const client = config ? createOidcClient(config) : null;
+  const cookieOptions = {
+    httpOnly: true,
+    // lax: the cookie has to come along when the provider redirects back
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    path: "/api/login/oidc",
+  };
+
+  // The login page asks whether to show the single sign-on button
+  app.get("/api/login/oidc/config", (req, res) => {
+    return res.json(
+      config
+        ? { enabled: true, providerName: config.providerName }
+        : { enabled: false },
+    );
+  });
+
+  // Start a sign-in: remember state, nonce and code verifier, then send the
+  // browser to the provider. The state is also put in a cookie so the
+  // callback only completes in the browser that started it.
+  app.get("/api/login/oidc/start", limiter, async (req, res) => {
+    if (!client) {
+      return res
+        .status(404)
+        .json({ error: "single sign-on is not configured" });
+    }
+    try {
+      const state = crypto.randomBytes(32).toString("base64url");
+      const nonce = crypto.randomBytes(32).toString("base64url");
+      const pkce = createPkcePair();
+      const url = await client.authorizationUrl({
+        state,
+        nonce,
+        codeChallenge: pkce.challenge,
+      });
+
+      await run(
+        `INSERT INTO oidc_login_states(state_hash, code_verifier, nonce, remember, expires_at) VALUES(?,?,?,?,?)`,
+        [
+          sha256(state),
+          pkce.verifier,
+          nonce,
+          req.query.remember === "1" ? 1 : 0,
+          Date.now() + OIDC_STATE_TTL,
+        ],
+      );
+      res.cookie(OIDC_STATE_COOKIE, state, {
+        ...cookieOptions,
+        maxAge: OIDC_STATE_TTL,
+      });
+      return res.redirect(url);
+    } catch (e) {
+      console.error("[OIDC] Could not start sign-in:", e);
+      return res.redirect("/auth.html?oidcError=failed");
+    }
+  });
+
+  // The provider redirects back here with the code. Failures go back to the
+  // login page with an error code it turns into a message.
+  app.get("/api/login/oidc/callback", limiter, async (req, res) => {
+    if (!client) {
+      return res
+        .status(404)
+        .json({ error: "single sign-on is not configured" });
+    }
+    const fail = (reason) =>
+      res.redirect(`/auth.html?oidcError=${encodeURIComponent(reason)}`);
+
+    try {
+      const { code, state, error } = req.query;
+      const cookieState = req.cookies[OIDC_STATE_COOKIE];
+      res.clearCookie(OIDC_STATE_COOKIE, cookieOptions);
+      if (typeof state !== "string" || !state || state !== cookieState) {
+        return fail("expired");
+      }
+
+      // Single use, whether or not the rest succeeds
+      const login = await get(
+        `SELECT code_verifier, nonce, remember FROM oidc_login_states WHERE state_hash = ? AND expires_at > ?`,
+        [sha256(state), Date.now()],
+      );
+      await run(`DELETE FROM oidc_login_states WHERE state_hash = ?`, [
+        sha256(state),
+      ]);
+      if (!login) return fail("expired");
+      if (error) {
+        console.log(`[OIDC] Provider returned ${String(error)}`);
+        return fail("denied");
+      }
+      if (typeof code !== "string" || !code) return fail("failed");
+
+      let claims;
+      try {
+        claims = await client.exchangeCode({
+          code,
+          codeVerifier: login.code_verifier,
+          nonce: login.nonce,
+        });
+      } catch (e) {
+        console.log(`[OIDC] Sign-in rejected: ${e.message}`);
+        return fail("failed");
+      }
+      if (!claims.email || claims.email_verified !== true) {
+        return fail("unverified_email");
+      }
+
+      const user = await findOrCreateUser(claims);
+      if (user.locked_at) return fail("locked");
+      console.log(`[OIDC] User ${user.id} signed in with ${config.issuer}`);
+
+      // The provider replaces the password, not the second factor
+      const remember = login.remember === 1;
+      if (user.totp_enabled) {
+        const challenge = await createLoginChallenge(run, user.id, {
+          remember,
+        });
+        return res.redirect(`/auth.html#challenge=${challenge}`);
+      }
+
+      const sid = await createSessionForUserId(user.id, req, { remember });
+      setSessionCookie(res, sid, { remember });
+      await recordAuditEvent(req, user.id, "login.succeeded", {
+        method: "oidc",
+      });
+      return res.redirect("/");
+    } catch (e) {
+      console.error("[OIDC] Callback error:", e);
+      return fail("failed");
+    }
+  });
+
+  // Known subject first, so a changed email at the provider still reaches the
+  // same account; then an account with the verified email; else a new one
+  async function findOrCreateUser(claims) {
+    const identity = await get(
+      `SELECT user_id FROM oidc_identities WHERE issuer = ? AND subject = ?`,
+      [config.issuer, claims.sub],
+    );
+    if (identity) {
+      await run(
+        `UPDATE oidc_identities SET email = ?, last_login_at = ? WHERE issuer = ? AND subject = ?`,
+        [claims.email, Date.now(), config.issuer, claims.sub],
+      );
+      return get(
+        `SELECT id, email, totp_enabled, locked_at FROM users WHERE id = ?`,
+        [identity.user_id],
+      );
+    }
+
+    let user = await get(
+      `SELECT id, email, totp_enabled, locked_at FROM users WHERE email = ?`,
+      [claims.email],
+    );
+    if (user) {
+      // The provider has proven the address, like a verification link would
+      await run(
+        `UPDATE users SET verified = 1, verification_token = NULL WHERE id = ?`,
+        [user.id],
+      );
+      console.log(`[OIDC] Linked user ${user.id} to ${config.issuer}`);
+    } else {
+      // No usable password: the account signs in through the provider, or
+      // sets one with "Forgot password?"
+      const hash = await bcrypt.hash(
+        crypto.randomBytes(32).toString("hex"),
+        10,
+      );
+      const result = await run(
+        `INSERT INTO users(email, password, verified) VALUES(?,?,1)`,
+        [claims.email, hash],
+      );
+      user = {
+        id: result.lastID,
+        email: claims.email,
+        totp_enabled: 0,
+        locked_at: null,
+      };
+      console.log(`[OIDC] Created user ${user.id} for ${config.issuer}`);
+    }
+
+    const now = Date.now();
+    await run(
+      `INSERT INTO oidc_identities(user_id, issuer, subject, email, created_at, last_login_at) VALUES(?,?,?,?,?,?)`,
+      [user.id, config.issuer, claims.sub, claims.email, now, now],
+    );
+    return user;
+  }
+}
+
+export default registerOidcRoutes;
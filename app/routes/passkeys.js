@@ -0,0 +1,324 @@
+// Passkey (WebAuthn) routes: register passkeys on the profile page, list and
+// remove them, and sign in without a password. Each ceremony starts with an
+// options request that stores a single-use challenge.
+
+import crypto from "crypto";
+import {
+  SUPPORTED_ALGORITHMS,
+  readChallenge,
+  toBase64url,
+  verifyAssertion,
+  verifyRegistration,
+} from "./webauthn.js";
+
+export const WEBAUTHN_CHALLENGE_TTL = 5 * 60 * 1000; // 5 minutes
+const MAX_PASSKEY_NAME_LENGTH = 100;
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+function registerPasskeyRoutes(app, deps) {
+  const {
+    csrfProtection,
+    limiter,
+    getSession,
+    run,
+    get,
+    all,
+    createSessionForUserId,
+    setSessionCookie,
+    recordAuditEvent = async () => {},
+    rpId,
+    rpName = "Trippino",
+    origin,
+  } = deps;
+
+  async function createChallenge(purpose, userId = null) {
+    const challenge = toBase64url(crypto.randomBytes(32));
+    await run(
+      `INSERT INTO webauthn_challenges(challenge_hash, user_id, purpose, expires_at) VALUES(?,?,?,?)`,
+      [sha256(challenge), userId, purpose, Date.now() + WEBAUTHN_CHALLENGE_TTL],
+    );
+    return challenge;
+  }
+
+  // Challenges are single-use: they are removed as soon as a response names them
+  async function consumeChallenge(credential, purpose) {
+    const challenge = readChallenge(credential);
+    if (!challenge) return null;
+    const row = await get(
+      `SELECT challenge_hash, user_id FROM webauthn_challenges WHERE challenge_hash = ? AND purpose = ? AND expires_at > ?`,
+      [sha256(challenge), purpose, Date.now()],
+    );
+    if (!row) return null;
+    await run(`DELETE FROM webauthn_challenges WHERE challenge_hash = ?`, [
+      row.challenge_hash,
+    ]);
+    return { challenge, userId: row.user_id };
+  }
+
+  // Opaque WebAuthn user handle, created on first use so no email or
+  // database id ends up on the authenticator
+  async function getUserHandle(userId) {
+    const user = await get(`SELECT webauthn_handle FROM users WHERE id = ?`, [
+      userId,
+    ]);
+    if (user.webauthn_handle) return user.webauthn_handle;
+    const handle = toBase64url(crypto.randomBytes(16));
+    await run(`UPDATE users SET webauthn_handle = ? WHERE id = ?`, [
+      handle,
+      userId,
+    ]);
+    return handle;
+  }
+
+  // List the user's passkeys
+  app.get("/api/passkeys", async (req, res) => {
+    try {
+      const s = await getSession(req);
+      if (!s) return res.status(401).json({ error: "not authenticated" });
+
+      const rows = await all(
+        `SELECT id, name, created_at, last_used_at FROM passkeys WHERE user_id = ? ORDER BY created_at DESC`,
+        [s.user.id],
+      );
+      return res.json({ passkeys: rows });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Options for navigator.credentials.create()
+  app.post(
+    "/api/passkeys/register/options",
+    csrfProtection,
+    async (req, res) => {
+      try {
+        const s = await getSession(req);
+        if (!s) return res.status(401).json({ error: "not authenticated" });
+
+        const existing = await all(
+          `SELECT credential_id, transports FROM passkeys WHERE user_id = ?`,
+          [s.user.id],
+        );
+        const challenge = await createChallenge("registration", s.user.id);
+        return res.json({
+          publicKey: {
+            challenge,
+            rp: { id: rpId, name: rpName },
+            user: {
+              id: await getUserHandle(s.user.id),
+              name: s.user.email,
+              displayName: s.user.email,
+            },
+            pubKeyCredParams: SUPPORTED_ALGORITHMS.map((alg) => ({
+              type: "public-key",
+              alg,
+            })),
+            timeout: WEBAUTHN_CHALLENGE_TTL,
+            attestation: "none",
+            authenticatorSelection: {
+              residentKey: "required",
+              userVerification: "preferred",
+            },
+            // Don't register the same authenticator twice
+            excludeCredentials: existing.map((row) => ({
+              type: "public-key",
+              id: row.credential_id,
+              transports: JSON.parse(row.transports || "[]"),
+            })),
+          },
+        });
+      } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "server error" });
+      }
+    },
+  );
+
+  // Store a new passkey from the navigator.credentials.create() result
+  app.post(
+    "/api/passkeys/register",
+    csrfProtection,
+    limiter,
+    async (req, res) => {
+      try {
+        const s = await getSession(req);
+        if (!s) return res.status(401).json({ error: "not authenticated" });
+
+        const { credential, name } = req.body || {};
+        const pending = await consumeChallenge(credential, "registration");
+        if (!pending || pending.userId !== s.user.id) {
+          return res
+            .status(400)
+            .json({ error: "invalid or expired passkey challenge" });
+        }
+
+        let verified;
+        try {
+          verified = verifyRegistration(credential, {
+            challenge: pending.challenge,
+            origin,
+            rpId,
+          });
+        } catch (e) {
+          console.log(`[Passkeys] Registration rejected: ${e.message}`);
+          return res.status(400).json({ error: "passkey verification failed" });
+        }
+
+        const taken = await get(
+          `SELECT id FROM passkeys WHERE credential_id = ?`,
+          [verified.credentialId],
+        );
+        if (taken) {
+          return res.status(409).json({ error: "passkey already registered" });
+        }
+
+        const createdAt = Date.now();
+        const label =
+          String(name || "")
+            .trim()
+            .slice(0, MAX_PASSKEY_NAME_LENGTH) || "Passkey";
+        const result = await run(
+          `INSERT INTO passkeys(user_id, credential_id, public_key, alg, sign_count, transports, name, created_at) VALUES(?,?,?,?,?,?,?,?)`,
+          [
+            s.user.id,
+            verified.credentialId,
+            verified.publicKey,
+            verified.alg,
+            verified.signCount,
+            JSON.stringify(verified.transports),
+            label,
+            createdAt,
+          ],
+        );
+        console.log(`[Passkeys] Registered passkey for user ${s.user.id}`);
+        return res.status(201).json({
+          ok: true,
+          passkey: {
+            id: result.lastID,
+            name: label,
+            created_at: createdAt,
+            last_used_at: null,
+          },
+        });
+      } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "server error" });
+      }
+    },
+  );
+
+  // Remove a passkey, e.g. one on a lost device
+  app.delete("/api/passkeys/:id", csrfProtection, async (req, res) => {
+    try {
+      const s = await getSession(req);
+      if (!s) return res.status(401).json({ error: "not authenticated" });
+
+      const result = await run(
+        `DELETE FROM passkeys WHERE id = ? AND user_id = ?`,
+        [req.params.id, s.user.id],
+      );
+      if (result.changes === 0) {
+        return res.status(404).json({ error: "passkey not found" });
+      }
+      return res.json({ ok: true });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Options for navigator.credentials.get(). No email is asked for: the
+  // browser offers the passkeys it has for this site (discoverable credentials).
+  app.post(
+    "/api/login/passkey/options",
+    csrfProtection,
+    limiter,
+    async (req, res) => {
+      try {
+        const challenge = await createChallenge("authentication");
+        return res.json({
+          publicKey: {
+            challenge,
+            rpId,
+            timeout: WEBAUTHN_CHALLENGE_TTL,
+            userVerification: "required",
+            allowCredentials: [],
+          },
+        });
+      } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "server error" });
+      }
+    },
+  );
+
+  // Passwordless sign-in. A user-verified passkey counts as two factors, so
+  // accounts with TOTP enabled are not asked for a code.
+  app.post("/api/login/passkey", csrfProtection, limiter, async (req, res) => {
+    try {
+      const { credential, remember } = req.body || {};
+      const pending = await consumeChallenge(credential, "authentication");
+      if (!pending) {
+        return res
+          .status(401)
+          .json({ error: "invalid or expired passkey challenge" });
+      }
+
+      const stored = await get(
+        `SELECT p.id, p.user_id, p.public_key, p.alg, p.sign_count, u.email, u.verified, u.webauthn_handle, u.locked_at FROM passkeys p JOIN users u ON u.id = p.user_id WHERE p.credential_id = ?`,
+        [credential.id],
+      );
+      if (!stored) return res.status(401).json({ error: "unknown passkey" });
+
+      const userHandle = credential.response.userHandle;
+      let signCount;
+      try {
+        if (userHandle && userHandle !== stored.webauthn_handle) {
+          throw new Error("user handle mismatch");
+        }
+        ({ signCount } = verifyAssertion(credential, stored, {
+          challenge: pending.challenge,
+          origin,
+          rpId,
+          requireUserVerification: true,
+        }));
+      } catch (e) {
+        console.log(
+          `[Passkeys] Sign-in rejected for passkey ${stored.id}: ${e.message}`,
+        );
+        await recordAuditEvent(req, stored.user_id, "login.failed", {
+          method: "passkey",
+        });
+        return res.status(401).json({ error: "passkey verification failed" });
+      }
+      if (!stored.verified) {
+        return res.status(403).json({ error: "email not verified" });
+      }
+      if (stored.locked_at) {
+        return res.status(403).json({ error: "account is locked" });
+      }
+
+      await run(
+        `UPDATE passkeys SET sign_count = ?, last_used_at = ? WHERE id = ?`,
+        [signCount, Date.now(), stored.id],
+      );
+      const sid = await createSessionForUserId(stored.user_id, req, {
+        remember: remember === true,
+      });
+      setSessionCookie(res, sid, { remember: remember === true });
+      await recordAuditEvent(req, stored.user_id, "login.succeeded", {
+        method: "passkey",
+      });
+      return res.json({ ok: true, email: stored.email });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+}
+
+export default registerPasskeyRoutes;
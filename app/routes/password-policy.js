@@ -0,0 +1,95 @@
+// Password policy shared by register, change-password and reset-password.
+// Returns every rule a password breaks as { code, message } so the frontend
+// can show all of them at once.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+export const MIN_PASSWORD_LENGTH = 8;
+// bcrypt ignores everything after 72 bytes
+export const MAX_PASSWORD_LENGTH = 72;
+
+const DENYLIST_FILE = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "data",
+  "common-passwords.txt",
+);
+
+// Read once at startup; lines starting with # are comments
+function loadDenylist(file) {
+  return new Set(
+    fs
+      .readFileSync(file, "utf8")
+      .split(/\r?\n/)
+      .map((line) => line.trim().toLowerCase())
+      .filter((line) => line && !line.startsWith("#")),
+  );
+}
+
+const COMMON_PASSWORDS = loadDenylist(DENYLIST_FILE);
+
+export function isCommonPassword(password) {
+  return COMMON_PASSWORDS.has(String(password).trim().toLowerCase());
+}
+
+// Too close to the email: the letters of the password are the whole address,
+// its local part (john.doe) or one of its words (john, doe), or a piece of
+// the local part. Case, digits and symbols are ignored, so "JohnDoe1990!"
+// counts as similar to john.doe@example.com.
+export function isSimilarToEmail(password, email) {
+  if (!email) return false;
+  const normalize = (value) =>
+    String(value)
+      .toLowerCase()
+      .replace(/[^a-z]/g, "");
+  const candidate = normalize(password);
+  if (!candidate) return false;
+
+  const [localPart] = String(email).toLowerCase().split("@");
+  const words = [localPart, ...localPart.split(/[^a-z]+/)]
+    .map(normalize)
+    .filter((word) => word.length >= 4);
+  if (normalize(email) === candidate) return true;
+  return words.some(
+    (word) =>
+      candidate === word || (candidate.length >= 4 && word.includes(candidate)),
+  );
+}
+
+export function checkPasswordPolicy(password, { email } = {}) {
+  const reasons = [];
+  const value = typeof password === "string" ? password : "";
+
+  if (value.length < MIN_PASSWORD_LENGTH) {
+    reasons.push({
+      code: "too_short",
+      message: `password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    });
+  }
+  if (Buffer.byteLength(value, "utf8") > MAX_PASSWORD_LENGTH) {
+    reasons.push({
+      code: "too_long",
+      message: `password must be at most ${MAX_PASSWORD_LENGTH} bytes`,
+    });
+  }
+  if (value && isCommonPassword(value)) {
+    reasons.push({
+      code: "common",
+      message: "password is too common and easy to guess",
+    });
+  }
+  if (value && isSimilarToEmail(value, email)) {
+    reasons.push({
+      code: "similar_to_email",
+      message: "password is too similar to the email address",
+    });
+  }
+  return reasons;
+}
+
+// Standard 400 body when a password is refused
+export function passwordPolicyError(reasons) {
+  return { error: "password does not meet requirements", reasons };
+}
@@ -0,0 +1,119 @@
+// Password reset routes: request a reset link by email and set a new
+// password with the emailed single-use token
+
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import { hashLoginEmail } from "./login-lockout.js";
+import { checkPasswordPolicy, passwordPolicyError } from "./password-policy.js";
+
+export const RESET_TOKEN_TTL = 60 * 60 * 1000; // 1 hour
+
+// Only a hash of the token is stored, so a leaked database cannot reset accounts
+export function hashResetToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function registerPasswordResetRoutes(app, deps) {
+  const {
+    csrfProtection,
+    limiter,
+    run,
+    get,
+    sendPasswordResetEmail,
+    recordAuditEvent = async () => {},
+  } = deps;
+
+  // Request a reset link. The response is the same whether or not the email
+  // has an account, so it cannot be used to probe for registered addresses.
+  app.post(
+    "/api/forgot-password",
+    csrfProtection,
+    limiter,
+    async (req, res) => {
+      try {
+        const { email } = req.body || {};
+        if (!email) return res.status(400).json({ error: "email required" });
+
+        const user = await get(`SELECT id, email FROM users WHERE email = ?`, [
+          email,
+        ]);
+        if (user) {
+          const token = crypto.randomBytes(32).toString("hex");
+          // A new request replaces any earlier, still unused token
+          await run(
+            `UPDATE users SET reset_token = ?, reset_expires = ? WHERE id = ?`,
+            [hashResetToken(token), Date.now() + RESET_TOKEN_TTL, user.id],
+          );
+          await sendPasswordResetEmail(user.email, token);
+          console.log(`[Password Reset] Reset link sent to user ${user.id}`);
+        }
+
+        return res.json({
+          ok: true,
+          message: "if an account exists for this email, a reset link was sent",
+        });
+      } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "server error" });
+      }
+    },
+  );
+
+  // Set a new password with a reset token
+  app.post("/api/reset-password", csrfProtection, limiter, async (req, res) => {
+    try {
+      const { token, password, confirmPassword } = req.body || {};
+      if (!token || !password) {
+        return res
+          .status(400)
+          .json({ error: "reset token and password required" });
+      }
+      if (password !== confirmPassword) {
+        return res.status(400).json({ error: "passwords do not match" });
+      }
+      const user = await get(
+        `SELECT id, email FROM users WHERE reset_token = ? AND reset_expires > ?`,
+        [hashResetToken(token), Date.now()],
+      );
+      if (!user) {
+        return res
+          .status(400)
+          .json({ error: "invalid or expired reset token" });
+      }
+      const reasons = checkPasswordPolicy(password, { email: user.email });
+      if (reasons.length) {
+        return res.status(400).json(passwordPolicyError(reasons));
+      }
+
+      const hash = await bcrypt.hash(password, 10);
+      // Clearing the token makes it single-use. Following the emailed link
+      // also proves the address, so an unverified account becomes verified.
+      await run(
+        `UPDATE users SET password = ?, reset_token = NULL, reset_expires = NULL, verified = 1, verification_token = NULL WHERE id = ?`,
+        [hash, user.id],
+      );
+      // The new password should work right away, even after failed logins
+      await run(`DELETE FROM login_failures WHERE email_hash = ?`, [
+        hashLoginEmail(user.email),
+      ]);
+
+      // Invalidate all sessions for this user (force re-login on all devices)
+      const result = await run(`DELETE FROM sessions WHERE user_id = ?`, [
+        user.id,
+      ]);
+      console.log(
+        `[Password Reset] Invalidated ${result.changes} session(s) for user ${user.id}`,
+      );
+      await recordAuditEvent(req, user.id, "password.reset", {
+        sessionsRevoked: result.changes,
+      });
+
+      return res.json({ ok: true, message: "password reset successfully" });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+}
+
+export default registerPasswordResetRoutes;
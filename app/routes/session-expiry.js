@@ -0,0 +1,40 @@
+// Session lifetime rules shared by login and getSession.
+// A session slides forward on use (idle timeout) but never outlives its
+// absolute maximum lifetime, counted from creation. "Remember me" sessions
+// get longer limits for both.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const SESSION_LIFETIMES = {
+  default: { idle: 7 * DAY, max: 30 * DAY },
+  remember: { idle: 30 * DAY, max: 90 * DAY },
+};
+
+export function sessionLifetime(remember) {
+  return remember ? SESSION_LIFETIMES.remember : SESSION_LIFETIMES.default;
+}
+
+// Absolute end of the session
+export function sessionMaxExpiry(row) {
+  return row.createdAt + sessionLifetime(row.remember).max;
+}
+
+// Cookie lifetime options. A "remember me" cookie lasts the max lifetime;
+// any other is a browser-session cookie, dropped when the browser closes, so
+// a login on a shared computer does not stay behind.
+export function sessionCookieOptions(remember) {
+  return remember ? { maxAge: SESSION_LIFETIMES.remember.max } : {};
+}
+
+// Deadline after a use at `now`: idle timeout from now, capped by the max lifetime
+export function nextSessionExpiry(row, now = Date.now()) {
+  return Math.min(
+    now + sessionLifetime(row.remember).idle,
+    sessionMaxExpiry(row),
+  );
+}
+
+export function isSessionExpired(row, now = Date.now()) {
+  const expiresAt = row.expires_at || nextSessionExpiry(row, row.createdAt);
+  return now > expiresAt || now > sessionMaxExpiry(row);
+}
@@ -0,0 +1,83 @@
+// Session routes: list where the user is signed in and revoke sessions.
+// Sessions are exposed by their public_id; the sid cookie value never leaves the server.
+
+function registerSessionRoutes(app, deps) {
+  const {
+    csrfProtection,
+    getSession,
+    run,
+    all,
+    recordAuditEvent = async () => {},
+  } = deps;
+
+  // List the user's active sessions, most recently used first
+  app.get("/api/sessions", async (req, res) => {
+    try {
+      const s = await getSession(req);
+      if (!s) return res.status(401).json({ error: "not authenticated" });
+
+      const rows = await all(
+        `SELECT sid, public_id, user_agent, ip, createdAt, last_seen FROM sessions WHERE user_id = ? AND expires_at > ? ORDER BY COALESCE(last_seen, createdAt) DESC`,
+        [s.user.id, Date.now()],
+      );
+      const sessions = rows.map((row) => ({
+        id: row.public_id,
+        user_agent: row.user_agent,
+        ip: row.ip,
+        created_at: row.createdAt,
+        last_seen: row.last_seen || row.createdAt,
+        current: row.sid === s.sid,
+      }));
+      return res.json({ sessions });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Sign out everywhere else: revoke all sessions except the current one
+  app.delete("/api/sessions", csrfProtection, async (req, res) => {
+    try {
+      const s = await getSession(req);
+      if (!s) return res.status(401).json({ error: "not authenticated" });
+
+      const result = await run(
+        `DELETE FROM sessions WHERE user_id = ? AND sid != ?`,
+        [s.user.id, s.sid],
+      );
+      console.log(
+        `[Sessions] Revoked ${result.changes} other session(s) for user ${s.user.id}`,
+      );
+      await recordAuditEvent(req, s.user.id, "session.revoked", {
+        count: result.changes,
+      });
+      return res.json({ ok: true, revoked: result.changes });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Revoke a single session, e.g. the one of a lost phone
+  app.delete("/api/sessions/:id", csrfProtection, async (req, res) => {
+    try {
+      const s = await getSession(req);
+      if (!s) return res.status(401).json({ error: "not authenticated" });
+
+      const result = await run(
+        `DELETE FROM sessions WHERE public_id = ? AND user_id = ?`,
+        [req.params.id, s.user.id],
+      );
+      if (result.changes === 0) {
+        return res.status(404).json({ error: "session not found" });
+      }
+      await recordAuditEvent(req, s.user.id, "session.revoked", { count: 1 });
+      return res.json({ ok: true });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+}
+
+export default registerSessionRoutes;
@@ -0,0 +1,705 @@
+// State routes module
+// Registers the endpoints that read and write a user's whole trip tree at once
+
+import { v4 as uuidv4, validate as uuidValidate } from "uuid";
+import { TRANSPORTATION_MODES } from "./transportation.js";
+import { publishTripEvent } from "./events.js";
+
+// Tombstones older than this are purged, so a sync cursor older than the
+// retention window can no longer be served as a delta
+export const TOMBSTONE_RETENTION_DAYS = 30;
+
+// How a local trip that also exists in the account is merged on first login
+const FIRSTLOGIN_RESOLUTIONS = new Set([
+  "keep_both",
+  "keep_local",
+  "keep_remote",
+]);
+
+// Cursor format matches SQLite's CURRENT_TIMESTAMP (UTC, second precision)
+const CURSOR_REGEX = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+function registerStateRoutes(app, deps) {
+  const { csrfProtection, getSession, run, get, all } = deps;
+
+  // The app shares one sqlite connection, where only one transaction can be
+  // open at a time; transactions queue here and run one after another
+  let transactionQueue = Promise.resolve();
+  function inTransaction(work) {
+    const result = transactionQueue.then(async () => {
+      await run("BEGIN TRANSACTION");
+      try {
+        const value = await work();
+        await run("COMMIT");
+        return value;
+      } catch (e) {
+        await run("ROLLBACK");
+        throw e;
+      }
+    });
+    transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  // Build the canonical state (trips with their cities and transportation) for a user
+  async function buildState(userId) {
+    const trips = await all(
+      `SELECT id, uuid, name, start_date, version FROM trips WHERE user_id = ?`,
+      [userId],
+    );
+    if (!trips || trips.length === 0) return null;
+
+    const tripIds = trips.map((trip) => trip.id);
+
+    const cities = await all(
+      `SELECT id, uuid, name, nights, notes, latitude, longitude, sort_order, trip_id, version FROM cities WHERE trip_id IN (${tripIds
+        .map(() => "?")
+        .join(", ")}) ORDER BY sort_order ASC, id ASC`,
+      tripIds,
+    );
+
+    const transportation = await all(
+      `SELECT id, uuid, trip_id, from_city_id, to_city_id, mode, notes FROM transportation WHERE trip_id IN (${tripIds
+        .map(() => "?")
+        .join(", ")})`,
+      tripIds,
+    );
+
+    return {
+      trips: trips.map((trip) => ({
+        id: trip.id,
+        uuid: trip.uuid,
+        name: trip.name,
+        start_date: trip.start_date,
+        version: trip.version,
+        cities: cities.filter((city) => city.trip_id === trip.id),
+        transportation: transportation.filter((t) => t.trip_id === trip.id),
+      })),
+    };
+  }
+
+  // Collect rows changed since the cursor plus tombstones for deleted rows.
+  // Comparison is inclusive because timestamps only have second precision;
+  // re-sending a row the client already has is harmless.
+  async function buildDelta(userId, since) {
+    const trips = await all(
+      `SELECT id, uuid, name, start_date, version, updated_at FROM trips WHERE user_id = ?`,
+      [userId],
+    );
+    const tripIds = trips.map((trip) => trip.id);
+    const placeholders = tripIds.map(() => "?").join(", ");
+
+    let cities = [];
+    let transportation = [];
+    let childTombstones = [];
+    if (tripIds.length > 0) {
+      cities = await all(
+        `SELECT id, uuid, name, nights, notes, latitude, longitude, sort_order, trip_id, version FROM cities WHERE trip_id IN (${placeholders}) AND updated_at >= ? ORDER BY sort_order ASC, id ASC`,
+        [...tripIds, since],
+      );
+      transportation = await all(
+        `SELECT id, uuid, trip_id, from_city_id, to_city_id, mode, notes FROM transportation WHERE trip_id IN (${placeholders}) AND updated_at >= ?`,
+        [...tripIds, since],
+      );
+      childTombstones = await all(
+        `SELECT entity, entity_id, trip_id FROM deleted_records WHERE entity != 'trip' AND trip_id IN (${placeholders}) AND deleted_at >= ?`,
+        [...tripIds, since],
+      );
+    }
+    const tripTombstones = await all(
+      `SELECT entity, entity_id FROM deleted_records WHERE entity = 'trip' AND user_id = ? AND deleted_at >= ?`,
+      [userId, since],
+    );
+
+    const tombstoneIds = (entity) =>
+      [...tripTombstones, ...childTombstones]
+        .filter((t) => t.entity === entity)
+        .map((t) => t.entity_id);
+
+    return {
+      trips: trips
+        .filter((trip) => trip.updated_at >= since)
+        .map((trip) => ({
+          id: trip.id,
+          uuid: trip.uuid,
+          name: trip.name,
+          start_date: trip.start_date,
+          version: trip.version,
+        })),
+      cities,
+      transportation,
+      deleted: {
+        trips: tombstoneIds("trip"),
+        cities: tombstoneIds("city"),
+        transportation: tombstoneIds("transportation"),
+      },
+    };
+  }
+
+  // Validate the incoming state tree and normalize its values.
+  // Returns { error } on the first invalid entry, otherwise { trips }.
+  function validateState(state) {
+    const invalidUuid = (entry) =>
+      entry.uuid !== undefined &&
+      entry.uuid !== null &&
+      !uuidValidate(String(entry.uuid));
+    const normalizeUuid = (entry) =>
+      entry.uuid ? String(entry.uuid).toLowerCase() : null;
+
+    if (!state || typeof state !== "object" || Array.isArray(state)) {
+      return { error: "state must be an object" };
+    }
+    const trips = state.trips || [];
+    if (!Array.isArray(trips)) return { error: "trips must be an array" };
+
+    const normalized = [];
+    for (const trip of trips) {
+      if (!trip || !trip.name || !String(trip.name).trim()) {
+        return { error: "trip name required" };
+      }
+      const sd = trip.start_date || null;
+      if (sd && !/^\d{4}-\d{2}-\d{2}$/.test(sd)) {
+        return { error: "start_date must be in YYYY-MM-DD format" };
+      }
+      if (invalidUuid(trip)) return { error: "uuid must be a valid UUID" };
+
+      const cities = trip.cities || [];
+      if (!Array.isArray(cities)) return { error: "cities must be an array" };
+      const normalizedCities = [];
+      for (const city of cities) {
+        if (!city || !city.name || !String(city.name).trim()) {
+          return { error: "city name required" };
+        }
+        if (invalidUuid(city)) return { error: "uuid must be a valid UUID" };
+        const n =
+          typeof city.nights === "undefined" || city.nights === null
+            ? 1
+            : Number(city.nights);
+        if (!Number.isFinite(n) || n < 0) {
+          return { error: "nights must be a non-negative number" };
+        }
+        let lat = null;
+        let lon = null;
+        if (
+          (city.latitude !== undefined && city.latitude !== null) ||
+          (city.longitude !== undefined && city.longitude !== null)
+        ) {
+          lat = Number(city.latitude);
+          lon = Number(city.longitude);
+          if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+            return { error: "latitude must be between -90 and 90" };
+          }
+          if (!Number.isFinite(lon) || lon < -180 || lon > 180) {
+            return { error: "longitude must be between -180 and 180" };
+          }
+        }
+        normalizedCities.push({
+          id: city.id,
+          uuid: normalizeUuid(city),
+          name: String(city.name).trim(),
+          nights: n,
+          notes:
+            typeof city.notes === "string" && city.notes.trim() !== ""
+              ? city.notes
+              : null,
+          latitude: lat,
+          longitude: lon,
+        });
+      }
+
+      const transportation = trip.transportation || [];
+      if (!Array.isArray(transportation)) {
+        return { error: "transportation must be an array" };
+      }
+      const normalizedTransportation = [];
+      for (const t of transportation) {
+        if (!t || !TRANSPORTATION_MODES.has(t.mode)) {
+          return { error: "invalid mode" };
+        }
+        if (invalidUuid(t)) return { error: "uuid must be a valid UUID" };
+        normalizedTransportation.push({
+          id: t.id,
+          uuid: normalizeUuid(t),
+          from_city_id: t.from_city_id,
+          to_city_id: t.to_city_id,
+          mode: t.mode,
+          notes: typeof t.notes === "string" ? t.notes.trim() : null,
+        });
+      }
+
+      normalized.push({
+        id: trip.id,
+        uuid: normalizeUuid(trip),
+        name: String(trip.name).trim(),
+        start_date: sd,
+        cities: normalizedCities,
+        transportation: normalizedTransportation,
+      });
+    }
+    return { trips: normalized };
+  }
+
+  // Pages open on a trip that a sync rewrote get the whole new trip
+  function publishReplacedTrips(state, tripIds) {
+    for (const trip of (state && state.trips) || []) {
+      if (tripIds.has(trip.id)) {
+        publishTripEvent(trip.id, "trip.replaced", { trip });
+      }
+    }
+  }
+
+  // Keep the client uuid unless another row already owns it
+  async function freshUuid(table, uuid) {
+    if (!uuid) return uuidv4();
+    const taken = await get(`SELECT id FROM ${table} WHERE uuid = ?`, [uuid]);
+    return taken ? uuidv4() : uuid;
+  }
+
+  // Trips on the device and on the server are considered the same trip when
+  // they share name (case-insensitive) and start date
+  function tripMatchKey(trip) {
+    return `${String(trip.name || "")
+      .trim()
+      .toLowerCase()}|${trip.start_date || ""}`;
+  }
+
+  // Insert a local trip's cities and transportation legs into a server trip,
+  // recording client id -> server id for every inserted row in ids
+  async function insertTripContent(tripId, trip, ids) {
+    const cityIdMap = new Map();
+    for (const [index, city] of trip.cities.entries()) {
+      const result = await run(
+        `INSERT INTO cities(name, nights, notes, latitude, longitude, sort_order, trip_id, uuid) VALUES(?,?,?,?,?,?,?,?)`,
+        [
+          city.name,
+          city.nights,
+          city.notes,
+          city.latitude,
+          city.longitude,
+          index,
+          tripId,
+          await freshUuid("cities", city.uuid),
+        ],
+      );
+      if (typeof city.id !== "undefined") {
+        cityIdMap.set(city.id, result.lastID);
+        ids.cities[city.id] = result.lastID;
+      }
+    }
+
+    const legs = new Set();
+    for (const t of trip.transportation) {
+      const fromId = cityIdMap.get(t.from_city_id);
+      const toId = cityIdMap.get(t.to_city_id);
+      // skip legs between unknown cities and duplicates of the same leg
+      if (!fromId || !toId || legs.has(`${fromId}-${toId}`)) continue;
+      legs.add(`${fromId}-${toId}`);
+      const result = await run(
+        `INSERT INTO transportation(trip_id, from_city_id, to_city_id, mode, notes, uuid) VALUES (?,?,?,?,?,?)`,
+        [
+          tripId,
+          fromId,
+          toId,
+          t.mode,
+          t.notes,
+          await freshUuid("transportation", t.uuid),
+        ],
+      );
+      if (typeof t.id !== "undefined") ids.transportation[t.id] = result.lastID;
+    }
+  }
+
+  // Save state for the first time login into database tables.
+  // Local trips that match a trip already in the account are reported as
+  // conflicts (409) until the client sends a resolution for each of them:
+  // "keep_both", "keep_local" (overwrite the account copy) or "keep_remote".
+  app.post("/api/state/firstlogin", csrfProtection, async (req, res) => {
+    try {
+      const s = await getSession(req);
+      if (!s) return res.status(401).json({ error: "not authenticated" });
+      const userId = s.user.id;
+      const state = req.body && req.body.state;
+      // Log full nested structure (trips with their cities) for debugging
+      console.log(
+        "first login: saving state =>\n" + JSON.stringify(state, null, 2),
+      );
+      if (typeof state === "undefined")
+        return res.status(400).json({ error: "state missing in body" });
+
+      const validated = validateState(state);
+      if (validated.error) {
+        return res.status(400).json({ error: validated.error });
+      }
+      const resolutions = (req.body && req.body.resolutions) || {};
+
+      // client id -> server id, so the client can rewrite its local store
+      const ids = { trips: {}, cities: {}, transportation: {} };
+
+      await run("PRAGMA foreign_keys = ON");
+      // Matching runs in the transaction too, so a sync that commits
+      // meanwhile cannot leave the plan stale
+      const { plan, conflicts } = await inTransaction(async () => {
+        const serverTrips = await all(
+          `SELECT id, uuid, name, start_date FROM trips WHERE user_id = ?`,
+          [userId],
+        );
+        const remoteByKey = new Map(
+          serverTrips.map((trip) => [tripMatchKey(trip), trip]),
+        );
+        const remoteByUuid = new Map(
+          serverTrips.map((trip) => [trip.uuid, trip]),
+        );
+
+        const plan = [];
+        const conflicts = [];
+        for (const trip of validated.trips) {
+          // a shared client uuid identifies the trip even after a rename
+          const remote =
+            (trip.uuid && remoteByUuid.get(trip.uuid)) ||
+            remoteByKey.get(tripMatchKey(trip));
+          if (!remote) {
+            plan.push({ trip, action: "insert" });
+            continue;
+          }
+          // A device copy identical to the account copy is not a conflict
+          const remoteCities = await all(
+            `SELECT id, name, nights, notes FROM cities WHERE trip_id = ? ORDER BY sort_order ASC, id ASC`,
+            [remote.id],
+          );
+          const identical =
+            remoteCities.length === trip.cities.length &&
+            remoteCities.every(
+              (c, i) =>
+                c.name === trip.cities[i].name &&
+                c.nights === trip.cities[i].nights &&
+                (c.notes || null) === trip.cities[i].notes,
+            );
+          if (identical) {
+            plan.push({ trip, remote, remoteCities, action: "keep_remote" });
+            continue;
+          }
+          const resolution = resolutions[trip.id];
+          if (!FIRSTLOGIN_RESOLUTIONS.has(resolution)) {
+            conflicts.push({
+              localId: trip.id,
+              remoteId: remote.id,
+              name: remote.name,
+              start_date: remote.start_date,
+            });
+            continue;
+          }
+          plan.push({ trip, remote, action: resolution });
+        }
+
+        // Nothing is written until every conflict has been resolved by the user
+        if (conflicts.length > 0) return { plan, conflicts };
+
+        for (const { trip, remote, remoteCities, action } of plan) {
+          if (action === "keep_remote") {
+            ids.trips[trip.id] = remote.id;
+            // identical copies map city by city; otherwise local cities are dropped
+            if (remoteCities) {
+              trip.cities.forEach((city, i) => {
+                ids.cities[city.id] = remoteCities[i].id;
+              });
+            }
+            continue;
+          }
+          if (action === "keep_local") {
+            // the account copy keeps its uuid
+            await run(
+              `UPDATE trips SET name = ?, start_date = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+              [trip.name, trip.start_date, remote.id],
+            );
+            await run(`DELETE FROM transportation WHERE trip_id = ?`, [
+              remote.id,
+            ]);
+            await run(`DELETE FROM cities WHERE trip_id = ?`, [remote.id]);
+            ids.trips[trip.id] = remote.id;
+            await insertTripContent(remote.id, trip, ids);
+            continue;
+          }
+          // "insert" and "keep_both" (a kept copy gets new uuids)
+          const result = await run(
+            `INSERT INTO trips(name, start_date, user_id, uuid) VALUES(?,?,?,?)`,
+            [
+              trip.name,
+              trip.start_date,
+              userId,
+              await freshUuid("trips", trip.uuid),
+            ],
+          );
+          ids.trips[trip.id] = result.lastID;
+          await insertTripContent(result.lastID, trip, ids);
+        }
+        return { plan, conflicts };
+      });
+      if (conflicts.length > 0) {
+        return res
+          .status(409)
+          .json({ error: "trips already exist in your account", conflicts });
+      }
+
+      // return the merged state with server ids and the id mapping
+      const newState = await buildState(userId);
+      publishReplacedTrips(
+        newState,
+        new Set(
+          plan
+            .filter(({ action }) => action === "keep_local")
+            .map(({ remote }) => remote.id),
+        ),
+      );
+      return res.json({ ok: true, state: newState || { trips: [] }, ids });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Checks if user has trips, if yes will build a state from trips and cities tables and return it.
+  // With ?since=<cursor> only rows changed after the cursor are returned, plus deletions.
+  app.get("/api/state", async (req, res) => {
+    try {
+      const s = await getSession(req);
+      if (!s) return res.status(401).json({ error: "not authenticated" });
+
+      const { since } = req.query;
+      if (typeof since !== "undefined" && !CURSOR_REGEX.test(since)) {
+        return res
+          .status(400)
+          .json({ error: "since must be in YYYY-MM-DD HH:MM:SS format" });
+      }
+
+      // Read the cursor before the data so concurrent writes are picked up next time
+      const { now, oldest } = await get(
+        `SELECT CURRENT_TIMESTAMP as now, datetime('now', ?) as oldest`,
+        [`-${TOMBSTONE_RETENTION_DAYS} days`],
+      );
+
+      // Tombstones before the retention window may be gone: fall back to a full state
+      if (since && since >= oldest) {
+        const changes = await buildDelta(s.user.id, since);
+        return res.json({ full: false, changes, cursor: now });
+      }
+
+      const state = await buildState(s.user.id);
+      return res.json({ full: true, state, cursor: now });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Bulk sync: diff the client's state tree against the user's rows and apply
+  // creates, updates and deletes in a single transaction.
+  // Client entries whose id matches an existing row of the user are updated,
+  // everything else is created; rows missing from the client state are deleted.
+  app.post("/api/state", csrfProtection, async (req, res) => {
+    try {
+      const s = await getSession(req);
+      if (!s) return res.status(401).json({ error: "not authenticated" });
+      const userId = s.user.id;
+
+      const state = req.body && req.body.state;
+      if (typeof state === "undefined")
+        return res.status(400).json({ error: "state missing in body" });
+
+      const validated = validateState(state);
+      if (validated.error) {
+        return res.status(400).json({ error: validated.error });
+      }
+
+      // enable PRAGMA foreign_keys so deletes cascade (no-op inside a transaction)
+      await run("PRAGMA foreign_keys = ON");
+      // The server rows are read in the transaction, after any sync that
+      // was running has committed
+      const { serverTripsById, keptTripIds } = await inTransaction(async () => {
+        const serverTrips = await all(
+          `SELECT id, uuid, name, start_date, version FROM trips WHERE user_id = ?`,
+          [userId],
+        );
+        const serverTripsById = new Map(serverTrips.map((t) => [t.id, t]));
+        const serverTripIdsByUuid = new Map(
+          serverTrips.map((t) => [t.uuid, t.id]),
+        );
+
+        const keptTripIds = new Set();
+        for (const trip of validated.trips) {
+          let tripId = parseInt(trip.id, 10);
+          if (!serverTripsById.has(tripId) && trip.uuid) {
+            tripId = serverTripIdsByUuid.get(trip.uuid);
+          }
+          const serverTrip = serverTripsById.get(tripId);
+          if (serverTrip && !keptTripIds.has(tripId)) {
+            // only touch rows that actually changed so updated_at stays meaningful
+            if (
+              serverTrip.name !== trip.name ||
+              serverTrip.start_date !== trip.start_date
+            ) {
+              await run(
+                `UPDATE trips SET name = ?, start_date = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [trip.name, trip.start_date, tripId],
+              );
+            }
+          } else {
+            const result = await run(
+              `INSERT INTO trips(name, start_date, user_id, uuid) VALUES(?,?,?,?)`,
+              [
+                trip.name,
+                trip.start_date,
+                userId,
+                await freshUuid("trips", trip.uuid),
+              ],
+            );
+            tripId = result.lastID;
+          }
+          keptTripIds.add(tripId);
+
+          // Cities: map client ids to server ids so transportation can reference them
+          const serverCities = await all(
+            `SELECT id, uuid, name, nights, notes, latitude, longitude, sort_order FROM cities WHERE trip_id = ?`,
+            [tripId],
+          );
+          const serverCitiesById = new Map(serverCities.map((c) => [c.id, c]));
+          const serverCityIdsByUuid = new Map(
+            serverCities.map((c) => [c.uuid, c.id]),
+          );
+          const cityIdMap = new Map();
+          const keptCityIds = new Set();
+
+          for (const [index, city] of trip.cities.entries()) {
+            let cityId = parseInt(city.id, 10);
+            if (!serverCitiesById.has(cityId) && city.uuid) {
+              cityId = serverCityIdsByUuid.get(city.uuid);
+            }
+            const serverCity = serverCitiesById.get(cityId);
+            if (serverCity && !keptCityIds.has(cityId)) {
+              const changed =
+                serverCity.name !== city.name ||
+                serverCity.nights !== city.nights ||
+                serverCity.notes !== city.notes ||
+                serverCity.latitude !== city.latitude ||
+                serverCity.longitude !== city.longitude ||
+                serverCity.sort_order !== index;
+              if (!changed) {
+                keptCityIds.add(cityId);
+                if (typeof city.id !== "undefined")
+                  cityIdMap.set(city.id, cityId);
+                continue;
+              }
+              await run(
+                `UPDATE cities SET name = ?, nights = ?, notes = ?, latitude = ?, longitude = ?, sort_order = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [
+                  city.name,
+                  city.nights,
+                  city.notes,
+                  city.latitude,
+                  city.longitude,
+                  index,
+                  cityId,
+                ],
+              );
+            } else {
+              const result = await run(
+                `INSERT INTO cities(name, nights, notes, latitude, longitude, sort_order, trip_id, uuid) VALUES(?,?,?,?,?,?,?,?)`,
+                [
+                  city.name,
+                  city.nights,
+                  city.notes,
+                  city.latitude,
+                  city.longitude,
+                  index,
+                  tripId,
+                  await freshUuid("cities", city.uuid),
+                ],
+              );
+              cityId = result.lastID;
+            }
+            keptCityIds.add(cityId);
+            if (typeof city.id !== "undefined") cityIdMap.set(city.id, cityId);
+          }
+
+          for (const cityId of serverCitiesById.keys()) {
+            if (!keptCityIds.has(cityId)) {
+              await run(`DELETE FROM cities WHERE id = ?`, [cityId]);
+            }
+          }
+
+          // Transportation: one leg per pair of cities, matched on the (mapped) city ids
+          await run(
+            `DELETE FROM transportation WHERE trip_id = ? AND (from_city_id NOT IN (SELECT id FROM cities WHERE trip_id = ?) OR to_city_id NOT IN (SELECT id FROM cities WHERE trip_id = ?))`,
+            [tripId, tripId, tripId],
+          );
+          const keptLegIds = new Set();
+          for (const t of trip.transportation) {
+            const fromId = cityIdMap.get(t.from_city_id);
+            const toId = cityIdMap.get(t.to_city_id);
+            // skip legs that point to cities not present in the client state
+            if (!fromId || !toId) continue;
+
+            const existing = await get(
+              `SELECT id, mode, notes FROM transportation WHERE trip_id = ? AND from_city_id = ? AND to_city_id = ?`,
+              [tripId, fromId, toId],
+            );
+            if (existing) {
+              if (existing.mode !== t.mode || existing.notes !== t.notes) {
+                await run(
+                  `UPDATE transportation SET mode = ?, notes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                  [t.mode, t.notes, existing.id],
+                );
+              }
+              keptLegIds.add(existing.id);
+            } else {
+              const result = await run(
+                `INSERT INTO transportation(trip_id, from_city_id, to_city_id, mode, notes, uuid) VALUES (?,?,?,?,?,?)`,
+                [
+                  tripId,
+                  fromId,
+                  toId,
+                  t.mode,
+                  t.notes,
+                  await freshUuid("transportation", t.uuid),
+                ],
+              );
+              keptLegIds.add(result.lastID);
+            }
+          }
+          const serverLegs = await all(
+            `SELECT id FROM transportation WHERE trip_id = ?`,
+            [tripId],
+          );
+          for (const leg of serverLegs) {
+            if (!keptLegIds.has(leg.id)) {
+              await run(`DELETE FROM transportation WHERE id = ?`, [leg.id]);
+            }
+          }
+        }
+
+        for (const tripId of serverTripsById.keys()) {
+          if (!keptTripIds.has(tripId)) {
+            await run(`DELETE FROM transportation WHERE trip_id = ?`, [tripId]);
+            await run(`DELETE FROM cities WHERE trip_id = ?`, [tripId]);
+            await run(`DELETE FROM trips WHERE id = ?`, [tripId]);
+          }
+        }
+
+        return { serverTripsById, keptTripIds };
+      });
+
+      const newState = await buildState(userId);
+      for (const tripId of serverTripsById.keys()) {
+        if (!keptTripIds.has(tripId)) {
+          publishTripEvent(tripId, "trip.deleted", { id: tripId });
+        }
+      }
+      publishReplacedTrips(newState, keptTripIds);
+      return res.json({ ok: true, state: newState || { trips: [] } });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+}
+
+export default registerStateRoutes;
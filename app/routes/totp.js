@@ -0,0 +1,100 @@
+// TOTP (RFC 6238) helpers for two-factor authentication: base32 secrets,
+// otpauth:// URIs for authenticator apps, and code verification.
+
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+export const TOTP_PERIOD = 30; // seconds
+export const TOTP_DIGITS = 6;
+// Accept codes one step before/after the current one to absorb clock drift
+const TOTP_WINDOW = 1;
+
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+export function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error("invalid base32 character");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// 160-bit secret, the size recommended by RFC 4226
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+export function totpUri(secret, accountName, issuer = "Trippino") {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+export function totpStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD);
+}
+
+// HOTP value (RFC 4226) for a time step
+export function totpCode(secret, step = totpStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+// Returns the matching time step, or null. Steps at or before `lastStep`
+// are refused so an observed code cannot be replayed.
+export function verifyTotp(secret, code, { now = Date.now(), lastStep } = {}) {
+  const clean = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(clean) || clean.length !== TOTP_DIGITS) return null;
+  const current = totpStep(now);
+  for (
+    let step = current - TOTP_WINDOW;
+    step <= current + TOTP_WINDOW;
+    step++
+  ) {
+    if (lastStep !== undefined && lastStep !== null && step <= lastStep) {
+      continue;
+    }
+    const expected = totpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) {
+      return step;
+    }
+  }
+  return null;
+}
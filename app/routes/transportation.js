@@ -1,5 +1,19 @@
 // Transportation routes: manage transportation between consecutive cities in a trip
 
+import { v4 as uuidv4, validate as uuidValidate } from "uuid";
+import { publishTripEvent } from "./events.js";
+
+export const TRANSPORTATION_MODES = new Set([
+  "flight",
+  "car",
+  "train",
+  "public_transport",
+  "motorbike",
+  "boat",
+  "bike",
+  "walk",
+]);
+
 function registerTransportationRoutes(app, deps) {
   const { csrfProtection, getSession, run, get, all } = deps;
 
@@ -14,7 +28,7 @@ function registerTransportationRoutes(app, deps) {
 
         const tripId = parseInt(req.params.tripId, 10);
         const fromCityId = parseInt(req.params.fromCityId, 10);
-        const { toCityId, mode, notes } = req.body || {};
+        const { toCityId, mode, notes, uuid } = req.body || {};
 
         if (!tripId || !Number.isInteger(tripId)) {
           return res.status(400).json({ error: "invalid trip id" });
@@ -30,19 +44,12 @@ function registerTransportationRoutes(app, deps) {
           return res.status(400).json({ error: "mode is required" });
         }
 
-        const allowedModes = new Set([
-          "flight",
-          "car",
-          "train",
-          "public_transport",
-          "motorbike",
-          "boat",
-          "bike",
-          "walk",
-        ]);
-        if (!allowedModes.has(mode)) {
+        if (!TRANSPORTATION_MODES.has(mode)) {
           return res.status(400).json({ error: "invalid mode" });
         }
+        if (typeof uuid !== "undefined" && !uuidValidate(String(uuid))) {
+          return res.status(400).json({ error: "uuid must be a valid UUID" });
+        }
 
         // Verify trip ownership
         const trip = await get(
@@ -80,22 +87,40 @@ function registerTransportationRoutes(app, deps) {
           [tripId, fromCityId, toId],
         );
 
+        // A client uuid may only identify this leg; one from another account
+        // is replaced, like for trips
+        let legUuid = uuid ? String(uuid).toLowerCase() : null;
+        if (legUuid) {
+          const owner = await get(
+            `SELECT l.id, t.user_id FROM transportation l JOIN trips t ON t.id = l.trip_id WHERE l.uuid = ?`,
+            [legUuid],
+          );
+          if (owner && owner.user_id !== s.user.id) {
+            legUuid = null;
+          } else if (owner && (!existing || owner.id !== existing.id)) {
+            return res.status(409).json({ error: "uuid already in use" });
+          }
+        }
+
         if (existing) {
           await run(
-            `UPDATE transportation SET mode = ?, notes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-            [mode, cleanNotes, existing.id],
+            `UPDATE transportation SET mode = ?, notes = ?, uuid = COALESCE(uuid, ?), updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [mode, cleanNotes, legUuid || uuidv4(), existing.id],
           );
         } else {
           await run(
-            `INSERT INTO transportation(trip_id, from_city_id, to_city_id, mode, notes) VALUES (?,?,?,?,?)`,
-            [tripId, fromCityId, toId, mode, cleanNotes],
+            `INSERT INTO transportation(trip_id, from_city_id, to_city_id, mode, notes, uuid) VALUES (?,?,?,?,?,?)`,
+            [tripId, fromCityId, toId, mode, cleanNotes, legUuid || uuidv4()],
           );
         }
 
         const saved = await get(
-          `SELECT id, trip_id, from_city_id, to_city_id, mode, notes FROM transportation WHERE trip_id = ? AND from_city_id = ? AND to_city_id = ?`,
+          `SELECT id, uuid, trip_id, from_city_id, to_city_id, mode, notes FROM transportation WHERE trip_id = ? AND from_city_id = ? AND to_city_id = ?`,
           [tripId, fromCityId, toId],
         );
+        publishTripEvent(tripId, "transportation.updated", {
+          transportation: saved,
+        });
         return res.json({ ok: true, transportation: saved });
       } catch (e) {
         console.error(e);
@@ -150,6 +175,10 @@ function registerTransportationRoutes(app, deps) {
           `DELETE FROM transportation WHERE trip_id = ? AND from_city_id = ? AND to_city_id = ?`,
           [tripId, fromCityId, nextCity.id],
         );
+        publishTripEvent(tripId, "transportation.deleted", {
+          from_city_id: fromCityId,
+          to_city_id: nextCity.id,
+        });
         return res.json({ ok: true });
       } catch (e) {
         console.error(e);
@@ -1,6 +1,10 @@
 // Trip routes module
 // Exports a function that registers trip endpoints on the provided app
 
+import { v4 as uuidv4, validate as uuidValidate } from "uuid";
+import { etagFor, isStaleWrite } from "./etag.js";
+import { publishTripEvent } from "./events.js";
+
 function registerTripRoutes(app, deps) {
   const { csrfProtection, getSession, run, get } = deps;
 
@@ -10,7 +14,7 @@ function registerTripRoutes(app, deps) {
       const s = await getSession(req);
       if (!s) return res.status(401).json({ error: "not authenticated" });
 
-      const { name, start_date } = req.body || {};
+      const { name, start_date, uuid } = req.body || {};
       if (!name || !String(name).trim()) {
         return res.status(400).json({ error: "trip name required" });
       }
@@ -21,12 +25,31 @@ function registerTripRoutes(app, deps) {
           .json({ error: "start_date must be in YYYY-MM-DD format" });
       }
 
+      if (typeof uuid !== "undefined" && !uuidValidate(String(uuid))) {
+        return res.status(400).json({ error: "uuid must be a valid UUID" });
+      }
+      let tripUuid = uuid ? String(uuid).toLowerCase() : uuidv4();
+
+      // The client uuid is the idempotency key: a replayed create returns the existing trip
+      const existing = await get(
+        `SELECT id FROM trips WHERE uuid = ? AND user_id = ?`,
+        [tripUuid, s.user.id],
+      );
+      if (existing) {
+        return res.json({ ok: true, id: existing.id, uuid: tripUuid });
+      }
+      // Another account's uuid gets replaced without saying so, so the
+      // response does not tell whether the uuid exists elsewhere
+      if (await get(`SELECT id FROM trips WHERE uuid = ?`, [tripUuid])) {
+        tripUuid = uuidv4();
+      }
+
       const result = await run(
-        `INSERT INTO trips(name, start_date, user_id) VALUES(?,?,?)`,
-        [String(name).trim(), start_date || null, s.user.id],
+        `INSERT INTO trips(name, start_date, user_id, uuid) VALUES(?,?,?,?)`,
+        [String(name).trim(), start_date || null, s.user.id, tripUuid],
       );
 
-      return res.json({ ok: true, id: result.lastID });
+      return res.json({ ok: true, id: result.lastID, uuid: tripUuid });
     } catch (e) {
       console.error(e);
       return res.status(500).json({ error: "server error" });
@@ -53,7 +76,7 @@ function registerTripRoutes(app, deps) {
 
       // Verify ownership
       const trip = await get(
-        `SELECT id, name, start_date FROM trips WHERE id = ? AND user_id = ?`,
+        `SELECT id, uuid, name, start_date, version FROM trips WHERE id = ? AND user_id = ?`,
         [tripId, s.user.id],
       );
       if (!trip) {
@@ -62,6 +85,14 @@ function registerTripRoutes(app, deps) {
           .json({ error: "trip not found or unauthorized" });
       }
 
+      // Reject writes based on an outdated copy, returning the current one
+      if (isStaleWrite(req, trip)) {
+        res.set("ETag", etagFor(trip));
+        return res
+          .status(412)
+          .json({ error: "trip was modified by another client", trip });
+      }
+
       const sets = [];
       const params = [];
 
@@ -85,14 +116,27 @@ function registerTripRoutes(app, deps) {
         params.push(sd || null);
       }
 
-      const sql = `UPDATE trips SET ${sets.join(", ")}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+      // With If-Match, compare-and-set on version so concurrent writers cannot both win
+      let sql = `UPDATE trips SET ${sets.join(", ")}, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
       params.push(tripId);
-      await run(sql, params);
+      if (req.get("If-Match")) {
+        sql += " AND version = ?";
+        params.push(trip.version);
+      }
+      const result = await run(sql, params);
 
       const updated = await get(
-        `SELECT id, name, start_date FROM trips WHERE id = ? AND user_id = ?`,
+        `SELECT id, uuid, name, start_date, version FROM trips WHERE id = ? AND user_id = ?`,
         [tripId, s.user.id],
       );
+      res.set("ETag", etagFor(updated));
+      if (result.changes === 0) {
+        return res.status(412).json({
+          error: "trip was modified by another client",
+          trip: updated,
+        });
+      }
+      publishTripEvent(tripId, "trip.updated", { trip: updated });
       return res.json({ ok: true, trip: updated });
     } catch (e) {
       console.error(e);
@@ -123,6 +167,7 @@ function registerTripRoutes(app, deps) {
       // enable PRAGMA foreign_keys to also remove associated cities
       await run("PRAGMA foreign_keys = ON");
       await run(`DELETE FROM trips WHERE id = ?`, [tripId]);
+      publishTripEvent(tripId, "trip.deleted", { id: tripId });
       return res.json({ ok: true });
     } catch (e) {
       console.error(e);
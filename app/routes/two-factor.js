@@ -0,0 +1,309 @@
+// Two-factor authentication routes: TOTP enrollment, the second login step,
+// recovery codes, and disabling 2FA with the current password.
+
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import { generateTotpSecret, totpUri, verifyTotp } from "./totp.js";
+
+export const LOGIN_CHALLENGE_TTL = 5 * 60 * 1000; // 5 minutes
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+// Recovery codes are compared case-insensitively and without separators
+function normalizeRecoveryCode(code) {
+  return String(code || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+}
+
+function generateRecoveryCode() {
+  const raw = crypto.randomBytes(5).toString("hex").toUpperCase();
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+}
+
+// Issued by /api/login after the password check when 2FA is enabled; only
+// its hash is stored. The client trades it plus a code for a session.
+export async function createLoginChallenge(
+  run,
+  userId,
+  { remember = false } = {},
+) {
+  const token = crypto.randomBytes(32).toString("hex");
+  await run(
+    `INSERT INTO login_challenges(token_hash, user_id, remember, expires_at) VALUES(?,?,?,?)`,
+    [sha256(token), userId, remember ? 1 : 0, Date.now() + LOGIN_CHALLENGE_TTL],
+  );
+  return token;
+}
+
+function registerTwoFactorRoutes(app, deps) {
+  const {
+    csrfProtection,
+    limiter,
+    getSession,
+    run,
+    get,
+    createSessionForUserId,
+    setSessionCookie,
+    recordAuditEvent = async () => {},
+  } = deps;
+
+  // Replace the user's recovery codes; the plain codes are shown only once
+  async function issueRecoveryCodes(userId) {
+    const codes = Array.from(
+      { length: RECOVERY_CODE_COUNT },
+      generateRecoveryCode,
+    );
+    await run(`DELETE FROM recovery_codes WHERE user_id = ?`, [userId]);
+    for (const code of codes) {
+      await run(`INSERT INTO recovery_codes(user_id, code_hash) VALUES(?,?)`, [
+        userId,
+        sha256(normalizeRecoveryCode(code)),
+      ]);
+    }
+    return codes;
+  }
+
+  async function countRecoveryCodes(userId) {
+    const row = await get(
+      `SELECT COUNT(*) AS count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL`,
+      [userId],
+    );
+    return row.count;
+  }
+
+  async function checkPassword(userId, password) {
+    const user = await get(`SELECT password FROM users WHERE id = ?`, [userId]);
+    return (
+      !!user && !!password && (await bcrypt.compare(password, user.password))
+    );
+  }
+
+  // 2FA status for the profile page
+  app.get("/api/2fa", async (req, res) => {
+    try {
+      const s = await getSession(req);
+      if (!s) return res.status(401).json({ error: "not authenticated" });
+
+      const user = await get(`SELECT totp_enabled FROM users WHERE id = ?`, [
+        s.user.id,
+      ]);
+      return res.json({
+        enabled: !!user.totp_enabled,
+        recoveryCodesLeft: user.totp_enabled
+          ? await countRecoveryCodes(s.user.id)
+          : 0,
+      });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Start enrollment: a new secret that becomes active once a code is confirmed
+  app.post("/api/2fa/setup", csrfProtection, async (req, res) => {
+    try {
+      const s = await getSession(req);
+      if (!s) return res.status(401).json({ error: "not authenticated" });
+
+      const user = await get(`SELECT totp_enabled FROM users WHERE id = ?`, [
+        s.user.id,
+      ]);
+      if (user.totp_enabled) {
+        return res
+          .status(409)
+          .json({ error: "two-factor authentication is already enabled" });
+      }
+
+      const secret = generateTotpSecret();
+      await run(
+        `UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?`,
+        [secret, s.user.id],
+      );
+      return res.json({ secret, otpauthUri: totpUri(secret, s.user.email) });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Finish enrollment with a code from the authenticator app
+  app.post("/api/2fa/enable", csrfProtection, limiter, async (req, res) => {
+    try {
+      const s = await getSession(req);
+      if (!s) return res.status(401).json({ error: "not authenticated" });
+
+      const user = await get(
+        `SELECT totp_secret, totp_enabled FROM users WHERE id = ?`,
+        [s.user.id],
+      );
+      if (user.totp_enabled) {
+        return res
+          .status(409)
+          .json({ error: "two-factor authentication is already enabled" });
+      }
+      if (!user.totp_secret) {
+        return res.status(400).json({ error: "two-factor setup not started" });
+      }
+
+      const step = verifyTotp(user.totp_secret, (req.body || {}).code);
+      if (step === null) {
+        return res.status(400).json({ error: "invalid code" });
+      }
+
+      await run(
+        `UPDATE users SET totp_enabled = 1, totp_last_step = ? WHERE id = ?`,
+        [step, s.user.id],
+      );
+      const recoveryCodes = await issueRecoveryCodes(s.user.id);
+      console.log(`[2FA] Enabled for user ${s.user.id}`);
+      await recordAuditEvent(req, s.user.id, "totp.enabled");
+      return res.json({ ok: true, recoveryCodes });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Turn 2FA off; requires the current password
+  app.post("/api/2fa/disable", csrfProtection, limiter, async (req, res) => {
+    try {
+      const s = await getSession(req);
+      if (!s) return res.status(401).json({ error: "not authenticated" });
+
+      if (!(await checkPassword(s.user.id, (req.body || {}).password))) {
+        return res.status(401).json({ error: "current password is incorrect" });
+      }
+
+      await run(
+        `UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL WHERE id = ?`,
+        [s.user.id],
+      );
+      await run(`DELETE FROM recovery_codes WHERE user_id = ?`, [s.user.id]);
+      console.log(`[2FA] Disabled for user ${s.user.id}`);
+      await recordAuditEvent(req, s.user.id, "totp.disabled");
+      return res.json({ ok: true });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Replace all recovery codes; requires the current password
+  app.post(
+    "/api/2fa/recovery-codes",
+    csrfProtection,
+    limiter,
+    async (req, res) => {
+      try {
+        const s = await getSession(req);
+        if (!s) return res.status(401).json({ error: "not authenticated" });
+
+        if (!(await checkPassword(s.user.id, (req.body || {}).password))) {
+          return res
+            .status(401)
+            .json({ error: "current password is incorrect" });
+        }
+        const user = await get(`SELECT totp_enabled FROM users WHERE id = ?`, [
+          s.user.id,
+        ]);
+        if (!user.totp_enabled) {
+          return res
+            .status(400)
+            .json({ error: "two-factor authentication is not enabled" });
+        }
+
+        const recoveryCodes = await issueRecoveryCodes(s.user.id);
+        return res.json({ ok: true, recoveryCodes });
+      } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "server error" });
+      }
+    },
+  );
+
+  // Second login step: trade the challenge from /api/login and a TOTP or
+  // recovery code for a session
+  app.post("/api/login/2fa", csrfProtection, limiter, async (req, res) => {
+    try {
+      const { challenge, code } = req.body || {};
+      if (!challenge || !code) {
+        return res.status(400).json({ error: "challenge and code required" });
+      }
+
+      const pending = await get(
+        `SELECT token_hash, user_id, remember, attempts FROM login_challenges WHERE token_hash = ? AND expires_at > ?`,
+        [sha256(challenge), Date.now()],
+      );
+      if (!pending || pending.attempts >= MAX_CHALLENGE_ATTEMPTS) {
+        if (pending) {
+          await run(`DELETE FROM login_challenges WHERE token_hash = ?`, [
+            pending.token_hash,
+          ]);
+        }
+        return res
+          .status(401)
+          .json({ error: "invalid or expired login challenge" });
+      }
+
+      const user = await get(
+        `SELECT id, email, totp_secret, totp_last_step FROM users WHERE id = ?`,
+        [pending.user_id],
+      );
+
+      let usedRecoveryCode = false;
+      const step = verifyTotp(user.totp_secret, code, {
+        lastStep: user.totp_last_step,
+      });
+      if (step !== null) {
+        await run(`UPDATE users SET totp_last_step = ? WHERE id = ?`, [
+          step,
+          user.id,
+        ]);
+      } else {
+        const result = await run(
+          `UPDATE recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+          [Date.now(), user.id, sha256(normalizeRecoveryCode(code))],
+        );
+        usedRecoveryCode = result.changes > 0;
+      }
+
+      if (step === null && !usedRecoveryCode) {
+        await run(
+          `UPDATE login_challenges SET attempts = attempts + 1 WHERE token_hash = ?`,
+          [pending.token_hash],
+        );
+        await recordAuditEvent(req, user.id, "login.failed", {
+          method: "two_factor",
+        });
+        return res.status(401).json({ error: "invalid code" });
+      }
+
+      await run(`DELETE FROM login_challenges WHERE token_hash = ?`, [
+        pending.token_hash,
+      ]);
+      const remember = !!pending.remember;
+      const sid = await createSessionForUserId(user.id, req, { remember });
+      setSessionCookie(res, sid, { remember });
+      await recordAuditEvent(req, user.id, "login.succeeded", {
+        method: "two_factor",
+        usedRecoveryCode,
+      });
+      return res.json({
+        ok: true,
+        email: user.email,
+        usedRecoveryCode,
+        recoveryCodesLeft: await countRecoveryCodes(user.id),
+      });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "server error" });
+    }
+  });
+}
+
+export default registerTwoFactorRoutes;
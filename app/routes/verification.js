@@ -0,0 +1,55 @@
+// Email verification routes: send a fresh verification link when the
+// previous one expired or got lost
+
+import { v4 as uuidv4 } from "uuid";
+
+export const VERIFICATION_TOKEN_TTL = 24 * 60 * 60 * 1000; // 24 hours
+// Minimum time between two verification emails for the same account
+export const RESEND_COOLDOWN = 60 * 1000; // 1 minute
+
+function registerVerificationRoutes(app, deps) {
+  const { csrfProtection, limiter, run, get, sendVerificationEmail } = deps;
+
+  // Rotate the verification token and email a new link. The response is the
+  // same for unknown, verified and throttled addresses so it leaks nothing.
+  app.post(
+    "/api/resend-verification",
+    csrfProtection,
+    limiter,
+    async (req, res) => {
+      try {
+        const { email } = req.body || {};
+        if (!email) return res.status(400).json({ error: "email required" });
+
+        const user = await get(
+          `SELECT id, email, verification_expires FROM users WHERE email = ? AND verified = 0`,
+          [email],
+        );
+        const lastSentAt = user
+          ? (user.verification_expires || 0) - VERIFICATION_TOKEN_TTL
+          : 0;
+        if (user && Date.now() - lastSentAt >= RESEND_COOLDOWN) {
+          // The new token replaces the old one, so earlier links stop working
+          const verificationToken = uuidv4();
+          await run(
+            `UPDATE users SET verification_token = ?, verification_expires = ? WHERE id = ?`,
+            [verificationToken, Date.now() + VERIFICATION_TOKEN_TTL, user.id],
+          );
+          await sendVerificationEmail(user.email, verificationToken);
+          console.log(`[Verification] Resent verification to user ${user.id}`);
+        }
+
+        return res.json({
+          ok: true,
+          message:
+            "if an unverified account exists for this email, a new verification link was sent",
+        });
+      } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "server error" });
+      }
+    },
+  );
+}
+
+export default registerVerificationRoutes;
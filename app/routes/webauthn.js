@@ -0,0 +1,297 @@
+// WebAuthn (passkey) helpers: a minimal CBOR decoder, authenticator data
+// parsing, COSE public keys, and verification of registration and
+// assertion responses. Attestation statements are not checked (we request
+// attestation "none"), so any authenticator the browser accepts is allowed.
+
+import crypto from "crypto";
+
+export const COSE_ALG_ES256 = -7;
+export const COSE_ALG_EDDSA = -8;
+export const COSE_ALG_RS256 = -257;
+export const SUPPORTED_ALGORITHMS = [
+  COSE_ALG_ES256,
+  COSE_ALG_EDDSA,
+  COSE_ALG_RS256,
+];
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+
+export function toBase64url(buffer) {
+  return Buffer.from(buffer).toString("base64url");
+}
+
+export function fromBase64url(value) {
+  if (typeof value !== "string") throw new Error("expected base64url string");
+  return Buffer.from(value, "base64url");
+}
+
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest();
+}
+
+// Decodes the CBOR subset used by WebAuthn (integers, byte/text strings,
+// arrays, maps, booleans and null). Maps are returned as Map instances
+// because COSE keys use integer labels.
+export function decodeCbor(buffer, offset = 0) {
+  function readLength(info) {
+    if (info < 24) return info;
+    if (info === 24) return buffer.readUInt8(offset++);
+    if (info === 25) {
+      const n = buffer.readUInt16BE(offset);
+      offset += 2;
+      return n;
+    }
+    if (info === 26) {
+      const n = buffer.readUInt32BE(offset);
+      offset += 4;
+      return n;
+    }
+    if (info === 27) {
+      const n = buffer.readBigUInt64BE(offset);
+      offset += 8;
+      if (n > BigInt(Number.MAX_SAFE_INTEGER)) {
+        throw new Error("cbor integer too large");
+      }
+      return Number(n);
+    }
+    throw new Error("unsupported cbor length");
+  }
+
+  function readItem() {
+    if (offset >= buffer.length) throw new Error("unexpected end of cbor");
+    const initial = buffer.readUInt8(offset++);
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    switch (major) {
+      case 0:
+        return readLength(info);
+      case 1:
+        return -1 - readLength(info);
+      case 2:
+      case 3: {
+        const length = readLength(info);
+        if (offset + length > buffer.length) {
+          throw new Error("unexpected end of cbor");
+        }
+        const bytes = buffer.subarray(offset, offset + length);
+        offset += length;
+        return major === 2 ? Buffer.from(bytes) : bytes.toString("utf8");
+      }
+      case 4: {
+        const length = readLength(info);
+        const items = [];
+        for (let i = 0; i < length; i++) items.push(readItem());
+        return items;
+      }
+      case 5: {
+        const length = readLength(info);
+        const map = new Map();
+        for (let i = 0; i < length; i++) {
+          const key = readItem();
+          map.set(key, readItem());
+        }
+        return map;
+      }
+      case 7:
+        if (info === 20) return false;
+        if (info === 21) return true;
+        if (info === 22) return null;
+        throw new Error("unsupported cbor simple value");
+      default:
+        throw new Error("unsupported cbor type");
+    }
+  }
+
+  const value = readItem();
+  return { value, offset };
+}
+
+export function parseAuthenticatorData(authData) {
+  if (authData.length < 37) throw new Error("authenticator data too short");
+  const flags = authData.readUInt8(32);
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    flags,
+    userPresent: !!(flags & FLAG_USER_PRESENT),
+    userVerified: !!(flags & FLAG_USER_VERIFIED),
+    signCount: authData.readUInt32BE(33),
+  };
+
+  if (flags & FLAG_ATTESTED_CREDENTIAL) {
+    let offset = 37 + 16; // skip the AAGUID
+    const idLength = authData.readUInt16BE(offset);
+    offset += 2;
+    parsed.credentialId = Buffer.from(
+      authData.subarray(offset, offset + idLength),
+    );
+    offset += idLength;
+    parsed.credentialPublicKey = decodeCbor(authData, offset).value;
+  }
+  return parsed;
+}
+
+// COSE_Key map -> Node KeyObject. Only the algorithms we advertise are accepted.
+export function coseToPublicKey(cose) {
+  if (!(cose instanceof Map)) throw new Error("invalid credential public key");
+  const kty = cose.get(1);
+  const alg = cose.get(3);
+  let jwk;
+
+  if (alg === COSE_ALG_ES256 && kty === 2 && cose.get(-1) === 1) {
+    jwk = {
+      kty: "EC",
+      crv: "P-256",
+      x: toBase64url(cose.get(-2)),
+      y: toBase64url(cose.get(-3)),
+    };
+  } else if (alg === COSE_ALG_EDDSA && kty === 1 && cose.get(-1) === 6) {
+    jwk = { kty: "OKP", crv: "Ed25519", x: toBase64url(cose.get(-2)) };
+  } else if (alg === COSE_ALG_RS256 && kty === 3) {
+    jwk = {
+      kty: "RSA",
+      n: toBase64url(cose.get(-1)),
+      e: toBase64url(cose.get(-2)),
+    };
+  } else {
+    throw new Error("unsupported credential algorithm");
+  }
+
+  return {
+    alg,
+    publicKey: crypto.createPublicKey({ key: jwk, format: "jwk" }),
+  };
+}
+
+function verifySignature(alg, publicKey, data, signature) {
+  if (alg === COSE_ALG_EDDSA) {
+    return crypto.verify(null, data, publicKey, signature);
+  }
+  // ES256 signatures are DER-encoded, which is Node's default
+  return crypto.verify("sha256", data, publicKey, signature);
+}
+
+function checkClientData(clientDataJSON, expected) {
+  let clientData;
+  try {
+    clientData = JSON.parse(clientDataJSON.toString("utf8"));
+  } catch (e) {
+    throw new Error("invalid client data");
+  }
+  if (clientData.type !== expected.type) {
+    throw new Error("unexpected client data type");
+  }
+  if (clientData.challenge !== expected.challenge) {
+    throw new Error("challenge mismatch");
+  }
+  if (clientData.origin !== expected.origin) {
+    throw new Error("origin mismatch");
+  }
+  return clientData;
+}
+
+function checkAuthenticatorData(authData, rpId, requireUserVerification) {
+  if (!sha256(rpId).equals(authData.rpIdHash)) {
+    throw new Error("relying party mismatch");
+  }
+  if (!authData.userPresent) throw new Error("user presence required");
+  if (requireUserVerification && !authData.userVerified) {
+    throw new Error("user verification required");
+  }
+}
+
+// The challenge the browser signed, read from an unverified credential so the
+// server can look up its pending ceremony before verifying anything else
+export function readChallenge(credential) {
+  try {
+    const clientData = JSON.parse(
+      fromBase64url(credential.response.clientDataJSON).toString("utf8"),
+    );
+    return typeof clientData.challenge === "string"
+      ? clientData.challenge
+      : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Verifies navigator.credentials.create() output (PublicKeyCredential JSON)
+// and returns what needs to be stored for later sign-ins.
+export function verifyRegistration(
+  credential,
+  { challenge, origin, rpId, requireUserVerification = false },
+) {
+  const response = (credential && credential.response) || {};
+  checkClientData(fromBase64url(response.clientDataJSON), {
+    type: "webauthn.create",
+    challenge,
+    origin,
+  });
+
+  const attestation = decodeCbor(
+    fromBase64url(response.attestationObject),
+  ).value;
+  if (
+    !(attestation instanceof Map) ||
+    !Buffer.isBuffer(attestation.get("authData"))
+  ) {
+    throw new Error("invalid attestation object");
+  }
+  const authData = parseAuthenticatorData(attestation.get("authData"));
+  checkAuthenticatorData(authData, rpId, requireUserVerification);
+  if (!authData.credentialId) throw new Error("missing credential data");
+
+  const { alg, publicKey } = coseToPublicKey(authData.credentialPublicKey);
+  return {
+    credentialId: toBase64url(authData.credentialId),
+    publicKey: toBase64url(publicKey.export({ type: "spki", format: "der" })),
+    alg,
+    signCount: authData.signCount,
+    transports: Array.isArray(response.transports) ? response.transports : [],
+  };
+}
+
+// Verifies navigator.credentials.get() output against a stored credential
+// and returns the new signature counter.
+export function verifyAssertion(
+  credential,
+  stored,
+  { challenge, origin, rpId, requireUserVerification = false },
+) {
+  const response = (credential && credential.response) || {};
+  const clientDataJSON = fromBase64url(response.clientDataJSON);
+  checkClientData(clientDataJSON, { type: "webauthn.get", challenge, origin });
+
+  const rawAuthData = fromBase64url(response.authenticatorData);
+  const authData = parseAuthenticatorData(rawAuthData);
+  checkAuthenticatorData(authData, rpId, requireUserVerification);
+
+  const publicKey = crypto.createPublicKey({
+    key: fromBase64url(stored.public_key),
+    format: "der",
+    type: "spki",
+  });
+  const signed = Buffer.concat([rawAuthData, sha256(clientDataJSON)]);
+  if (
+    !verifySignature(
+      stored.alg,
+      publicKey,
+      signed,
+      fromBase64url(response.signature),
+    )
+  ) {
+    throw new Error("invalid signature");
+  }
+
+  // A counter that does not move forward hints at a cloned authenticator.
+  // Authenticators without a counter always report 0.
+  if (
+    (authData.signCount !== 0 || stored.sign_count !== 0) &&
+    authData.signCount <= stored.sign_count
+  ) {
+    throw new Error("signature counter did not increase");
+  }
+  return { signCount: authData.signCount };
+}
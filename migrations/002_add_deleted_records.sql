@@ -0,0 +1,33 @@
+-- Migration: Track deleted trips, cities and transportation legs
+-- Date: 2026-10-18
+-- Description: Add a tombstone table filled by triggers so GET /api/state?since= can report deletions to syncing clients
+
+CREATE TABLE IF NOT EXISTS deleted_records (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  entity TEXT NOT NULL,
+  entity_id INTEGER NOT NULL,
+  trip_id INTEGER,
+  user_id INTEGER,
+  deleted_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_deleted_records_user ON deleted_records(user_id, deleted_at);
+CREATE INDEX IF NOT EXISTS idx_deleted_records_trip ON deleted_records(trip_id, deleted_at);
+
+CREATE TRIGGER IF NOT EXISTS trg_trips_deleted AFTER DELETE ON trips
+BEGIN
+  INSERT INTO deleted_records(entity, entity_id, trip_id, user_id)
+  VALUES ('trip', OLD.id, OLD.id, OLD.user_id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_cities_deleted AFTER DELETE ON cities
+BEGIN
+  INSERT INTO deleted_records(entity, entity_id, trip_id)
+  VALUES ('city', OLD.id, OLD.trip_id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_transportation_deleted AFTER DELETE ON transportation
+BEGIN
+  INSERT INTO deleted_records(entity, entity_id, trip_id)
+  VALUES ('transportation', OLD.id, OLD.trip_id);
+END;
@@ -0,0 +1,6 @@
+-- Migration: Add revision counters to trips and cities
+-- Date: 2026-10-18
+-- Description: Add a version column bumped on every update, exposed as an ETag so stale writes can be rejected with 412
+
+ALTER TABLE trips ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE cities ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,16 @@
+-- Migration: Add client-generated UUIDs to trips, cities and transportation
+-- Date: 2026-10-18
+-- Description: Add a stable uuid column the client can generate offline; it is the idempotency key for create requests
+
+ALTER TABLE trips ADD COLUMN uuid TEXT;
+ALTER TABLE cities ADD COLUMN uuid TEXT;
+ALTER TABLE transportation ADD COLUMN uuid TEXT;
+
+-- Backfill existing rows with random version 4 UUIDs
+UPDATE trips SET uuid = lower(hex(randomblob(4))) || '-' || lower(hex(randomblob(2))) || '-4' || substr(lower(hex(randomblob(2))), 2) || '-' || substr('89ab', 1 + (abs(random()) % 4), 1) || substr(lower(hex(randomblob(2))), 2) || '-' || lower(hex(randomblob(6))) WHERE uuid IS NULL;
+UPDATE cities SET uuid = lower(hex(randomblob(4))) || '-' || lower(hex(randomblob(2))) || '-4' || substr(lower(hex(randomblob(2))), 2) || '-' || substr('89ab', 1 + (abs(random()) % 4), 1) || substr(lower(hex(randomblob(2))), 2) || '-' || lower(hex(randomblob(6))) WHERE uuid IS NULL;
+UPDATE transportation SET uuid = lower(hex(randomblob(4))) || '-' || lower(hex(randomblob(2))) || '-4' || substr(lower(hex(randomblob(2))), 2) || '-' || substr('89ab', 1 + (abs(random()) % 4), 1) || substr(lower(hex(randomblob(2))), 2) || '-' || lower(hex(randomblob(6))) WHERE uuid IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_trips_uuid ON trips(uuid);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cities_uuid ON cities(uuid);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transportation_uuid ON transportation(uuid);
@@ -0,0 +1,19 @@
+-- Migration: Store responses for Idempotency-Key retries
+-- Date: 2026-10-18
+-- Description: Keep the first response per user and Idempotency-Key so retried mutating requests are replayed instead of executed twice
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id INTEGER NOT NULL,
+  idem_key TEXT NOT NULL,
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  status INTEGER,
+  body TEXT,
+  etag TEXT,
+  created_at INTEGER NOT NULL,
+  PRIMARY KEY (user_id, idem_key),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys(created_at);
@@ -0,0 +1,6 @@
+-- Migration: Add password reset token to users
+-- Date: 2026-10-18
+-- Description: Store a hashed, single-use reset token and its expiry, separate from the email verification token
+
+ALTER TABLE users ADD COLUMN reset_token TEXT;
+ALTER TABLE users ADD COLUMN reset_expires INTEGER;
@@ -0,0 +1,15 @@
+-- Migration: Record device information on sessions
+-- Date: 2026-10-18
+-- Description: Store a public id, user agent, IP and last-seen time so users can list and revoke their sessions
+
+ALTER TABLE sessions ADD COLUMN public_id TEXT;
+ALTER TABLE sessions ADD COLUMN user_agent TEXT;
+ALTER TABLE sessions ADD COLUMN ip TEXT;
+ALTER TABLE sessions ADD COLUMN last_seen INTEGER;
+
+-- Backfill existing sessions with random version 4 UUIDs
+UPDATE sessions SET public_id = lower(hex(randomblob(4))) || '-' || lower(hex(randomblob(2))) || '-4' || substr(lower(hex(randomblob(2))), 2) || '-' || substr('89ab', 1 + (abs(random()) % 4), 1) || substr(lower(hex(randomblob(2))), 2) || '-' || lower(hex(randomblob(6))) WHERE public_id IS NULL;
+UPDATE sessions SET last_seen = createdAt WHERE last_seen IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_public_id ON sessions(public_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
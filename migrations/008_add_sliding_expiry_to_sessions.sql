@@ -0,0 +1,11 @@
+-- Migration: Sliding session expiry and "remember me"
+-- Date: 2026-10-18
+-- Description: Store the sliding expiry deadline and the remember-me choice per session; the max lifetime is derived from createdAt
+
+ALTER TABLE sessions ADD COLUMN remember INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE sessions ADD COLUMN expires_at INTEGER;
+
+-- Existing sessions get the default lifetimes: 7 days idle, 30 days max
+UPDATE sessions SET expires_at = min(COALESCE(last_seen, createdAt) + 7 * 86400000, createdAt + 30 * 86400000) WHERE expires_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
@@ -0,0 +1,6 @@
+-- Migration: Magic-link email login
+-- Date: 2026-10-18
+-- Description: Store the hash and expiry of the pending single-use sign-in link
+
+ALTER TABLE users ADD COLUMN magic_token TEXT;
+ALTER TABLE users ADD COLUMN magic_expires INTEGER;
@@ -0,0 +1,7 @@
+-- Migration: Add pending email change to users
+-- Date: 2026-10-18
+-- Description: Store the new address awaiting confirmation with the hash and expiry of its confirmation token
+
+ALTER TABLE users ADD COLUMN pending_email TEXT;
+ALTER TABLE users ADD COLUMN email_change_token TEXT;
+ALTER TABLE users ADD COLUMN email_change_expires INTEGER;
@@ -0,0 +1,13 @@
+-- Migration: Per-account login lockout
+-- Date: 2026-10-18
+-- Description: Count failed logins per email hash (known or not) for progressive delays, and store the hashed unlock token emailed to the owner
+
+ALTER TABLE users ADD COLUMN unlock_token TEXT;
+ALTER TABLE users ADD COLUMN unlock_expires INTEGER;
+
+CREATE TABLE IF NOT EXISTS login_failures (
+  email_hash TEXT PRIMARY KEY,
+  failures INTEGER NOT NULL DEFAULT 0,
+  locked_until INTEGER,
+  last_failed_at INTEGER NOT NULL
+);
@@ -0,0 +1,6 @@
+-- Migration: Admin role and account locking
+-- Date: 2026-10-18
+-- Description: Flag users who may use the admin API, and record when an admin locked an account
+
+ALTER TABLE users ADD COLUMN is_admin INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN locked_at INTEGER;
@@ -0,0 +1,16 @@
+-- Migration: Security audit log
+-- Date: 2026-10-18
+-- Description: Record security-relevant events per user. user_id has no foreign key so the events of a deleted account stay until the retention cleanup removes them
+
+CREATE TABLE IF NOT EXISTS audit_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER,
+  type TEXT NOT NULL,
+  ip TEXT,
+  user_agent TEXT,
+  details TEXT,
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_user ON audit_events(user_id, id);
+CREATE INDEX IF NOT EXISTS idx_audit_events_created ON audit_events(created_at);
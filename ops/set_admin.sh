@@ -0,0 +1,42 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+DB_PATH="${DB_PATH:-app/data.sqlite}"
+
+usage() {
+  echo "Usage: $0 <email> [--revoke]"
+  echo "Grants (or with --revoke removes) access to the admin API"
+  echo "Environment: DB_PATH=${DB_PATH} (override with env var)"
+  exit 1
+}
+
+command -v sqlite3 >/dev/null 2>&1 || {
+  echo "Error: sqlite3 not found. Install it or rebuild the dev container." >&2
+  exit 1
+}
+
+[[ $# -eq 1 || ( $# -eq 2 && "$2" == "--revoke" ) ]] || usage
+EMAIL="$1"
+IS_ADMIN=1
+[[ $# -eq 2 ]] && IS_ADMIN=0
+
+# Escape single quotes for SQLite
+EMAIL_ESCAPED="${EMAIL//\'/''}"
+
+if [[ ! -f "$DB_PATH" ]]; then
+  echo "Error: database not found at $DB_PATH" >&2
+  exit 1
+fi
+
+USER_ID="$(sqlite3 "$DB_PATH" "SELECT id FROM users WHERE email = '$EMAIL_ESCAPED' LIMIT 1;")"
+
+if [[ -z "$USER_ID" ]]; then
+  echo "No user found with email: $EMAIL"
+  exit 0
+fi
+
+echo "Setting is_admin=$IS_ADMIN for user id=$USER_ID email=$EMAIL in $DB_PATH ..."
+
+sqlite3 "$DB_PATH" "UPDATE users SET is_admin = $IS_ADMIN WHERE id = $USER_ID;"
+
+echo "Done."
@@ -0,0 +1,281 @@
+/**
+ * Tests for the admin API
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import {
+  createTestDatabase,
+  initTestDatabase,
+  createTestUser,
+  createTestSession,
+  createTestTrip,
+  createTestCity,
+  cleanupDatabase,
+} from "./helpers.js";
+
+import registerAdminRoutes from "../app/routes/admin.js";
+import { hashLoginEmail } from "../app/routes/login-lockout.js";
+
+let app;
+let db;
+let run, get, all;
+let admin;
+let adminSession;
+
+async function createAdmin() {
+  const user = await createTestUser(run, "admin@example.com");
+  await run(`UPDATE users SET is_admin = 1 WHERE id = ?`, [user.id]);
+  return user;
+}
+
+describe("Admin API", () => {
+  beforeEach(async () => {
+    const testDb = createTestDatabase();
+    db = testDb.db;
+    run = testDb.run;
+    get = testDb.get;
+    all = testDb.all;
+
+    await initTestDatabase(run);
+
+    app = express();
+    app.use(express.json());
+
+    const csrfProtection = (req, res, next) => next();
+    async function getSession(req) {
+      const sid = (req.get("Authorization") || "").replace("Bearer ", "");
+      const row = await get(
+        `SELECT s.sid, s.user_id, u.email FROM sessions s JOIN users u ON u.id = s.user_id WHERE s.sid = ?`,
+        [sid],
+      );
+      if (!row) return null;
+      return { sid: row.sid, user: { id: row.user_id, email: row.email } };
+    }
+
+    registerAdminRoutes(app, { csrfProtection, getSession, run, get, all });
+
+    admin = await createAdmin();
+    adminSession = await createTestSession(run, admin.id);
+  });
+
+  afterEach(async () => {
+    await cleanupDatabase(db);
+  });
+
+  describe("access", () => {
+    test("should require a signed-in admin", async () => {
+      const user = await createTestUser(run, "user@example.com");
+      const sessionId = await createTestSession(run, user.id);
+
+      const anonymous = await request(app).get("/api/admin/users");
+      const notAdmin = await request(app)
+        .get("/api/admin/users")
+        .set("Authorization", `Bearer ${sessionId}`);
+      const deleted = await request(app)
+        .delete(`/api/admin/users/${admin.id}`)
+        .set("Authorization", `Bearer ${sessionId}`);
+
+      expect(anonymous.status).toBe(401);
+      expect(notAdmin.status).toBe(403);
+      expect(notAdmin.body.error).toBe("admin only");
+      expect(deleted.status).toBe(403);
+    });
+  });
+
+  describe("GET /api/admin/users", () => {
+    test("should list users with trip and session counts", async () => {
+      const user = await createTestUser(run, "traveller@example.com");
+      await createTestTrip(run, user.id, "Lisbon");
+      await createTestTrip(run, user.id, "Porto");
+      await createTestSession(run, user.id);
+
+      const response = await request(app)
+        .get("/api/admin/users")
+        .set("Authorization", `Bearer ${adminSession}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(2);
+      const row = response.body.users.find((u) => u.id === user.id);
+      expect(row).toMatchObject({
+        email: "traveller@example.com",
+        trip_count: 2,
+        session_count: 1,
+        is_admin: 0,
+        locked_at: null,
+      });
+      expect(row.password).toBeUndefined();
+    });
+
+    test("should search by email and page through results", async () => {
+      await createTestUser(run, "ada@example.com");
+      await createTestUser(run, "grace@example.com");
+      await createTestUser(run, "ada_l@example.com");
+
+      const search = await request(app)
+        .get("/api/admin/users?q=ada")
+        .set("Authorization", `Bearer ${adminSession}`);
+      const wildcard = await request(app)
+        .get("/api/admin/users?q=a_l")
+        .set("Authorization", `Bearer ${adminSession}`);
+      const page = await request(app)
+        .get("/api/admin/users?limit=2&offset=2")
+        .set("Authorization", `Bearer ${adminSession}`);
+
+      expect(search.body.users.map((u) => u.email).sort()).toEqual([
+        "ada@example.com",
+        "ada_l@example.com",
+      ]);
+      expect(wildcard.body.users.map((u) => u.email)).toEqual([
+        "ada_l@example.com",
+      ]);
+      expect(page.body.total).toBe(4);
+      expect(page.body.users).toHaveLength(2);
+    });
+  });
+
+  describe("GET /api/admin/users/:id", () => {
+    test("should count the data attached to the account", async () => {
+      const user = await createTestUser(run, "traveller@example.com");
+      const trip = await createTestTrip(run, user.id);
+      await createTestCity(run, trip.id, "Lisbon");
+      await createTestCity(run, trip.id, "Porto", 2, 1);
+
+      const response = await request(app)
+        .get(`/api/admin/users/${user.id}`)
+        .set("Authorization", `Bearer ${adminSession}`);
+      const missing = await request(app)
+        .get("/api/admin/users/999")
+        .set("Authorization", `Bearer ${adminSession}`);
+
+      expect(response.body.user).toMatchObject({
+        trip_count: 1,
+        city_count: 2,
+        passkey_count: 0,
+        api_token_count: 0,
+      });
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe("account actions", () => {
+    test("should force-verify an account", async () => {
+      const user = await createTestUser(
+        run,
+        "new@example.com",
+        "password123",
+        0,
+      );
+      await run(`UPDATE users SET verification_token = 'abc' WHERE id = ?`, [
+        user.id,
+      ]);
+
+      const response = await request(app)
+        .post(`/api/admin/users/${user.id}/verify`)
+        .set("Authorization", `Bearer ${adminSession}`);
+
+      expect(response.status).toBe(200);
+      const row = await get(
+        `SELECT verified, verification_token FROM users WHERE id = ?`,
+        [user.id],
+      );
+      expect(row).toEqual({ verified: 1, verification_token: null });
+    });
+
+    test("should lock an account and sign it out everywhere", async () => {
+      const user = await createTestUser(run, "user@example.com");
+      await createTestSession(run, user.id);
+      await createTestSession(run, user.id);
+
+      const response = await request(app)
+        .post(`/api/admin/users/${user.id}/lock`)
+        .set("Authorization", `Bearer ${adminSession}`);
+
+      expect(response.status).toBe(200);
+      const row = await get(`SELECT locked_at FROM users WHERE id = ?`, [
+        user.id,
+      ]);
+      expect(row.locked_at).toBeGreaterThan(0);
+      const { count } = await get(
+        `SELECT COUNT(*) AS count FROM sessions WHERE user_id = ?`,
+        [user.id],
+      );
+      expect(count).toBe(0);
+    });
+
+    test("should unlock an account and clear its failed logins", async () => {
+      const user = await createTestUser(run, "user@example.com");
+      await run(`UPDATE users SET locked_at = ? WHERE id = ?`, [
+        Date.now(),
+        user.id,
+      ]);
+      await run(
+        `INSERT INTO login_failures(email_hash, failures, locked_until, last_failed_at) VALUES(?,?,?,?)`,
+        [hashLoginEmail(user.email), 6, Date.now() + 60000, Date.now()],
+      );
+
+      const response = await request(app)
+        .post(`/api/admin/users/${user.id}/unlock`)
+        .set("Authorization", `Bearer ${adminSession}`);
+
+      expect(response.status).toBe(200);
+      const row = await get(`SELECT locked_at FROM users WHERE id = ?`, [
+        user.id,
+      ]);
+      expect(row.locked_at).toBeNull();
+      const failures = await get(`SELECT * FROM login_failures`);
+      expect(failures).toBeUndefined();
+    });
+
+    test("should revoke all sessions of a user", async () => {
+      const user = await createTestUser(run, "user@example.com");
+      await createTestSession(run, user.id);
+      await createTestSession(run, user.id);
+
+      const response = await request(app)
+        .delete(`/api/admin/users/${user.id}/sessions`)
+        .set("Authorization", `Bearer ${adminSession}`);
+
+      expect(response.body).toEqual({ ok: true, revoked: 2 });
+      const adminStillSignedIn = await get(
+        `SELECT sid FROM sessions WHERE sid = ?`,
+        [adminSession],
+      );
+      expect(adminStillSignedIn).toBeDefined();
+    });
+
+    test("should delete an account with its trips", async () => {
+      const user = await createTestUser(run, "user@example.com");
+      await createTestTrip(run, user.id);
+
+      const response = await request(app)
+        .delete(`/api/admin/users/${user.id}`)
+        .set("Authorization", `Bearer ${adminSession}`);
+
+      expect(response.status).toBe(200);
+      expect(
+        await get(`SELECT id FROM users WHERE id = ?`, [user.id]),
+      ).toBeUndefined();
+      expect(
+        await get(`SELECT id FROM trips WHERE user_id = ?`, [user.id]),
+      ).toBeUndefined();
+    });
+
+    test("should not let admins lock or delete themselves", async () => {
+      const lock = await request(app)
+        .post(`/api/admin/users/${admin.id}/lock`)
+        .set("Authorization", `Bearer ${adminSession}`);
+      const remove = await request(app)
+        .delete(`/api/admin/users/${admin.id}`)
+        .set("Authorization", `Bearer ${adminSession}`);
+
+      expect(lock.status).toBe(400);
+      expect(remove.status).toBe(400);
+      const row = await get(`SELECT locked_at FROM users WHERE id = ?`, [
+        admin.id,
+      ]);
+      expect(row.locked_at).toBeNull();
+    });
+  });
+});
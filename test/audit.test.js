@@ -0,0 +1,345 @@
+/**
+ * Tests for the security audit log
+ */
+
+import { describe, test, expect, jest } from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import {
+  createTestDatabase,
+  initTestDatabase,
+  createTestUser,
+  createTestSession,
+  cleanupDatabase,
+} from "./helpers.js";
+
+import registerAuditRoutes, { createAuditLog } from "../app/routes/audit.js";
+import registerSessionRoutes from "../app/routes/sessions.js";
+import registerAdminRoutes from "../app/routes/admin.js";
+import registerEmailChangeRoutes from "../app/routes/email-change.js";
+import registerTwoFactorRoutes from "../app/routes/two-factor.js";
+import { totpCode } from "../app/routes/totp.js";
+
+let app;
+let db;
+let run, get, all;
+let recordAuditEvent;
+let sendEmailChangeConfirmation;
+
+// Event types recorded for a user, oldest first
+async function eventTypes(userId) {
+  const rows = await all(
+    `SELECT type FROM audit_events WHERE user_id = ? ORDER BY id`,
+    [userId],
+  );
+  return rows.map((row) => row.type);
+}
+
+describe("Audit log", () => {
+  beforeEach(async () => {
+    const testDb = createTestDatabase();
+    db = testDb.db;
+    run = testDb.run;
+    get = testDb.get;
+    all = testDb.all;
+
+    await initTestDatabase(run);
+
+    app = express();
+    app.use(express.json());
+
+    const csrfProtection = (req, res, next) => next();
+    const limiter = (req, res, next) => next();
+    async function getSession(req) {
+      const sid = (req.get("Authorization") || "").replace("Bearer ", "");
+      const row = await get(
+        `SELECT s.sid, s.user_id, u.email FROM sessions s JOIN users u ON u.id = s.user_id WHERE s.sid = ?`,
+        [sid],
+      );
+      if (!row) return null;
+      return { sid: row.sid, user: { id: row.user_id, email: row.email } };
+    }
+
+    recordAuditEvent = createAuditLog({ run });
+    registerAuditRoutes(app, { getSession, all });
+    registerSessionRoutes(app, {
+      csrfProtection,
+      getSession,
+      run,
+      all,
+      recordAuditEvent,
+    });
+    registerAdminRoutes(app, {
+      csrfProtection,
+      getSession,
+      run,
+      get,
+      all,
+      recordAuditEvent,
+    });
+    sendEmailChangeConfirmation = jest.fn(async () => {});
+    registerEmailChangeRoutes(app, {
+      csrfProtection,
+      limiter,
+      getSession,
+      run,
+      get,
+      sendEmailChangeConfirmation,
+      sendEmailChangedNotice: async () => {},
+      recordAuditEvent,
+    });
+    registerTwoFactorRoutes(app, {
+      csrfProtection,
+      limiter,
+      getSession,
+      run,
+      get,
+      recordAuditEvent,
+    });
+  });
+
+  afterEach(async () => {
+    await cleanupDatabase(db);
+  });
+
+  describe("recordAuditEvent", () => {
+    test("should store the event with the request's device", async () => {
+      const user = await createTestUser(run);
+      const req = {
+        ip: "203.0.113.7",
+        get: (name) => (name === "User-Agent" ? "Firefox" : undefined),
+      };
+
+      await recordAuditEvent(req, user.id, "login.succeeded", {
+        method: "password",
+      });
+
+      const row = await get(`SELECT * FROM audit_events`);
+      expect(row).toMatchObject({
+        user_id: user.id,
+        type: "login.succeeded",
+        ip: "203.0.113.7",
+        user_agent: "Firefox",
+        details: JSON.stringify({ method: "password" }),
+      });
+    });
+
+    test("should not throw when the write fails", async () => {
+      const failing = createAuditLog({
+        run: async () => {
+          throw new Error("disk full");
+        },
+      });
+      const consoleError = jest
+        .spyOn(console, "error")
+        .mockImplementation(() => {});
+
+      await expect(
+        failing(null, 1, "login.failed", null),
+      ).resolves.toBeUndefined();
+      expect(consoleError).toHaveBeenCalled();
+      consoleError.mockRestore();
+    });
+  });
+
+  describe("GET /api/me/audit", () => {
+    test("should require authentication", async () => {
+      const response = await request(app).get("/api/me/audit");
+      expect(response.status).toBe(401);
+    });
+
+    test("should return only the user's own events, newest first", async () => {
+      const user = await createTestUser(run);
+      const other = await createTestUser(run, "other@example.com");
+      const sessionId = await createTestSession(run, user.id);
+      await recordAuditEvent(null, user.id, "login.succeeded", {
+        method: "passkey",
+      });
+      await recordAuditEvent(null, other.id, "login.failed", {
+        method: "password",
+      });
+      await recordAuditEvent(null, user.id, "password.changed");
+
+      const response = await request(app)
+        .get("/api/me/audit")
+        .set("Authorization", `Bearer ${sessionId}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.events.map((e) => e.type)).toEqual([
+        "password.changed",
+        "login.succeeded",
+      ]);
+      expect(response.body.events[1].details).toEqual({ method: "passkey" });
+    });
+
+    test("should page with the before cursor", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      for (let i = 0; i < 5; i++) {
+        await recordAuditEvent(null, user.id, "login.succeeded");
+      }
+
+      const first = await request(app)
+        .get("/api/me/audit?limit=3")
+        .set("Authorization", `Bearer ${sessionId}`);
+      const last = first.body.events[first.body.events.length - 1];
+      const second = await request(app)
+        .get(`/api/me/audit?limit=3&before=${last.id}`)
+        .set("Authorization", `Bearer ${sessionId}`);
+
+      expect(first.body.events).toHaveLength(3);
+      expect(second.body.events).toHaveLength(2);
+      expect(second.body.events[0].id).toBeLessThan(last.id);
+    });
+  });
+
+  describe("recorded by the handlers", () => {
+    test("revoking sessions is recorded", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      await createTestSession(run, user.id);
+      await createTestSession(run, user.id);
+
+      await request(app)
+        .delete("/api/sessions")
+        .set("Authorization", `Bearer ${sessionId}`);
+
+      const response = await request(app)
+        .get("/api/me/audit")
+        .set("Authorization", `Bearer ${sessionId}`);
+      expect(response.body.events).toHaveLength(1);
+      expect(response.body.events[0]).toMatchObject({
+        type: "session.revoked",
+        details: { count: 2 },
+      });
+    });
+
+    test("confirming an email change is recorded", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      await request(app)
+        .post("/api/me/email")
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({ newEmail: "new@example.com", password: "password123" });
+      const [, token] = sendEmailChangeConfirmation.mock.calls[0];
+
+      await request(app).post("/api/me/email/confirm").send({ token });
+
+      expect(await eventTypes(user.id)).toEqual(["email.changed"]);
+    });
+
+    test("enabling and disabling 2FA is recorded", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const setup = await request(app)
+        .post("/api/2fa/setup")
+        .set("Authorization", `Bearer ${sessionId}`);
+      await request(app)
+        .post("/api/2fa/enable")
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({ code: totpCode(setup.body.secret) });
+      await request(app)
+        .post("/api/2fa/disable")
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({ password: "password123" });
+
+      expect(await eventTypes(user.id)).toEqual([
+        "totp.enabled",
+        "totp.disabled",
+      ]);
+    });
+
+    describe("admin actions", () => {
+      let admin;
+      let adminSession;
+      let user;
+
+      beforeEach(async () => {
+        admin = await createTestUser(run, "admin@example.com");
+        await run(`UPDATE users SET is_admin = 1 WHERE id = ?`, [admin.id]);
+        adminSession = await createTestSession(run, admin.id);
+        user = await createTestUser(run, "user@example.com");
+      });
+
+      const detailsOf = async (type) => {
+        const row = await get(
+          `SELECT details FROM audit_events WHERE user_id = ? AND type = ?`,
+          [user.id, type],
+        );
+        return JSON.parse(row.details);
+      };
+
+      test("locking an account is recorded with the admin", async () => {
+        await request(app)
+          .post(`/api/admin/users/${user.id}/lock`)
+          .set("Authorization", `Bearer ${adminSession}`);
+
+        expect(await eventTypes(user.id)).toEqual(["account.locked"]);
+        expect(await detailsOf("account.locked")).toEqual({
+          adminId: admin.id,
+        });
+      });
+
+      test("signing a user out everywhere is recorded with the admin", async () => {
+        await createTestSession(run, user.id);
+        await createTestSession(run, user.id);
+
+        await request(app)
+          .delete(`/api/admin/users/${user.id}/sessions`)
+          .set("Authorization", `Bearer ${adminSession}`);
+
+        expect(await eventTypes(user.id)).toEqual(["session.revoked"]);
+        expect(await detailsOf("session.revoked")).toEqual({
+          count: 2,
+          adminId: admin.id,
+        });
+      });
+
+      test("deleting an account is recorded with the admin", async () => {
+        await request(app)
+          .delete(`/api/admin/users/${user.id}`)
+          .set("Authorization", `Bearer ${adminSession}`);
+
+        expect(await get(`SELECT id FROM users WHERE id = ?`, [user.id])).toBe(
+          undefined,
+        );
+        expect(await eventTypes(user.id)).toEqual(["account.deleted"]);
+        expect(await detailsOf("account.deleted")).toEqual({
+          adminId: admin.id,
+        });
+      });
+
+      test("verifying an account is recorded with the admin", async () => {
+        await run(`UPDATE users SET verified = 0 WHERE id = ?`, [user.id]);
+
+        await request(app)
+          .post(`/api/admin/users/${user.id}/verify`)
+          .set("Authorization", `Bearer ${adminSession}`);
+
+        expect(await eventTypes(user.id)).toEqual(["account.verified"]);
+        expect(await detailsOf("account.verified")).toEqual({
+          adminId: admin.id,
+        });
+      });
+
+      test("the user sees admin actions without the admin id", async () => {
+        await createTestSession(run, user.id);
+        await createTestSession(run, user.id);
+        await request(app)
+          .delete(`/api/admin/users/${user.id}/sessions`)
+          .set("Authorization", `Bearer ${adminSession}`);
+        const fresh = await createTestSession(run, user.id);
+
+        const response = await request(app)
+          .get("/api/me/audit")
+          .set("Authorization", `Bearer ${fresh}`);
+
+        expect(response.body.events[0].details).toEqual({
+          count: 2,
+          byAdmin: true,
+        });
+        expect(JSON.stringify(response.body)).not.toContain("adminId");
+      });
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Optimistic concurrency tests
+ * Tests for ETag / If-Match handling on trip and city updates
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import cookieParser from "cookie-parser";
+import {
+  createTestDatabase,
+  initTestDatabase,
+  createTestUser,
+  createTestSession,
+  createTestTrip,
+  createTestCity,
+  cleanupDatabase,
+} from "./helpers.js";
+
+import registerCityRoutes from "../app/routes/cities.js";
+import registerTripRoutes from "../app/routes/trips.js";
+
+let app;
+let db;
+let run, get, all;
+
+describe("Optimistic concurrency", () => {
+  beforeEach(async () => {
+    const testDb = createTestDatabase();
+    db = testDb.db;
+    run = testDb.run;
+    get = testDb.get;
+    all = testDb.all;
+
+    await initTestDatabase(run);
+
+    app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+
+    // Mock dependencies
+    const csrfProtection = (req, res, next) => next();
+    const getSession = async (req) => {
+      const sessionId = req.headers.authorization?.replace("Bearer ", "");
+      if (!sessionId) return null;
+      const session = await get("SELECT * FROM sessions WHERE sid = ?", [
+        sessionId,
+      ]);
+      if (!session) return null;
+      const user = await get("SELECT * FROM users WHERE id = ?", [
+        session.user_id,
+      ]);
+      return { user, ...session };
+    };
+
+    registerCityRoutes(app, { csrfProtection, getSession, run, get });
+    registerTripRoutes(app, { csrfProtection, getSession, run, get, all });
+  });
+
+  afterEach(async () => {
+    await cleanupDatabase(db);
+  });
+
+  describe("PUT /api/trips/:id", () => {
+    test("should return the new version and ETag", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const trip = await createTestTrip(run, user.id);
+
+      const response = await request(app)
+        .put(`/api/trips/${trip.id}`)
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({ name: "Renamed" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.trip.version).toBe(2);
+      expect(response.headers.etag).toBe(`"${trip.id}-2"`);
+    });
+
+    test("should accept a write with a matching If-Match", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const trip = await createTestTrip(run, user.id);
+
+      const response = await request(app)
+        .put(`/api/trips/${trip.id}`)
+        .set("Authorization", `Bearer ${sessionId}`)
+        .set("If-Match", `"${trip.id}-1"`)
+        .send({ name: "Renamed" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.trip.name).toBe("Renamed");
+    });
+
+    test("should reject a stale write with 412 and the current copy", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const trip = await createTestTrip(run, user.id, "Original");
+
+      // Another device renames the trip first
+      await request(app)
+        .put(`/api/trips/${trip.id}`)
+        .set("Authorization", `Bearer ${sessionId}`)
+        .set("If-Match", `"${trip.id}-1"`)
+        .send({ name: "From laptop" });
+
+      const response = await request(app)
+        .put(`/api/trips/${trip.id}`)
+        .set("Authorization", `Bearer ${sessionId}`)
+        .set("If-Match", `"${trip.id}-1"`)
+        .send({ name: "From phone" });
+
+      expect(response.status).toBe(412);
+      expect(response.body.trip.name).toBe("From laptop");
+      expect(response.body.trip.version).toBe(2);
+      expect(response.headers.etag).toBe(`"${trip.id}-2"`);
+
+      const stored = await get(`SELECT name FROM trips WHERE id = ?`, [
+        trip.id,
+      ]);
+      expect(stored.name).toBe("From laptop");
+    });
+  });
+
+  describe("PUT /api/trips/:tripId/cities/:cityId", () => {
+    test("should expose an ETag when creating a city", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const trip = await createTestTrip(run, user.id);
+
+      const response = await request(app)
+        .post(`/api/trips/${trip.id}/cities`)
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({ name: "Rome", nights: 2 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.version).toBe(1);
+      expect(response.headers.etag).toBe(`"${response.body.id}-1"`);
+    });
+
+    test("should reject a stale write with 412 and the current copy", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const trip = await createTestTrip(run, user.id);
+      const city = await createTestCity(run, trip.id, "Rome", 2);
+
+      const first = await request(app)
+        .put(`/api/trips/${trip.id}/cities/${city.id}`)
+        .set("Authorization", `Bearer ${sessionId}`)
+        .set("If-Match", `"${city.id}-1"`)
+        .send({ nights: 4 });
+      expect(first.status).toBe(200);
+      expect(first.body.city.version).toBe(2);
+
+      const response = await request(app)
+        .put(`/api/trips/${trip.id}/cities/${city.id}`)
+        .set("Authorization", `Bearer ${sessionId}`)
+        .set("If-Match", `"${city.id}-1"`)
+        .send({ nights: 1 });
+
+      expect(response.status).toBe(412);
+      expect(response.body.city.nights).toBe(4);
+      expect(response.headers.etag).toBe(`"${city.id}-2"`);
+    });
+
+    test("should keep the ETag valid when cities are reordered", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const trip = await createTestTrip(run, user.id);
+      const rome = await createTestCity(run, trip.id, "Rome", 2, 0);
+      const milan = await createTestCity(run, trip.id, "Milan", 2, 1);
+
+      await request(app)
+        .put(`/api/trips/${trip.id}/cities`)
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({
+          sortOrder: [
+            { id: milan.id, index: 0 },
+            { id: rome.id, index: 1 },
+          ],
+        });
+
+      const response = await request(app)
+        .put(`/api/trips/${trip.id}/cities/${rome.id}`)
+        .set("Authorization", `Bearer ${sessionId}`)
+        .set("If-Match", `"${rome.id}-1"`)
+        .send({ nights: 3 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.city.sort_order).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,292 @@
+/**
+ * Tests for changing the account email with re-verification
+ */
+
+import { describe, test, expect, jest } from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import cookieParser from "cookie-parser";
+import {
+  createTestDatabase,
+  initTestDatabase,
+  createTestUser,
+  createTestSession,
+  cleanupDatabase,
+} from "./helpers.js";
+
+import registerEmailChangeRoutes from "../app/routes/email-change.js";
+
+let app;
+let db;
+let run, get, all;
+let sendEmailChangeConfirmation;
+let sendEmailChangedNotice;
+
+// Request a change and return the token sent to the new address
+async function requestChange(sessionId, newEmail, password = "password123") {
+  await request(app)
+    .post("/api/me/email")
+    .set("Authorization", `Bearer ${sessionId}`)
+    .send({ newEmail, password });
+  const calls = sendEmailChangeConfirmation.mock.calls;
+  return calls[calls.length - 1][1];
+}
+
+describe("Email change API", () => {
+  beforeEach(async () => {
+    const testDb = createTestDatabase();
+    db = testDb.db;
+    run = testDb.run;
+    get = testDb.get;
+    all = testDb.all;
+
+    await initTestDatabase(run);
+
+    app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+
+    const csrfProtection = (req, res, next) => next();
+    const limiter = (req, res, next) => next();
+    const getSession = async (req) => {
+      const sessionId = req.headers.authorization?.replace("Bearer ", "");
+      if (!sessionId) return null;
+      const session = await get("SELECT * FROM sessions WHERE sid = ?", [
+        sessionId,
+      ]);
+      if (!session) return null;
+      const user = await get("SELECT * FROM users WHERE id = ?", [
+        session.user_id,
+      ]);
+      return { user, ...session };
+    };
+    sendEmailChangeConfirmation = jest.fn(async () => {});
+    sendEmailChangedNotice = jest.fn(async () => {});
+
+    registerEmailChangeRoutes(app, {
+      csrfProtection,
+      limiter,
+      getSession,
+      run,
+      get,
+      sendEmailChangeConfirmation,
+      sendEmailChangedNotice,
+    });
+  });
+
+  afterEach(async () => {
+    await cleanupDatabase(db);
+  });
+
+  describe("POST /api/me/email", () => {
+    test("should send a link to the new address and keep the old one", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+
+      const response = await request(app)
+        .post("/api/me/email")
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({ newEmail: "new@example.com", password: "password123" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.pendingEmail).toBe("new@example.com");
+      expect(sendEmailChangeConfirmation).toHaveBeenCalledWith(
+        "new@example.com",
+        expect.any(String),
+      );
+      const row = await get(
+        `SELECT email, pending_email, email_change_token FROM users WHERE id = ?`,
+        [user.id],
+      );
+      expect(row.email).toBe(user.email);
+      expect(row.pending_email).toBe("new@example.com");
+      expect(row.email_change_token).not.toBe(
+        sendEmailChangeConfirmation.mock.calls[0][1],
+      );
+    });
+
+    test("should require the current password", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+
+      const response = await request(app)
+        .post("/api/me/email")
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({ newEmail: "new@example.com", password: "wrong-password" });
+
+      expect(response.status).toBe(401);
+      expect(sendEmailChangeConfirmation).not.toHaveBeenCalled();
+    });
+
+    test("should reject an address that is taken or invalid", async () => {
+      const user = await createTestUser(run);
+      await createTestUser(run, "other@example.com");
+      const sessionId = await createTestSession(run, user.id);
+
+      const taken = await request(app)
+        .post("/api/me/email")
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({ newEmail: "other@example.com", password: "password123" });
+      const invalid = await request(app)
+        .post("/api/me/email")
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({ newEmail: "not-an-email", password: "password123" });
+
+      expect(taken.status).toBe(409);
+      expect(invalid.status).toBe(400);
+    });
+
+    test("should require authentication", async () => {
+      const response = await request(app)
+        .post("/api/me/email")
+        .send({ newEmail: "new@example.com", password: "password123" });
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe("POST /api/me/email/confirm", () => {
+    test("should switch the email and notify the old address", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const token = await requestChange(sessionId, "new@example.com");
+
+      const response = await request(app)
+        .post("/api/me/email/confirm")
+        .send({ token });
+
+      expect(response.status).toBe(200);
+      expect(response.body.email).toBe("new@example.com");
+      const row = await get(
+        `SELECT email, pending_email, email_change_token FROM users WHERE id = ?`,
+        [user.id],
+      );
+      expect(row).toEqual({
+        email: "new@example.com",
+        pending_email: null,
+        email_change_token: null,
+      });
+      expect(sendEmailChangedNotice).toHaveBeenCalledWith(
+        user.email,
+        "new@example.com",
+      );
+    });
+
+    test("should sign the account out everywhere", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      await createTestSession(run, user.id);
+      const token = await requestChange(sessionId, "new@example.com");
+
+      await request(app).post("/api/me/email/confirm").send({ token });
+
+      const sessions = await all(`SELECT sid FROM sessions WHERE user_id = ?`, [
+        user.id,
+      ]);
+      expect(sessions).toHaveLength(0);
+    });
+
+    test("should refuse a locked account", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const token = await requestChange(sessionId, "new@example.com");
+      await run(`UPDATE users SET locked_at = ? WHERE id = ?`, [
+        Date.now(),
+        user.id,
+      ]);
+
+      const response = await request(app)
+        .post("/api/me/email/confirm")
+        .send({ token });
+
+      expect(response.status).toBe(403);
+      const row = await get(`SELECT email FROM users WHERE id = ?`, [user.id]);
+      expect(row.email).toBe(user.email);
+      expect(sendEmailChangedNotice).not.toHaveBeenCalled();
+    });
+
+    test("should accept a link only once", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const token = await requestChange(sessionId, "new@example.com");
+
+      await request(app).post("/api/me/email/confirm").send({ token });
+      const again = await request(app)
+        .post("/api/me/email/confirm")
+        .send({ token });
+
+      expect(again.status).toBe(400);
+    });
+
+    test("should reject an expired link", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const token = await requestChange(sessionId, "new@example.com");
+      await run(`UPDATE users SET email_change_expires = ? WHERE id = ?`, [
+        Date.now() - 1000,
+        user.id,
+      ]);
+
+      const response = await request(app)
+        .post("/api/me/email/confirm")
+        .send({ token });
+
+      expect(response.status).toBe(400);
+      const row = await get(`SELECT email FROM users WHERE id = ?`, [user.id]);
+      expect(row.email).toBe(user.email);
+    });
+
+    test("should refuse if the address was registered meanwhile", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const token = await requestChange(sessionId, "new@example.com");
+      await createTestUser(run, "new@example.com");
+
+      const response = await request(app)
+        .post("/api/me/email/confirm")
+        .send({ token });
+
+      expect(response.status).toBe(409);
+      expect(sendEmailChangedNotice).not.toHaveBeenCalled();
+    });
+
+    test("should invalidate reset links sent to the old address", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      await run(
+        `UPDATE users SET reset_token = ?, reset_expires = ? WHERE id = ?`,
+        ["old-reset-hash", Date.now() + 60000, user.id],
+      );
+      const token = await requestChange(sessionId, "new@example.com");
+
+      await request(app).post("/api/me/email/confirm").send({ token });
+
+      const row = await get(`SELECT reset_token FROM users WHERE id = ?`, [
+        user.id,
+      ]);
+      expect(row.reset_token).toBeNull();
+    });
+  });
+
+  describe("DELETE /api/me/email", () => {
+    test("should cancel a pending change", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const token = await requestChange(sessionId, "new@example.com");
+
+      const cancel = await request(app)
+        .delete("/api/me/email")
+        .set("Authorization", `Bearer ${sessionId}`);
+      expect(cancel.status).toBe(200);
+
+      const status = await request(app)
+        .get("/api/me/email")
+        .set("Authorization", `Bearer ${sessionId}`);
+      expect(status.body).toEqual({ email: user.email, pendingEmail: null });
+
+      const confirm = await request(app)
+        .post("/api/me/email/confirm")
+        .send({ token });
+      expect(confirm.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Tests for the trip Server-Sent Events stream
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import http from "http";
+import cookieParser from "cookie-parser";
+import {
+  createTestDatabase,
+  initTestDatabase,
+  createTestUser,
+  createTestSession,
+  createTestTrip,
+  createTestCity,
+  cleanupDatabase,
+} from "./helpers.js";
+
+import registerTripEventRoutes from "../app/routes/events.js";
+import registerCityRoutes from "../app/routes/cities.js";
+import registerTripRoutes from "../app/routes/trips.js";
+
+let app;
+let server;
+let db;
+let run, get, all;
+
+// Open the stream and collect parsed events until `count` have arrived
+function collectEvents(tripId, sessionId, count) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    let buffer = "";
+    const req = http.get(
+      {
+        port: server.address().port,
+        path: `/api/trips/${tripId}/events`,
+        headers: { Authorization: `Bearer ${sessionId}` },
+      },
+      (res) => {
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => {
+          buffer += chunk;
+          const blocks = buffer.split("\n\n");
+          buffer = blocks.pop();
+          for (const block of blocks) {
+            const event = {};
+            for (const line of block.split("\n")) {
+              if (line.startsWith("event: ")) event.type = line.slice(7);
+              if (line.startsWith("data: "))
+                event.data = JSON.parse(line.slice(6));
+            }
+            if (event.type) events.push(event);
+          }
+          if (events.length >= count) {
+            req.destroy();
+            resolve(events);
+          }
+        });
+      },
+    );
+    req.on("error", reject);
+  });
+}
+
+// Give the stream time to subscribe before changes are made
+function waitForStream() {
+  return new Promise((resolve) => setTimeout(resolve, 50));
+}
+
+describe("Trip events API", () => {
+  beforeEach(async () => {
+    const testDb = createTestDatabase();
+    db = testDb.db;
+    run = testDb.run;
+    get = testDb.get;
+    all = testDb.all;
+
+    await initTestDatabase(run);
+
+    app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+
+    const csrfProtection = (req, res, next) => next();
+    const getSession = async (req) => {
+      const sessionId = req.headers.authorization?.replace("Bearer ", "");
+      if (!sessionId) return null;
+      const session = await get("SELECT * FROM sessions WHERE sid = ?", [
+        sessionId,
+      ]);
+      if (!session) return null;
+      const user = await get("SELECT * FROM users WHERE id = ?", [
+        session.user_id,
+      ]);
+      return session ? { user, ...session } : null;
+    };
+
+    registerTripEventRoutes(app, { getSession, get });
+    registerCityRoutes(app, { csrfProtection, getSession, run, get });
+    registerTripRoutes(app, { csrfProtection, getSession, run, get, all });
+
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await cleanupDatabase(db);
+  });
+
+  test("should require authentication", async () => {
+    const response = await request(app).get("/api/trips/1/events");
+    expect(response.status).toBe(401);
+  });
+
+  test("should not stream another user's trip", async () => {
+    const owner = await createTestUser(run, "owner@example.com");
+    const other = await createTestUser(run, "other@example.com");
+    const trip = await createTestTrip(run, owner.id);
+    const otherSession = await createTestSession(run, other.id);
+
+    const response = await request(app)
+      .get(`/api/trips/${trip.id}/events`)
+      .set("Authorization", `Bearer ${otherSession}`);
+    expect(response.status).toBe(404);
+  });
+
+  test("streams city and trip changes made by other clients", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+    const trip = await createTestTrip(run, user.id);
+    const city = await createTestCity(run, trip.id, "Rome");
+
+    const received = collectEvents(trip.id, sessionId, 3);
+    await waitForStream();
+
+    await request(app)
+      .put(`/api/trips/${trip.id}/cities/${city.id}`)
+      .set("Authorization", `Bearer ${sessionId}`)
+      .send({ nights: 4 });
+    await request(app)
+      .post(`/api/trips/${trip.id}/cities`)
+      .set("Authorization", `Bearer ${sessionId}`)
+      .send({ name: "Florence" });
+    await request(app)
+      .put(`/api/trips/${trip.id}`)
+      .set("Authorization", `Bearer ${sessionId}`)
+      .send({ name: "Italy" });
+
+    const events = await received;
+    expect(events.map((e) => e.type)).toEqual([
+      "city.updated",
+      "city.created",
+      "trip.updated",
+    ]);
+    expect(events[0].data.city.nights).toBe(4);
+    expect(events[1].data.city.name).toBe("Florence");
+    expect(events[2].data.trip.name).toBe("Italy");
+  });
+
+  test("only streams events of the subscribed trip", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+    const watched = await createTestTrip(run, user.id, "Watched");
+    const other = await createTestTrip(run, user.id, "Other");
+
+    const received = collectEvents(watched.id, sessionId, 1);
+    await waitForStream();
+
+    await request(app)
+      .put(`/api/trips/${other.id}`)
+      .set("Authorization", `Bearer ${sessionId}`)
+      .send({ name: "Renamed" });
+    await request(app)
+      .delete(`/api/trips/${watched.id}`)
+      .set("Authorization", `Bearer ${sessionId}`);
+
+    const events = await received;
+    expect(events).toEqual([
+      { type: "trip.deleted", data: { id: watched.id } },
+    ]);
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Tests for the account data export
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import zlib from "zlib";
+import {
+  createTestDatabase,
+  initTestDatabase,
+  createTestUser,
+  createTestSession,
+  createTestTrip,
+  createTestCity,
+  cleanupDatabase,
+} from "./helpers.js";
+
+import registerExportRoutes, { toCsv } from "../app/routes/export.js";
+import { crc32 } from "../app/routes/zip.js";
+
+let app;
+let db;
+let run, get, all;
+
+// Read the files of a zip archive through its central directory
+function unzip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let pointer = buffer.readUInt32LE(end + 16);
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    const compressedSize = buffer.readUInt32LE(pointer + 20);
+    const nameLength = buffer.readUInt16LE(pointer + 28);
+    const localOffset = buffer.readUInt32LE(pointer + 42);
+    const name = buffer.toString(
+      "utf8",
+      pointer + 46,
+      pointer + 46 + nameLength,
+    );
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const data = zlib.inflateRawSync(
+      buffer.subarray(dataStart, dataStart + compressedSize),
+    );
+    expect(crc32(data)).toBe(buffer.readUInt32LE(pointer + 16));
+    files[name] = data.toString("utf8");
+    pointer += 46 + nameLength;
+  }
+  return files;
+}
+
+// supertest keeps binary bodies as Buffers only with a custom parser
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.on("end", () => callback(null, Buffer.concat(chunks)));
+}
+
+async function createTripWithData(userId) {
+  const trip = await createTestTrip(run, userId, "Portugal");
+  const lisbon = await createTestCity(run, trip.id, "Lisbon", 3, 0);
+  const porto = await createTestCity(run, trip.id, "Porto", 2, 1);
+  await run(
+    `UPDATE cities SET latitude = ?, longitude = ?, notes = ? WHERE id = ?`,
+    [38.72, -9.14, 'Pastéis, "Belém" and trams', lisbon.id],
+  );
+  await run(
+    `INSERT INTO transportation (trip_id, from_city_id, to_city_id, mode, notes) VALUES (?, ?, ?, ?, ?)`,
+    [trip.id, lisbon.id, porto.id, "train", "Alfa Pendular\n3h"],
+  );
+  return { trip, lisbon, porto };
+}
+
+describe("Data export", () => {
+  beforeEach(async () => {
+    const testDb = createTestDatabase();
+    db = testDb.db;
+    run = testDb.run;
+    get = testDb.get;
+    all = testDb.all;
+
+    await initTestDatabase(run);
+
+    app = express();
+    async function getSession(req) {
+      const sid = (req.get("Authorization") || "").replace("Bearer ", "");
+      const row = await get(
+        `SELECT s.sid, s.user_id, u.email FROM sessions s JOIN users u ON u.id = s.user_id WHERE s.sid = ?`,
+        [sid],
+      );
+      if (!row) return null;
+      return { sid: row.sid, user: { id: row.user_id, email: row.email } };
+    }
+
+    registerExportRoutes(app, { getSession, get, all });
+  });
+
+  afterEach(async () => {
+    await cleanupDatabase(db);
+  });
+
+  describe("GET /api/me/export", () => {
+    test("should require authentication", async () => {
+      const response = await request(app).get("/api/me/export");
+      expect(response.status).toBe(401);
+    });
+
+    test("should download the profile and all trips as JSON", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const { lisbon, porto } = await createTripWithData(user.id);
+
+      const response = await request(app)
+        .get("/api/me/export")
+        .set("Authorization", `Bearer ${sessionId}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toMatch(/application\/json/);
+      expect(response.headers["content-disposition"]).toMatch(
+        /^attachment; filename="trippino-export-\d{4}-\d{2}-\d{2}\.json"$/,
+      );
+      expect(response.headers["cache-control"]).toBe("no-store");
+
+      const data = JSON.parse(response.text);
+      expect(data.profile).toMatchObject({
+        id: user.id,
+        email: user.email,
+        verified: true,
+        two_factor_enabled: false,
+      });
+      expect(data.trips).toHaveLength(1);
+      expect(data.trips[0].name).toBe("Portugal");
+      expect(data.trips[0].cities.map((c) => c.name)).toEqual([
+        "Lisbon",
+        "Porto",
+      ]);
+      expect(data.trips[0].cities[0]).toMatchObject({
+        latitude: 38.72,
+        longitude: -9.14,
+        notes: 'Pastéis, "Belém" and trams',
+      });
+      expect(data.trips[0].transportation).toEqual([
+        expect.objectContaining({
+          from_city_id: lisbon.id,
+          to_city_id: porto.id,
+          mode: "train",
+          notes: "Alfa Pendular\n3h",
+        }),
+      ]);
+    });
+
+    test("should leave out other users' trips and all secrets", async () => {
+      const user = await createTestUser(run);
+      const other = await createTestUser(run, "other@example.com");
+      const sessionId = await createTestSession(run, user.id);
+      await createTripWithData(other.id);
+      await run(`UPDATE users SET totp_secret = ? WHERE id = ?`, [
+        "JBSWY3DPEHPK3PXP",
+        user.id,
+      ]);
+
+      const response = await request(app)
+        .get("/api/me/export")
+        .set("Authorization", `Bearer ${sessionId}`);
+
+      const data = JSON.parse(response.text);
+      expect(data.trips).toEqual([]);
+      expect(response.text).not.toContain("JBSWY3DPEHPK3PXP");
+      expect(response.text).not.toContain("$2");
+    });
+
+    test("should include security events without admin ids", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      await run(
+        `INSERT INTO audit_events(user_id, type, details, created_at) VALUES(?,?,?,?)`,
+        [user.id, "account.locked", JSON.stringify({ adminId: 42 }), 1],
+      );
+
+      const response = await request(app)
+        .get("/api/me/export")
+        .set("Authorization", `Bearer ${sessionId}`);
+
+      const data = JSON.parse(response.text);
+      expect(data.security_events).toEqual([
+        expect.objectContaining({
+          type: "account.locked",
+          details: { byAdmin: true },
+        }),
+      ]);
+      expect(response.text).not.toContain("adminId");
+    });
+
+    test("should add one CSV per table in the zip format", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      await createTripWithData(user.id);
+
+      const response = await request(app)
+        .get("/api/me/export?format=zip")
+        .set("Authorization", `Bearer ${sessionId}`)
+        .buffer(true)
+        .parse(binaryParser);
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toBe("application/zip");
+      expect(response.headers["content-disposition"]).toMatch(/\.zip"$/);
+
+      const files = unzip(response.body);
+      expect(Object.keys(files).sort()).toEqual([
+        "cities.csv",
+        "profile.csv",
+        "transportation.csv",
+        "trippino-export.json",
+        "trips.csv",
+      ]);
+      expect(JSON.parse(files["trippino-export.json"]).trips).toHaveLength(1);
+      const cityLines = files["cities.csv"].trim().split("\r\n");
+      expect(cityLines[0]).toBe(
+        "id,uuid,trip_id,name,nights,notes,latitude,longitude,sort_order,created_at,updated_at",
+      );
+      expect(cityLines).toHaveLength(3);
+      expect(files["cities.csv"]).toContain('"Pastéis, ""Belém"" and trams"');
+      expect(files["transportation.csv"]).toContain('"Alfa Pendular\n3h"');
+    });
+
+    test("should reject unknown formats", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+
+      const response = await request(app)
+        .get("/api/me/export?format=xml")
+        .set("Authorization", `Bearer ${sessionId}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("toCsv", () => {
+    test("should quote only fields that need it", () => {
+      const csv = toCsv(
+        [
+          { a: "plain", b: null },
+          { a: "with,comma", b: 'say "hi"' },
+        ],
+        ["a", "b"],
+      );
+
+      expect(csv).toBe('a,b\r\nplain,\r\n"with,comma","say ""hi"""\r\n');
+    });
+
+    test("should defuse cells that a spreadsheet would run as formulas", () => {
+      const csv = toCsv(
+        [
+          { a: '=HYPERLINK("http://evil")', b: -9.14 },
+          { a: "+1", b: "@SUM(A1)" },
+          { a: "-2", b: "\tTab" },
+        ],
+        ["a", "b"],
+      );
+
+      expect(csv.split("\r\n")).toEqual([
+        "a,b",
+        `"'=HYPERLINK(""http://evil"")",-9.14`,
+        "'+1,'@SUM(A1)",
+        "'-2,'\tTab",
+        "",
+      ]);
+    });
+  });
+});
@@ -43,7 +43,128 @@ export async function initTestDatabase(run) {
       password TEXT NOT NULL,
       verified INTEGER DEFAULT 0,
       verification_token TEXT,
-      verification_expires INTEGER
+      verification_expires INTEGER,
+      reset_token TEXT,
+      reset_expires INTEGER,
+      totp_secret TEXT,
+      totp_enabled INTEGER NOT NULL DEFAULT 0,
+      totp_last_step INTEGER,
+      webauthn_handle TEXT,
+      magic_token TEXT,
+      magic_expires INTEGER,
+      pending_email TEXT,
+      email_change_token TEXT,
+      email_change_expires INTEGER,
+      unlock_token TEXT,
+      unlock_expires INTEGER,
+      is_admin INTEGER NOT NULL DEFAULT 0,
+      locked_at INTEGER
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS recovery_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      code_hash TEXT NOT NULL,
+      used_at INTEGER,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS login_challenges (
+      token_hash TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      remember INTEGER NOT NULL DEFAULT 0,
+      expires_at INTEGER NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS login_failures (
+      email_hash TEXT PRIMARY KEY,
+      failures INTEGER NOT NULL DEFAULT 0,
+      locked_until INTEGER,
+      last_failed_at INTEGER NOT NULL
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      scope TEXT NOT NULL CHECK (scope IN ('read', 'write')),
+      token_hash TEXT UNIQUE NOT NULL,
+      prefix TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      last_used_at INTEGER,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS audit_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      type TEXT NOT NULL,
+      ip TEXT,
+      user_agent TEXT,
+      details TEXT,
+      created_at INTEGER NOT NULL
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS oidc_login_states (
+      state_hash TEXT PRIMARY KEY,
+      code_verifier TEXT NOT NULL,
+      nonce TEXT NOT NULL,
+      remember INTEGER NOT NULL DEFAULT 0,
+      expires_at INTEGER NOT NULL
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS oidc_identities (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      issuer TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      email TEXT,
+      created_at INTEGER NOT NULL,
+      last_login_at INTEGER,
+      UNIQUE(issuer, subject),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS passkeys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      credential_id TEXT UNIQUE NOT NULL,
+      public_key TEXT NOT NULL,
+      alg INTEGER NOT NULL,
+      sign_count INTEGER NOT NULL DEFAULT 0,
+      transports TEXT,
+      name TEXT,
+      created_at INTEGER NOT NULL,
+      last_used_at INTEGER,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS webauthn_challenges (
+      challenge_hash TEXT PRIMARY KEY,
+      user_id INTEGER,
+      purpose TEXT NOT NULL,
+      expires_at INTEGER NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
     )
   `);
 
@@ -52,6 +173,12 @@ export async function initTestDatabase(run) {
       sid TEXT PRIMARY KEY,
       user_id INTEGER NOT NULL,
       createdAt INTEGER NOT NULL,
+      public_id TEXT UNIQUE,
+      user_agent TEXT,
+      ip TEXT,
+      last_seen INTEGER,
+      remember INTEGER NOT NULL DEFAULT 0,
+      expires_at INTEGER,
       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
     )
   `);
@@ -62,6 +189,8 @@ export async function initTestDatabase(run) {
       name TEXT NOT NULL,
       start_date TEXT NOT NULL,
       user_id INTEGER NOT NULL,
+      version INTEGER NOT NULL DEFAULT 1,
+      uuid TEXT UNIQUE,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
       updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
@@ -78,11 +207,81 @@ export async function initTestDatabase(run) {
       longitude REAL,
       sort_order INTEGER NOT NULL,
       trip_id INTEGER NOT NULL,
+      version INTEGER NOT NULL DEFAULT 1,
+      uuid TEXT UNIQUE,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
       updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE
     )
   `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS transportation (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trip_id INTEGER NOT NULL,
+      from_city_id INTEGER NOT NULL,
+      to_city_id INTEGER NOT NULL,
+      mode TEXT NOT NULL,
+      notes TEXT,
+      uuid TEXT UNIQUE,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+      FOREIGN KEY (from_city_id) REFERENCES cities(id) ON DELETE CASCADE,
+      FOREIGN KEY (to_city_id) REFERENCES cities(id) ON DELETE CASCADE
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      user_id INTEGER NOT NULL,
+      idem_key TEXT NOT NULL,
+      method TEXT NOT NULL,
+      path TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      status INTEGER,
+      body TEXT,
+      etag TEXT,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (user_id, idem_key),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS deleted_records (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      entity TEXT NOT NULL,
+      entity_id INTEGER NOT NULL,
+      trip_id INTEGER,
+      user_id INTEGER,
+      deleted_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS trg_trips_deleted AFTER DELETE ON trips
+    BEGIN
+      INSERT INTO deleted_records(entity, entity_id, trip_id, user_id)
+      VALUES ('trip', OLD.id, OLD.id, OLD.user_id);
+    END
+  `);
+
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS trg_cities_deleted AFTER DELETE ON cities
+    BEGIN
+      INSERT INTO deleted_records(entity, entity_id, trip_id)
+      VALUES ('city', OLD.id, OLD.trip_id);
+    END
+  `);
+
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS trg_transportation_deleted AFTER DELETE ON transportation
+    BEGIN
+      INSERT INTO deleted_records(entity, entity_id, trip_id)
+      VALUES ('transportation', OLD.id, OLD.trip_id);
+    END
+  `);
 }
 
 /**
@@ -114,11 +313,10 @@ export async function createTestUser(
 export async function createTestSession(run, userId) {
   const sid = randomUUID();
   const createdAt = Date.now();
-  await run(`INSERT INTO sessions (sid, user_id, createdAt) VALUES (?, ?, ?)`, [
-    sid,
-    userId,
-    createdAt,
-  ]);
+  await run(
+    `INSERT INTO sessions (sid, user_id, createdAt, public_id, expires_at) VALUES (?, ?, ?, ?, ?)`,
+    [sid, userId, createdAt, randomUUID(), createdAt + 7 * 24 * 60 * 60 * 1000],
+  );
   return sid;
 }
 
@@ -0,0 +1,192 @@
+/**
+ * Tests for Idempotency-Key replay on mutating routes
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import cookieParser from "cookie-parser";
+import {
+  createTestDatabase,
+  initTestDatabase,
+  createTestUser,
+  createTestSession,
+  createTestTrip,
+  cleanupDatabase,
+} from "./helpers.js";
+
+import createIdempotencyMiddleware from "../app/routes/idempotency.js";
+import registerCityRoutes from "../app/routes/cities.js";
+import registerTripRoutes from "../app/routes/trips.js";
+
+let app;
+let db;
+let run, get, all;
+
+describe("Idempotency-Key", () => {
+  beforeEach(async () => {
+    const testDb = createTestDatabase();
+    db = testDb.db;
+    run = testDb.run;
+    get = testDb.get;
+    all = testDb.all;
+
+    await initTestDatabase(run);
+
+    app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+
+    const csrfProtection = (req, res, next) => next();
+    const getSession = async (req) => {
+      const sessionId = req.headers.authorization?.replace("Bearer ", "");
+      if (!sessionId) return null;
+      const session = await get("SELECT * FROM sessions WHERE sid = ?", [
+        sessionId,
+      ]);
+      if (!session) return null;
+      const user = await get("SELECT * FROM users WHERE id = ?", [
+        session.user_id,
+      ]);
+      return session ? { user, ...session } : null;
+    };
+
+    app.use("/api", createIdempotencyMiddleware({ getSession, run, get }));
+    registerCityRoutes(app, { csrfProtection, getSession, run, get });
+    registerTripRoutes(app, { csrfProtection, getSession, run, get, all });
+  });
+
+  afterEach(async () => {
+    await cleanupDatabase(db);
+  });
+
+  test("retried trip create replays the first response", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+    const body = { name: "Japan", start_date: "2025-04-01" };
+
+    const first = await request(app)
+      .post("/api/trips")
+      .set("Authorization", `Bearer ${sessionId}`)
+      .set("Idempotency-Key", "create-japan")
+      .send(body);
+    expect(first.status).toBe(200);
+
+    const retry = await request(app)
+      .post("/api/trips")
+      .set("Authorization", `Bearer ${sessionId}`)
+      .set("Idempotency-Key", "create-japan")
+      .send(body);
+    expect(retry.status).toBe(200);
+    expect(retry.headers["idempotent-replayed"]).toBe("true");
+    expect(retry.body).toEqual(first.body);
+
+    const rows = await all(`SELECT id FROM trips WHERE user_id = ?`, [user.id]);
+    expect(rows).toHaveLength(1);
+  });
+
+  test("retried city create replays status and ETag", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+    const trip = await createTestTrip(run, user.id);
+
+    const first = await request(app)
+      .post(`/api/trips/${trip.id}/cities`)
+      .set("Authorization", `Bearer ${sessionId}`)
+      .set("Idempotency-Key", "add-kyoto")
+      .send({ name: "Kyoto", nights: 2 });
+    expect(first.status).toBe(201);
+
+    const retry = await request(app)
+      .post(`/api/trips/${trip.id}/cities`)
+      .set("Authorization", `Bearer ${sessionId}`)
+      .set("Idempotency-Key", "add-kyoto")
+      .send({ name: "Kyoto", nights: 2 });
+    expect(retry.status).toBe(201);
+    expect(retry.headers.etag).toBe(first.headers.etag);
+    expect(retry.body.id).toBe(first.body.id);
+
+    const rows = await all(`SELECT id FROM cities WHERE trip_id = ?`, [
+      trip.id,
+    ]);
+    expect(rows).toHaveLength(1);
+  });
+
+  test("should reject a key reused for a different request", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+
+    await request(app)
+      .post("/api/trips")
+      .set("Authorization", `Bearer ${sessionId}`)
+      .set("Idempotency-Key", "same-key")
+      .send({ name: "Japan", start_date: "2025-04-01" });
+    const response = await request(app)
+      .post("/api/trips")
+      .set("Authorization", `Bearer ${sessionId}`)
+      .set("Idempotency-Key", "same-key")
+      .send({ name: "Peru", start_date: "2025-04-01" });
+
+    expect(response.status).toBe(422);
+  });
+
+  test("keys are scoped per user", async () => {
+    const alice = await createTestUser(run, "alice@example.com");
+    const bob = await createTestUser(run, "bob@example.com");
+    const aliceSession = await createTestSession(run, alice.id);
+    const bobSession = await createTestSession(run, bob.id);
+    const body = { name: "Japan", start_date: "2025-04-01" };
+
+    const first = await request(app)
+      .post("/api/trips")
+      .set("Authorization", `Bearer ${aliceSession}`)
+      .set("Idempotency-Key", "shared-key")
+      .send(body);
+    const second = await request(app)
+      .post("/api/trips")
+      .set("Authorization", `Bearer ${bobSession}`)
+      .set("Idempotency-Key", "shared-key")
+      .send(body);
+
+    expect(second.status).toBe(200);
+    expect(second.headers["idempotent-replayed"]).toBeUndefined();
+    expect(second.body.id).not.toBe(first.body.id);
+  });
+
+  test("expired keys are executed again", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+    const body = { name: "Japan", start_date: "2025-04-01" };
+
+    await request(app)
+      .post("/api/trips")
+      .set("Authorization", `Bearer ${sessionId}`)
+      .set("Idempotency-Key", "old-key")
+      .send(body);
+    await run(`UPDATE idempotency_keys SET created_at = ?`, [
+      Date.now() - 25 * 60 * 60 * 1000,
+    ]);
+    const retry = await request(app)
+      .post("/api/trips")
+      .set("Authorization", `Bearer ${sessionId}`)
+      .set("Idempotency-Key", "old-key")
+      .send(body);
+
+    expect(retry.headers["idempotent-replayed"]).toBeUndefined();
+    const rows = await all(`SELECT id FROM trips WHERE user_id = ?`, [user.id]);
+    expect(rows).toHaveLength(2);
+  });
+
+  test("requests without a key are not recorded", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+
+    await request(app)
+      .post("/api/trips")
+      .set("Authorization", `Bearer ${sessionId}`)
+      .send({ name: "Japan", start_date: "2025-04-01" });
+
+    const keys = await all(`SELECT * FROM idempotency_keys`);
+    expect(keys).toHaveLength(0);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Tests for per-account login lockout
+ */
+
+import { describe, test, expect, jest } from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import {
+  createTestDatabase,
+  initTestDatabase,
+  createTestUser,
+  cleanupDatabase,
+} from "./helpers.js";
+
+import registerAccountUnlockRoutes, {
+  createLoginLockout,
+  lockoutDelay,
+  LOCKOUT_THRESHOLD,
+  UNLOCK_EMAIL_THRESHOLD,
+  LOGIN_FAILURE_RETENTION,
+} from "../app/routes/login-lockout.js";
+
+let app;
+let db;
+let run, get, all;
+let sendAccountUnlockEmail;
+let lockout;
+
+async function fail(email, user, times) {
+  let result;
+  for (let i = 0; i < times; i++) {
+    result = await lockout.recordFailure(email, user);
+  }
+  return result;
+}
+
+describe("Login lockout", () => {
+  beforeEach(async () => {
+    const testDb = createTestDatabase();
+    db = testDb.db;
+    run = testDb.run;
+    get = testDb.get;
+    all = testDb.all;
+
+    await initTestDatabase(run);
+
+    app = express();
+    app.use(express.json());
+
+    const csrfProtection = (req, res, next) => next();
+    const limiter = (req, res, next) => next();
+    sendAccountUnlockEmail = jest.fn(async () => {});
+    lockout = createLoginLockout({ run, get, sendAccountUnlockEmail });
+
+    registerAccountUnlockRoutes(app, { csrfProtection, limiter, run, get });
+  });
+
+  afterEach(async () => {
+    await cleanupDatabase(db);
+  });
+
+  test("delays grow with each failure past the threshold", () => {
+    expect(lockoutDelay(LOCKOUT_THRESHOLD - 1)).toBe(0);
+    expect(lockoutDelay(LOCKOUT_THRESHOLD)).toBe(30 * 1000);
+    expect(lockoutDelay(LOCKOUT_THRESHOLD + 1)).toBe(60 * 1000);
+    expect(lockoutDelay(LOCKOUT_THRESHOLD + 20)).toBe(60 * 60 * 1000);
+  });
+
+  test("locks an email after repeated failures", async () => {
+    const user = await createTestUser(run);
+
+    await fail(user.email, user, LOCKOUT_THRESHOLD - 1);
+    expect(await lockout.getRetryAfter(user.email)).toBe(0);
+
+    await fail(user.email, user, 1);
+    expect(await lockout.getRetryAfter(user.email)).toBeGreaterThan(0);
+    // Case and surrounding spaces don't open a second counter
+    expect(
+      await lockout.getRetryAfter(` ${user.email.toUpperCase()} `),
+    ).toBeGreaterThan(0);
+  });
+
+  test("treats unknown emails exactly like registered ones", async () => {
+    const user = await createTestUser(run);
+
+    const known = await fail(user.email, user, LOCKOUT_THRESHOLD);
+    const unknown = await fail(
+      "nobody@example.com",
+      undefined,
+      LOCKOUT_THRESHOLD,
+    );
+
+    expect(unknown).toEqual(known);
+    expect(await lockout.getRetryAfter("nobody@example.com")).toBeGreaterThan(
+      0,
+    );
+    const rows = await all(`SELECT email_hash FROM login_failures`);
+    rows.forEach((row) => expect(row.email_hash).not.toContain("@"));
+  });
+
+  test("emails the owner an unlock link once", async () => {
+    const user = await createTestUser(run);
+
+    await fail(user.email, user, UNLOCK_EMAIL_THRESHOLD + 2);
+    await fail("nobody@example.com", undefined, UNLOCK_EMAIL_THRESHOLD);
+
+    expect(sendAccountUnlockEmail).toHaveBeenCalledTimes(1);
+    expect(sendAccountUnlockEmail.mock.calls[0][0]).toBe(user.email);
+  });
+
+  test("a correct password clears the streak", async () => {
+    const user = await createTestUser(run);
+    await fail(user.email, user, LOCKOUT_THRESHOLD - 1);
+
+    await lockout.clearFailures(user.email);
+    const { failures } = await lockout.recordFailure(user.email, user);
+
+    expect(failures).toBe(1);
+  });
+
+  test("old failure streaks are forgotten", async () => {
+    const user = await createTestUser(run);
+    await fail(user.email, user, LOCKOUT_THRESHOLD);
+
+    const { failures } = await lockout.recordFailure(
+      user.email,
+      user,
+      Date.now() + LOGIN_FAILURE_RETENTION + 1000,
+    );
+
+    expect(failures).toBe(1);
+  });
+
+  describe("POST /api/unlock-account", () => {
+    test("should lift the lock with the emailed token", async () => {
+      const user = await createTestUser(run);
+      await fail(user.email, user, UNLOCK_EMAIL_THRESHOLD);
+      const token = sendAccountUnlockEmail.mock.calls[0][1];
+
+      const response = await request(app)
+        .post("/api/unlock-account")
+        .send({ token });
+
+      expect(response.status).toBe(200);
+      expect(await lockout.getRetryAfter(user.email)).toBe(0);
+
+      const again = await request(app)
+        .post("/api/unlock-account")
+        .send({ token });
+      expect(again.status).toBe(400);
+    });
+
+    test("should reject an expired token", async () => {
+      const user = await createTestUser(run);
+      await fail(user.email, user, UNLOCK_EMAIL_THRESHOLD);
+      const token = sendAccountUnlockEmail.mock.calls[0][1];
+      await run(`UPDATE users SET unlock_expires = ? WHERE id = ?`, [
+        Date.now() - 1000,
+        user.id,
+      ]);
+
+      const response = await request(app)
+        .post("/api/unlock-account")
+        .send({ token });
+
+      expect(response.status).toBe(400);
+      expect(await lockout.getRetryAfter(user.email)).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Tests for password login: lockout, 2FA challenge and "remember me"
+ */
+
+import { describe, test, expect, jest } from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import { randomUUID } from "crypto";
+import {
+  createTestDatabase,
+  initTestDatabase,
+  createTestUser,
+  cleanupDatabase,
+} from "./helpers.js";
+
+import registerLoginRoutes from "../app/routes/login.js";
+import { LOCKOUT_THRESHOLD } from "../app/routes/login-lockout.js";
+import {
+  SESSION_LIFETIMES,
+  sessionCookieOptions,
+} from "../app/routes/session-expiry.js";
+
+let app;
+let db;
+let run, get, all;
+
+function login(body) {
+  return request(app).post("/api/login").send(body);
+}
+
+function sessionCookie(response) {
+  return (response.headers["set-cookie"] || []).find((c) =>
+    c.startsWith("trippino_sid="),
+  );
+}
+
+describe("Password login", () => {
+  beforeEach(async () => {
+    const testDb = createTestDatabase();
+    db = testDb.db;
+    run = testDb.run;
+    get = testDb.get;
+    all = testDb.all;
+
+    await initTestDatabase(run);
+
+    app = express();
+    app.use(express.json());
+
+    const csrfProtection = (req, res, next) => next();
+    const limiter = (req, res, next) => next();
+    const createSessionForUserId = async (userId, req, { remember }) => {
+      const sid = randomUUID();
+      await run(
+        `INSERT INTO sessions (sid, user_id, createdAt, remember) VALUES (?, ?, ?, ?)`,
+        [sid, userId, Date.now(), remember ? 1 : 0],
+      );
+      return sid;
+    };
+    const setSessionCookie = (res, sid, { remember = false } = {}) =>
+      res.cookie("trippino_sid", sid, {
+        httpOnly: true,
+        ...sessionCookieOptions(remember),
+      });
+
+    registerLoginRoutes(app, {
+      csrfProtection,
+      limiter,
+      run,
+      get,
+      sendAccountUnlockEmail: jest.fn(async () => {}),
+      createSessionForUserId,
+      setSessionCookie,
+    });
+  });
+
+  afterEach(async () => {
+    await cleanupDatabase(db);
+  });
+
+  test("should sign in with a browser-session cookie by default", async () => {
+    const user = await createTestUser(run);
+
+    const response = await login({
+      email: user.email,
+      password: user.password,
+    });
+
+    expect(response.status).toBe(200);
+    const cookie = sessionCookie(response);
+    expect(cookie).toBeDefined();
+    expect(cookie).not.toMatch(/Max-Age=/);
+    expect(cookie).not.toMatch(/Expires=/);
+    const session = await get(`SELECT remember FROM sessions`);
+    expect(session.remember).toBe(0);
+  });
+
+  test("should keep the cookie for the remember me lifetime", async () => {
+    const user = await createTestUser(run);
+
+    const response = await login({
+      email: user.email,
+      password: user.password,
+      remember: true,
+    });
+
+    expect(response.status).toBe(200);
+    const maxAge = SESSION_LIFETIMES.remember.max / 1000;
+    expect(sessionCookie(response)).toMatch(
+      new RegExp(`Max-Age=${maxAge}(;|$)`),
+    );
+    const session = await get(`SELECT remember FROM sessions`);
+    expect(session.remember).toBe(1);
+  });
+
+  test("should reject a wrong password without a session", async () => {
+    const user = await createTestUser(run);
+
+    const response = await login({ email: user.email, password: "wrong" });
+
+    expect(response.status).toBe(401);
+    expect(sessionCookie(response)).toBeUndefined();
+    expect(await all(`SELECT sid FROM sessions`)).toHaveLength(0);
+  });
+
+  test("should lock the email after repeated failures", async () => {
+    const user = await createTestUser(run);
+    for (let i = 0; i < LOCKOUT_THRESHOLD; i++) {
+      await login({ email: user.email, password: "wrong" });
+    }
+
+    const response = await login({
+      email: user.email,
+      password: user.password,
+    });
+
+    expect(response.status).toBe(429);
+    expect(Number(response.headers["retry-after"])).toBeGreaterThan(0);
+  });
+
+  test("should refuse locked and unverified accounts", async () => {
+    const locked = await createTestUser(run, "locked@example.com");
+    await run(`UPDATE users SET locked_at = ? WHERE id = ?`, [
+      Date.now(),
+      locked.id,
+    ]);
+    const unverified = await createTestUser(
+      run,
+      "unverified@example.com",
+      "password123",
+      false,
+    );
+
+    const lockedResponse = await login({
+      email: locked.email,
+      password: locked.password,
+    });
+    const unverifiedResponse = await login({
+      email: unverified.email,
+      password: unverified.password,
+    });
+
+    expect(lockedResponse.status).toBe(403);
+    expect(lockedResponse.body.error).toBe("account is locked");
+    expect(unverifiedResponse.status).toBe(403);
+    expect(unverifiedResponse.body.canResendVerification).toBe(true);
+  });
+
+  test("should hand out a 2FA challenge instead of a session", async () => {
+    const user = await createTestUser(run);
+    await run(`UPDATE users SET totp_enabled = 1 WHERE id = ?`, [user.id]);
+
+    const response = await login({
+      email: user.email,
+      password: user.password,
+      remember: true,
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.twoFactorRequired).toBe(true);
+    expect(response.body.challenge).toEqual(expect.any(String));
+    expect(sessionCookie(response)).toBeUndefined();
+    const challenge = await get(
+      `SELECT user_id, remember FROM login_challenges`,
+    );
+    expect(challenge).toEqual({ user_id: user.id, remember: 1 });
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Tests for magic-link email login
+ */
+
+import { describe, test, expect, jest } from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import cookieParser from "cookie-parser";
+import { randomUUID } from "crypto";
+import {
+  createTestDatabase,
+  initTestDatabase,
+  createTestUser,
+  cleanupDatabase,
+} from "./helpers.js";
+
+import registerMagicLinkRoutes from "../app/routes/magic-link.js";
+
+let app;
+let db;
+let run, get, all;
+let sendMagicLinkEmail;
+let createSessionForUserId;
+
+// Request a link for the email and return the token sent by email
+async function requestMagicToken(email) {
+  await request(app).post("/api/login/magic").send({ email });
+  const calls = sendMagicLinkEmail.mock.calls;
+  return calls[calls.length - 1][1];
+}
+
+describe("Magic link API", () => {
+  beforeEach(async () => {
+    const testDb = createTestDatabase();
+    db = testDb.db;
+    run = testDb.run;
+    get = testDb.get;
+    all = testDb.all;
+
+    await initTestDatabase(run);
+
+    app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+
+    const csrfProtection = (req, res, next) => next();
+    const limiter = (req, res, next) => next();
+    sendMagicLinkEmail = jest.fn(async () => {});
+    createSessionForUserId = jest.fn(async (userId) => {
+      const sid = randomUUID();
+      await run(
+        `INSERT INTO sessions (sid, user_id, createdAt) VALUES (?, ?, ?)`,
+        [sid, userId, Date.now()],
+      );
+      return sid;
+    });
+    const setSessionCookie = (res, sid) => res.cookie("trippino_sid", sid);
+
+    registerMagicLinkRoutes(app, {
+      csrfProtection,
+      limiter,
+      run,
+      get,
+      sendMagicLinkEmail,
+      createSessionForUserId,
+      setSessionCookie,
+    });
+  });
+
+  afterEach(async () => {
+    await cleanupDatabase(db);
+  });
+
+  describe("POST /api/login/magic", () => {
+    test("should email a sign-in token and store only its hash", async () => {
+      const user = await createTestUser(run);
+
+      const response = await request(app)
+        .post("/api/login/magic")
+        .send({ email: user.email });
+
+      expect(response.status).toBe(200);
+      expect(sendMagicLinkEmail).toHaveBeenCalledTimes(1);
+      const [to, token] = sendMagicLinkEmail.mock.calls[0];
+      expect(to).toBe(user.email);
+
+      const row = await get(
+        `SELECT magic_token, magic_expires FROM users WHERE id = ?`,
+        [user.id],
+      );
+      expect(row.magic_token).toBeTruthy();
+      expect(row.magic_token).not.toBe(token);
+      expect(row.magic_expires).toBeGreaterThan(Date.now());
+    });
+
+    test("should answer the same for unknown emails", async () => {
+      const user = await createTestUser(run);
+
+      const known = await request(app)
+        .post("/api/login/magic")
+        .send({ email: user.email });
+      const unknown = await request(app)
+        .post("/api/login/magic")
+        .send({ email: "nobody@example.com" });
+
+      expect(unknown.status).toBe(known.status);
+      expect(unknown.body).toEqual(known.body);
+      expect(sendMagicLinkEmail).toHaveBeenCalledTimes(1);
+    });
+
+    test("should require an email", async () => {
+      const response = await request(app).post("/api/login/magic").send({});
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("POST /api/login/magic/verify", () => {
+    test("should create a session for the link's user", async () => {
+      const user = await createTestUser(run);
+      const token = await requestMagicToken(user.email);
+
+      const response = await request(app)
+        .post("/api/login/magic/verify")
+        .send({ token, remember: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.email).toBe(user.email);
+      expect(response.headers["set-cookie"][0]).toContain("trippino_sid=");
+      expect(createSessionForUserId).toHaveBeenCalledWith(
+        user.id,
+        expect.anything(),
+        { remember: true },
+      );
+    });
+
+    test("should accept a link only once", async () => {
+      const user = await createTestUser(run);
+      const token = await requestMagicToken(user.email);
+
+      await request(app).post("/api/login/magic/verify").send({ token });
+      const again = await request(app)
+        .post("/api/login/magic/verify")
+        .send({ token });
+
+      expect(again.status).toBe(400);
+      expect(again.body.error).toBe("invalid or expired sign-in link");
+    });
+
+    test("should reject an expired link", async () => {
+      const user = await createTestUser(run);
+      const token = await requestMagicToken(user.email);
+      await run(`UPDATE users SET magic_expires = ? WHERE id = ?`, [
+        Date.now() - 1000,
+        user.id,
+      ]);
+
+      const response = await request(app)
+        .post("/api/login/magic/verify")
+        .send({ token });
+
+      expect(response.status).toBe(400);
+    });
+
+    test("should refuse accounts locked by an admin", async () => {
+      const user = await createTestUser(run);
+      const token = await requestMagicToken(user.email);
+      await run(`UPDATE users SET locked_at = ? WHERE id = ?`, [
+        Date.now(),
+        user.id,
+      ]);
+
+      const response = await request(app)
+        .post("/api/login/magic/verify")
+        .send({ token });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe("account is locked");
+      expect(createSessionForUserId).not.toHaveBeenCalled();
+    });
+
+    test("should only honour the latest link", async () => {
+      const user = await createTestUser(run);
+      const first = await requestMagicToken(user.email);
+      await requestMagicToken(user.email);
+
+      const response = await request(app)
+        .post("/api/login/magic/verify")
+        .send({ token: first });
+
+      expect(response.status).toBe(400);
+    });
+
+    test("should verify the email of an unverified account", async () => {
+      const user = await createTestUser(
+        run,
+        "new@example.com",
+        "password123",
+        0,
+      );
+      const token = await requestMagicToken(user.email);
+
+      const response = await request(app)
+        .post("/api/login/magic/verify")
+        .send({ token });
+
+      expect(response.status).toBe(200);
+      const row = await get(`SELECT verified FROM users WHERE id = ?`, [
+        user.id,
+      ]);
+      expect(row.verified).toBe(1);
+    });
+
+    test("should still ask for the second factor when 2FA is on", async () => {
+      const user = await createTestUser(run);
+      await run(`UPDATE users SET totp_enabled = 1 WHERE id = ?`, [user.id]);
+      const token = await requestMagicToken(user.email);
+
+      const response = await request(app)
+        .post("/api/login/magic/verify")
+        .send({ token });
+
+      expect(response.status).toBe(200);
+      expect(response.body.twoFactorRequired).toBe(true);
+      expect(response.body.challenge).toBeTruthy();
+      expect(createSessionForUserId).not.toHaveBeenCalled();
+      const sessions = await all(`SELECT sid FROM sessions`);
+      expect(sessions).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Mock OpenID Connect provider for tests
+ * Serves discovery, JWKS, an authorization endpoint that signs in whoever
+ * is set with signIn() without a login page, and a token endpoint that
+ * checks the client credentials and PKCE verifier before issuing id tokens.
+ */
+
+import crypto from "crypto";
+import express from "express";
+
+export class MockOidcIssuer {
+  constructor({ clientId, clientSecret = null, alg = "RS256" } = {}) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.alg = alg;
+    const { privateKey, publicKey } =
+      alg === "ES256"
+        ? crypto.generateKeyPairSync("ec", { namedCurve: "P-256" })
+        : crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    this.privateKey = privateKey;
+    this.jwk = {
+      ...publicKey.export({ format: "jwk" }),
+      kid: "test-key",
+      use: "sig",
+    };
+    this.codes = new Map(); // code -> { redirectUri, codeChallenge, nonce, user }
+    this.user = null;
+    this.claimOverrides = {};
+  }
+
+  // The account the next authorization request signs in as
+  signIn(user) {
+    this.user = user;
+  }
+
+  async start() {
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    app.get("/.well-known/openid-configuration", (req, res) => {
+      res.json({
+        issuer: this.issuer,
+        authorization_endpoint: `${this.issuer}/authorize`,
+        token_endpoint: `${this.issuer}/token`,
+        jwks_uri: `${this.issuer}/jwks`,
+        response_types_supported: ["code"],
+        code_challenge_methods_supported: ["S256"],
+      });
+    });
+
+    app.get("/jwks", (req, res) => res.json({ keys: [this.jwk] }));
+
+    app.get("/authorize", (req, res) => {
+      const { client_id, redirect_uri, state, nonce, code_challenge } =
+        req.query;
+      const redirect = new URL(redirect_uri);
+      redirect.searchParams.set("state", state);
+      if (client_id !== this.clientId || !this.user) {
+        redirect.searchParams.set("error", "access_denied");
+        return res.redirect(redirect.toString());
+      }
+      const code = crypto.randomBytes(16).toString("hex");
+      this.codes.set(code, {
+        redirectUri: redirect_uri,
+        codeChallenge: code_challenge,
+        nonce,
+        user: this.user,
+      });
+      redirect.searchParams.set("code", code);
+      return res.redirect(redirect.toString());
+    });
+
+    app.post("/token", (req, res) => {
+      const grant = this.codes.get(req.body.code);
+      this.codes.delete(req.body.code);
+      if (!this.authenticateClient(req)) {
+        return res.status(401).json({ error: "invalid_client" });
+      }
+      const challenge = crypto
+        .createHash("sha256")
+        .update(String(req.body.code_verifier))
+        .digest("base64url");
+      if (
+        !grant ||
+        req.body.grant_type !== "authorization_code" ||
+        req.body.redirect_uri !== grant.redirectUri ||
+        challenge !== grant.codeChallenge
+      ) {
+        return res.status(400).json({ error: "invalid_grant" });
+      }
+      return res.json({
+        access_token: crypto.randomBytes(16).toString("hex"),
+        token_type: "Bearer",
+        expires_in: 3600,
+        id_token: this.idToken({ nonce: grant.nonce, ...grant.user }),
+      });
+    });
+
+    await new Promise((resolve) => {
+      this.server = app.listen(0, "127.0.0.1", resolve);
+    });
+    this.issuer = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  async stop() {
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+
+  authenticateClient(req) {
+    if (!this.clientSecret) return req.body.client_id === this.clientId;
+    const header = req.get("Authorization") || "";
+    const expected = Buffer.from(
+      `${this.clientId}:${this.clientSecret}`,
+    ).toString("base64");
+    return header === `Basic ${expected}`;
+  }
+
+  // A signed id token; claimOverrides lets tests break individual claims
+  idToken(claims) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = { alg: this.alg, typ: "JWT", kid: this.jwk.kid };
+    const payload = {
+      iss: this.issuer,
+      aud: this.clientId,
+      iat: now,
+      exp: now + 300,
+      ...claims,
+      ...this.claimOverrides,
+    };
+    const encode = (value) =>
+      Buffer.from(JSON.stringify(value)).toString("base64url");
+    const signingInput = `${encode(header)}.${encode(payload)}`;
+    const signature = crypto.sign(
+      "sha256",
+      Buffer.from(signingInput),
+      this.alg === "ES256"
+        ? { key: this.privateKey, dsaEncoding: "ieee-p1363" }
+        : this.privateKey,
+    );
+    return `${signingInput}.${signature.toString("base64url")}`;
+  }
+}
@@ -0,0 +1,338 @@
+/**
+ * Tests for OpenID Connect login against a local mock provider
+ */
+
+import { describe, test, expect, jest } from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import cookieParser from "cookie-parser";
+import { randomUUID } from "crypto";
+import {
+  createTestDatabase,
+  initTestDatabase,
+  createTestUser,
+  cleanupDatabase,
+} from "./helpers.js";
+import { MockOidcIssuer } from "./mock-oidc-issuer.js";
+
+import registerOidcRoutes, {
+  loadOidcConfig,
+  verifyIdToken,
+} from "../app/routes/oidc.js";
+
+const CLIENT_ID = "trippino";
+const CLIENT_SECRET = "s3cret";
+const REDIRECT_URI = "http://localhost:5000/api/login/oidc/callback";
+
+let app;
+let db;
+let run, get, all;
+let issuer;
+let createSessionForUserId;
+
+function buildApp(config) {
+  app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+
+  const limiter = (req, res, next) => next();
+  createSessionForUserId = jest.fn(async (userId) => {
+    const sid = randomUUID();
+    await run(
+      `INSERT INTO sessions (sid, user_id, createdAt) VALUES (?, ?, ?)`,
+      [sid, userId, Date.now()],
+    );
+    return sid;
+  });
+  const setSessionCookie = (res, sid) => res.cookie("trippino_sid", sid);
+
+  registerOidcRoutes(app, {
+    config,
+    limiter,
+    run,
+    get,
+    createSessionForUserId,
+    setSessionCookie,
+  });
+}
+
+function stateCookie(response) {
+  const cookie = (response.headers["set-cookie"] || []).find((c) =>
+    c.startsWith("trippino_oidc="),
+  );
+  return cookie.split(";")[0];
+}
+
+// Start a sign-in, let the mock provider authorize it and return the
+// redirect back to us: { path, cookie }
+async function authorize({ remember = false } = {}) {
+  const start = await request(app).get(
+    `/api/login/oidc/start${remember ? "?remember=1" : ""}`,
+  );
+  expect(start.status).toBe(302);
+  const provider = await fetch(start.headers.location, { redirect: "manual" });
+  const callback = new URL(provider.headers.get("location"));
+  return {
+    path: callback.pathname + callback.search,
+    cookie: stateCookie(start),
+  };
+}
+
+async function signIn(options) {
+  const { path, cookie } = await authorize(options);
+  return request(app).get(path).set("Cookie", cookie);
+}
+
+describe("OIDC login", () => {
+  beforeAll(async () => {
+    issuer = await new MockOidcIssuer({
+      clientId: CLIENT_ID,
+      clientSecret: CLIENT_SECRET,
+    }).start();
+  });
+
+  afterAll(async () => {
+    await issuer.stop();
+  });
+
+  beforeEach(async () => {
+    const testDb = createTestDatabase();
+    db = testDb.db;
+    run = testDb.run;
+    get = testDb.get;
+    all = testDb.all;
+
+    await initTestDatabase(run);
+
+    issuer.claimOverrides = {};
+    issuer.signIn({
+      sub: "employee-42",
+      email: "ada@example.com",
+      email_verified: true,
+    });
+    buildApp(
+      loadOidcConfig({
+        OIDC_ISSUER: issuer.issuer,
+        OIDC_CLIENT_ID: CLIENT_ID,
+        OIDC_CLIENT_SECRET: CLIENT_SECRET,
+        OIDC_REDIRECT_URI: REDIRECT_URI,
+        OIDC_PROVIDER_NAME: "Example Corp",
+      }),
+    );
+  });
+
+  afterEach(async () => {
+    await cleanupDatabase(db);
+  });
+
+  describe("GET /api/login/oidc/start", () => {
+    test("should redirect to the provider with PKCE and a state cookie", async () => {
+      const response = await request(app).get("/api/login/oidc/start");
+
+      expect(response.status).toBe(302);
+      const location = new URL(response.headers.location);
+      expect(location.origin).toBe(issuer.issuer);
+      expect(location.searchParams.get("client_id")).toBe(CLIENT_ID);
+      expect(location.searchParams.get("redirect_uri")).toBe(REDIRECT_URI);
+      expect(location.searchParams.get("code_challenge_method")).toBe("S256");
+      expect(location.searchParams.get("code_challenge")).toBeTruthy();
+      expect(location.searchParams.get("nonce")).toBeTruthy();
+      expect(stateCookie(response)).toBe(
+        `trippino_oidc=${location.searchParams.get("state")}`,
+      );
+
+      const row = await get(`SELECT state_hash FROM oidc_login_states`);
+      expect(row.state_hash).not.toBe(location.searchParams.get("state"));
+    });
+
+    test("should report whether single sign-on is configured", async () => {
+      const enabled = await request(app).get("/api/login/oidc/config");
+      expect(enabled.body).toEqual({
+        enabled: true,
+        providerName: "Example Corp",
+      });
+
+      buildApp(loadOidcConfig({}));
+      const disabled = await request(app).get("/api/login/oidc/config");
+      const start = await request(app).get("/api/login/oidc/start");
+      expect(disabled.body).toEqual({ enabled: false });
+      expect(start.status).toBe(404);
+    });
+  });
+
+  describe("GET /api/login/oidc/callback", () => {
+    test("should create a verified account for a new email", async () => {
+      const response = await signIn({ remember: true });
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe("/");
+      const user = await get(`SELECT id, verified FROM users WHERE email = ?`, [
+        "ada@example.com",
+      ]);
+      expect(user.verified).toBe(1);
+      expect(createSessionForUserId).toHaveBeenCalledWith(
+        user.id,
+        expect.anything(),
+        { remember: true },
+      );
+      expect(response.headers["set-cookie"].join(";")).toContain(
+        "trippino_sid=",
+      );
+      const identity = await get(
+        `SELECT user_id, subject FROM oidc_identities WHERE issuer = ?`,
+        [issuer.issuer],
+      );
+      expect(identity).toEqual({ user_id: user.id, subject: "employee-42" });
+    });
+
+    test("should link an existing account with the same email", async () => {
+      const user = await createTestUser(
+        run,
+        "ada@example.com",
+        "password123",
+        0,
+      );
+
+      const response = await signIn();
+
+      expect(response.headers.location).toBe("/");
+      expect(createSessionForUserId.mock.calls[0][0]).toBe(user.id);
+      const row = await get(`SELECT verified FROM users WHERE id = ?`, [
+        user.id,
+      ]);
+      expect(row.verified).toBe(1);
+      const { count } = await get(`SELECT COUNT(*) AS count FROM users`);
+      expect(count).toBe(1);
+    });
+
+    test("should find the account by subject after an email change at the provider", async () => {
+      await signIn();
+      issuer.signIn({
+        sub: "employee-42",
+        email: "ada.lovelace@example.com",
+        email_verified: true,
+      });
+
+      const response = await signIn();
+
+      expect(response.headers.location).toBe("/");
+      const [first, second] = createSessionForUserId.mock.calls;
+      expect(second[0]).toBe(first[0]);
+      const { count } = await get(`SELECT COUNT(*) AS count FROM users`);
+      expect(count).toBe(1);
+    });
+
+    test("should refuse emails the provider has not verified", async () => {
+      issuer.signIn({
+        sub: "employee-43",
+        email: "grace@example.com",
+        email_verified: false,
+      });
+
+      const response = await signIn();
+
+      expect(response.headers.location).toBe(
+        "/auth.html?oidcError=unverified_email",
+      );
+      const user = await get(`SELECT id FROM users WHERE email = ?`, [
+        "grace@example.com",
+      ]);
+      expect(user).toBeUndefined();
+    });
+
+    test("should require the state cookie from the browser that started", async () => {
+      const { path } = await authorize();
+
+      const response = await request(app).get(path);
+
+      expect(response.headers.location).toBe("/auth.html?oidcError=expired");
+      expect(createSessionForUserId).not.toHaveBeenCalled();
+    });
+
+    test("should accept each state only once", async () => {
+      const { path, cookie } = await authorize();
+      await request(app).get(path).set("Cookie", cookie);
+
+      const replay = await request(app).get(path).set("Cookie", cookie);
+
+      expect(replay.headers.location).toBe("/auth.html?oidcError=expired");
+      expect(createSessionForUserId).toHaveBeenCalledTimes(1);
+    });
+
+    test("should reject id tokens for another client or nonce", async () => {
+      issuer.claimOverrides = { aud: "another-app" };
+      const wrongAudience = await signIn();
+      issuer.claimOverrides = { nonce: "replayed" };
+      const wrongNonce = await signIn();
+
+      expect(wrongAudience.headers.location).toBe(
+        "/auth.html?oidcError=failed",
+      );
+      expect(wrongNonce.headers.location).toBe("/auth.html?oidcError=failed");
+      expect(createSessionForUserId).not.toHaveBeenCalled();
+    });
+
+    test("should report a sign-in the provider denied", async () => {
+      issuer.signIn(null);
+
+      const response = await signIn();
+
+      expect(response.headers.location).toBe("/auth.html?oidcError=denied");
+    });
+
+    test("should still ask for the TOTP code when 2FA is enabled", async () => {
+      const user = await createTestUser(run, "ada@example.com");
+      await run(`UPDATE users SET totp_enabled = 1 WHERE id = ?`, [user.id]);
+
+      const response = await signIn();
+
+      expect(response.headers.location).toMatch(
+        /^\/auth\.html#challenge=[0-9a-f]{64}$/,
+      );
+      expect(createSessionForUserId).not.toHaveBeenCalled();
+      const challenge = await get(`SELECT user_id FROM login_challenges`);
+      expect(challenge.user_id).toBe(user.id);
+    });
+  });
+
+  describe("verifyIdToken", () => {
+    test("should accept ES256 tokens and reject expired ones", async () => {
+      const ecIssuer = new MockOidcIssuer({
+        clientId: CLIENT_ID,
+        alg: "ES256",
+      });
+      ecIssuer.issuer = "https://login.example.com";
+      const jwks = { keys: [ecIssuer.jwk] };
+      const options = {
+        issuer: ecIssuer.issuer,
+        clientId: CLIENT_ID,
+        nonce: "n-1",
+      };
+
+      const claims = verifyIdToken(
+        ecIssuer.idToken({ sub: "u1", nonce: "n-1" }),
+        jwks,
+        options,
+      );
+      expect(claims.sub).toBe("u1");
+
+      const expired = ecIssuer.idToken({ sub: "u1", nonce: "n-1", exp: 1 });
+      expect(() => verifyIdToken(expired, jwks, options)).toThrow(
+        "id token expired",
+      );
+
+      const token = ecIssuer.idToken({ sub: "u1", nonce: "n-1" });
+      const [header, payload, signature] = token.split(".");
+      const tampered = Buffer.from(
+        JSON.stringify({
+          ...JSON.parse(Buffer.from(payload, "base64url")),
+          sub: "admin",
+        }),
+      ).toString("base64url");
+      const forged = `${header}.${tampered}.${signature}`;
+      expect(() => verifyIdToken(forged, jwks, options)).toThrow(
+        "invalid id token signature",
+      );
+    });
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * Tests for passkey (WebAuthn) registration and sign-in
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import cookieParser from "cookie-parser";
+import { randomUUID } from "crypto";
+import {
+  createTestDatabase,
+  initTestDatabase,
+  createTestUser,
+  createTestSession,
+  cleanupDatabase,
+} from "./helpers.js";
+import { SoftwareAuthenticator } from "./software-authenticator.js";
+
+import registerPasskeyRoutes from "../app/routes/passkeys.js";
+
+const ORIGIN = "http://localhost:5000";
+
+let app;
+let db;
+let run, get, all;
+
+async function registerPasskey(authenticator, sessionId, name = "Laptop") {
+  const options = await request(app)
+    .post("/api/passkeys/register/options")
+    .set("Authorization", `Bearer ${sessionId}`);
+  return request(app)
+    .post("/api/passkeys/register")
+    .set("Authorization", `Bearer ${sessionId}`)
+    .send({ credential: authenticator.create(options.body.publicKey), name });
+}
+
+async function loginOptions() {
+  const response = await request(app).post("/api/login/passkey/options");
+  return response.body.publicKey;
+}
+
+describe("Passkeys API", () => {
+  beforeEach(async () => {
+    const testDb = createTestDatabase();
+    db = testDb.db;
+    run = testDb.run;
+    get = testDb.get;
+    all = testDb.all;
+
+    await initTestDatabase(run);
+
+    app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+
+    const csrfProtection = (req, res, next) => next();
+    const limiter = (req, res, next) => next();
+    const getSession = async (req) => {
+      const sessionId = req.headers.authorization?.replace("Bearer ", "");
+      if (!sessionId) return null;
+      const session = await get("SELECT * FROM sessions WHERE sid = ?", [
+        sessionId,
+      ]);
+      if (!session) return null;
+      const user = await get("SELECT * FROM users WHERE id = ?", [
+        session.user_id,
+      ]);
+      return { user, ...session };
+    };
+    const createSessionForUserId = async (userId) => {
+      const sid = randomUUID();
+      await run(
+        `INSERT INTO sessions (sid, user_id, createdAt) VALUES (?, ?, ?)`,
+        [sid, userId, Date.now()],
+      );
+      return sid;
+    };
+    const setSessionCookie = (res, sid) => res.cookie("trippino_sid", sid);
+
+    registerPasskeyRoutes(app, {
+      csrfProtection,
+      limiter,
+      getSession,
+      run,
+      get,
+      all,
+      createSessionForUserId,
+      setSessionCookie,
+      rpId: "localhost",
+      origin: ORIGIN,
+    });
+  });
+
+  afterEach(async () => {
+    await cleanupDatabase(db);
+  });
+
+  test("registration options describe the relying party and user", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+
+    const response = await request(app)
+      .post("/api/passkeys/register/options")
+      .set("Authorization", `Bearer ${sessionId}`);
+
+    expect(response.status).toBe(200);
+    const { publicKey } = response.body;
+    expect(publicKey.rp.id).toBe("localhost");
+    expect(publicKey.user.name).toBe(user.email);
+    // The handle is the random one stored for the user, not an email or id
+    const row = await get(`SELECT webauthn_handle FROM users WHERE id = ?`, [
+      user.id,
+    ]);
+    expect(publicKey.user.id).toBe(row.webauthn_handle);
+    expect(publicKey.user.id).toMatch(/^[A-Za-z0-9_-]{22}$/);
+    expect(publicKey.challenge).toMatch(/^[A-Za-z0-9_-]{43}$/);
+  });
+
+  test("registers a passkey and signs in with it", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+    const authenticator = new SoftwareAuthenticator({ origin: ORIGIN });
+
+    const registered = await registerPasskey(authenticator, sessionId);
+    expect(registered.status).toBe(201);
+    expect(registered.body.passkey.name).toBe("Laptop");
+
+    const credential = authenticator.get(await loginOptions());
+    const response = await request(app)
+      .post("/api/login/passkey")
+      .send({ credential });
+
+    expect(response.status).toBe(200);
+    expect(response.body.email).toBe(user.email);
+    expect(response.headers["set-cookie"][0]).toContain("trippino_sid=");
+
+    const stored = await get(
+      `SELECT sign_count, last_used_at FROM passkeys WHERE user_id = ?`,
+      [user.id],
+    );
+    expect(stored.sign_count).toBe(1);
+    expect(stored.last_used_at).not.toBeNull();
+  });
+
+  test("a signed assertion cannot be replayed", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+    const authenticator = new SoftwareAuthenticator({ origin: ORIGIN });
+    await registerPasskey(authenticator, sessionId);
+
+    const credential = authenticator.get(await loginOptions());
+    await request(app).post("/api/login/passkey").send({ credential });
+    const replay = await request(app)
+      .post("/api/login/passkey")
+      .send({ credential });
+
+    expect(replay.status).toBe(401);
+    expect(replay.body.error).toBe("invalid or expired passkey challenge");
+  });
+
+  test("rejects a counter that goes backwards", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+    const authenticator = new SoftwareAuthenticator({ origin: ORIGIN });
+    await registerPasskey(authenticator, sessionId);
+    await run(`UPDATE passkeys SET sign_count = 10 WHERE user_id = ?`, [
+      user.id,
+    ]);
+
+    const response = await request(app)
+      .post("/api/login/passkey")
+      .send({ credential: authenticator.get(await loginOptions()) });
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe("passkey verification failed");
+  });
+
+  test("rejects responses from another origin", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+    const phishing = new SoftwareAuthenticator({
+      origin: "https://trippino.example.evil",
+    });
+
+    const response = await registerPasskey(phishing, sessionId);
+
+    expect(response.status).toBe(400);
+    const count = await get(`SELECT COUNT(*) AS n FROM passkeys`);
+    expect(count.n).toBe(0);
+  });
+
+  test("sign-in requires user verification", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+    const authenticator = new SoftwareAuthenticator({ origin: ORIGIN });
+    await registerPasskey(authenticator, sessionId);
+    authenticator.userVerified = false;
+
+    const response = await request(app)
+      .post("/api/login/passkey")
+      .send({ credential: authenticator.get(await loginOptions()) });
+
+    expect(response.status).toBe(401);
+  });
+
+  test("unknown passkeys are rejected", async () => {
+    const authenticator = new SoftwareAuthenticator({ origin: ORIGIN });
+    const options = await loginOptions();
+    authenticator.create({
+      challenge: "unused",
+      rp: { id: "localhost" },
+      user: { id: "someone" },
+    });
+
+    const response = await request(app)
+      .post("/api/login/passkey")
+      .send({ credential: authenticator.get(options) });
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe("unknown passkey");
+  });
+
+  test("lists and removes only the user's own passkeys", async () => {
+    const user = await createTestUser(run);
+    const other = await createTestUser(run, "other@example.com");
+    const sessionId = await createTestSession(run, user.id);
+    const otherSessionId = await createTestSession(run, other.id);
+    const authenticator = new SoftwareAuthenticator({ origin: ORIGIN });
+    const { body } = await registerPasskey(authenticator, sessionId, "Phone");
+
+    const list = await request(app)
+      .get("/api/passkeys")
+      .set("Authorization", `Bearer ${sessionId}`);
+    expect(list.body.passkeys).toHaveLength(1);
+    expect(list.body.passkeys[0].name).toBe("Phone");
+
+    const foreign = await request(app)
+      .delete(`/api/passkeys/${body.passkey.id}`)
+      .set("Authorization", `Bearer ${otherSessionId}`);
+    expect(foreign.status).toBe(404);
+
+    const removed = await request(app)
+      .delete(`/api/passkeys/${body.passkey.id}`)
+      .set("Authorization", `Bearer ${sessionId}`);
+    expect(removed.status).toBe(200);
+
+    const response = await request(app)
+      .post("/api/login/passkey")
+      .send({ credential: authenticator.get(await loginOptions()) });
+    expect(response.status).toBe(401);
+  });
+
+  test("requires authentication to register", async () => {
+    const response = await request(app).post("/api/passkeys/register/options");
+    expect(response.status).toBe(401);
+  });
+});
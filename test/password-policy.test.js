@@ -0,0 +1,66 @@
+/**
+ * Tests for the shared password policy
+ */
+
+import { describe, test, expect } from "@jest/globals";
+
+import {
+  checkPasswordPolicy,
+  isCommonPassword,
+  isSimilarToEmail,
+  MIN_PASSWORD_LENGTH,
+} from "../app/routes/password-policy.js";
+
+const codes = (reasons) => reasons.map((reason) => reason.code);
+
+describe("Password policy", () => {
+  test("accepts a long, uncommon password", () => {
+    expect(
+      checkPasswordPolicy("violet-harbour-lantern", {
+        email: "jane.doe@example.com",
+      }),
+    ).toEqual([]);
+  });
+
+  test("rejects short and over-long passwords", () => {
+    expect(codes(checkPasswordPolicy("x7#kq"))).toEqual(["too_short"]);
+    expect(
+      codes(checkPasswordPolicy("a".repeat(MIN_PASSWORD_LENGTH - 1))),
+    ).toEqual(["too_short"]);
+    // 25 three-byte characters are 75 bytes, past bcrypt's 72-byte limit
+    expect(codes(checkPasswordPolicy("€".repeat(25)))).toEqual(["too_long"]);
+  });
+
+  test("rejects passwords from the shipped denylist", () => {
+    expect(isCommonPassword("password123")).toBe(true);
+    expect(isCommonPassword("  QWERTYUIOP ")).toBe(true);
+    expect(isCommonPassword("violet-harbour-lantern")).toBe(false);
+    expect(codes(checkPasswordPolicy("Password1"))).toEqual(["common"]);
+  });
+
+  test("rejects passwords built from the email", () => {
+    const email = "john.doe@example.com";
+    expect(isSimilarToEmail("JohnDoe1990!", email)).toBe(true);
+    expect(isSimilarToEmail("john.doe@example.com", email)).toBe(true);
+    expect(isSimilarToEmail("johnjohn", "johnjohn@example.com")).toBe(true);
+    expect(isSimilarToEmail("12345678john", email)).toBe(true);
+    expect(isSimilarToEmail("o1234567", email)).toBe(false);
+    expect(isSimilarToEmail("violet-harbour-lantern", email)).toBe(false);
+    expect(codes(checkPasswordPolicy("JohnDoe1990!", { email }))).toEqual([
+      "similar_to_email",
+    ]);
+  });
+
+  test("reports every broken rule with a message", () => {
+    const reasons = checkPasswordPolicy("jane", { email: "jane@example.com" });
+
+    expect(codes(reasons)).toEqual(["too_short", "similar_to_email"]);
+    reasons.forEach((reason) =>
+      expect(reason.message).toEqual(expect.any(String)),
+    );
+  });
+
+  test("treats a missing password as too short", () => {
+    expect(codes(checkPasswordPolicy(undefined))).toEqual(["too_short"]);
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Tests for the password reset flow
+ */
+
+import { describe, test, expect, jest } from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import cookieParser from "cookie-parser";
+import bcrypt from "bcryptjs";
+import {
+  createTestDatabase,
+  initTestDatabase,
+  createTestUser,
+  createTestSession,
+  cleanupDatabase,
+} from "./helpers.js";
+
+import registerPasswordResetRoutes from "../app/routes/password-reset.js";
+
+let app;
+let db;
+let run, get, all;
+let sendPasswordResetEmail;
+
+// Request a reset for the email and return the token sent by email
+async function requestResetToken(email) {
+  await request(app).post("/api/forgot-password").send({ email });
+  const calls = sendPasswordResetEmail.mock.calls;
+  return calls[calls.length - 1][1];
+}
+
+describe("Password reset API", () => {
+  beforeEach(async () => {
+    const testDb = createTestDatabase();
+    db = testDb.db;
+    run = testDb.run;
+    get = testDb.get;
+    all = testDb.all;
+
+    await initTestDatabase(run);
+
+    app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+
+    const csrfProtection = (req, res, next) => next();
+    const limiter = (req, res, next) => next();
+    sendPasswordResetEmail = jest.fn(async () => {});
+
+    registerPasswordResetRoutes(app, {
+      csrfProtection,
+      limiter,
+      run,
+      get,
+      sendPasswordResetEmail,
+    });
+  });
+
+  afterEach(async () => {
+    await cleanupDatabase(db);
+  });
+
+  describe("POST /api/forgot-password", () => {
+    test("should email a reset token and store only its hash", async () => {
+      const user = await createTestUser(run);
+
+      const response = await request(app)
+        .post("/api/forgot-password")
+        .send({ email: user.email });
+
+      expect(response.status).toBe(200);
+      expect(sendPasswordResetEmail).toHaveBeenCalledTimes(1);
+      const [to, token] = sendPasswordResetEmail.mock.calls[0];
+      expect(to).toBe(user.email);
+
+      const row = await get(
+        `SELECT reset_token, reset_expires FROM users WHERE id = ?`,
+        [user.id],
+      );
+      expect(row.reset_token).toBeTruthy();
+      expect(row.reset_token).not.toBe(token);
+      expect(row.reset_expires).toBeGreaterThan(Date.now());
+    });
+
+    test("should answer the same for unknown emails", async () => {
+      const user = await createTestUser(run);
+
+      const known = await request(app)
+        .post("/api/forgot-password")
+        .send({ email: user.email });
+      const unknown = await request(app)
+        .post("/api/forgot-password")
+        .send({ email: "nobody@example.com" });
+
+      expect(unknown.status).toBe(known.status);
+      expect(unknown.body).toEqual(known.body);
+      expect(sendPasswordResetEmail).toHaveBeenCalledTimes(1);
+    });
+
+    test("should require an email", async () => {
+      const response = await request(app).post("/api/forgot-password").send({});
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("POST /api/reset-password", () => {
+    test("should set the new password and invalidate all sessions", async () => {
+      const user = await createTestUser(run);
+      await createTestSession(run, user.id);
+      await createTestSession(run, user.id);
+      const token = await requestResetToken(user.email);
+
+      const response = await request(app).post("/api/reset-password").send({
+        token,
+        password: "brandnew123",
+        confirmPassword: "brandnew123",
+      });
+
+      expect(response.status).toBe(200);
+      const row = await get(`SELECT password FROM users WHERE id = ?`, [
+        user.id,
+      ]);
+      expect(await bcrypt.compare("brandnew123", row.password)).toBe(true);
+      const sessions = await all(`SELECT sid FROM sessions WHERE user_id = ?`, [
+        user.id,
+      ]);
+      expect(sessions).toHaveLength(0);
+    });
+
+    test("should accept a token only once", async () => {
+      const user = await createTestUser(run);
+      const token = await requestResetToken(user.email);
+      const body = {
+        token,
+        password: "brandnew123",
+        confirmPassword: "brandnew123",
+      };
+
+      await request(app).post("/api/reset-password").send(body);
+      const again = await request(app).post("/api/reset-password").send(body);
+
+      expect(again.status).toBe(400);
+      expect(again.body.error).toBe("invalid or expired reset token");
+    });
+
+    test("should reject an expired token", async () => {
+      const user = await createTestUser(run);
+      const token = await requestResetToken(user.email);
+      await run(`UPDATE users SET reset_expires = ? WHERE id = ?`, [
+        Date.now() - 1000,
+        user.id,
+      ]);
+
+      const response = await request(app).post("/api/reset-password").send({
+        token,
+        password: "brandnew123",
+        confirmPassword: "brandnew123",
+      });
+
+      expect(response.status).toBe(400);
+    });
+
+    test("should not accept the email verification token", async () => {
+      const user = await createTestUser(
+        run,
+        "new@example.com",
+        "password123",
+        0,
+      );
+      await run(`UPDATE users SET verification_token = ? WHERE id = ?`, [
+        "verify-token",
+        user.id,
+      ]);
+
+      const response = await request(app).post("/api/reset-password").send({
+        token: "verify-token",
+        password: "brandnew123",
+        confirmPassword: "brandnew123",
+      });
+
+      expect(response.status).toBe(400);
+    });
+
+    test("should reject mismatched or short passwords", async () => {
+      const user = await createTestUser(run);
+      const token = await requestResetToken(user.email);
+
+      const mismatch = await request(app)
+        .post("/api/reset-password")
+        .send({ token, password: "brandnew123", confirmPassword: "other" });
+      const short = await request(app)
+        .post("/api/reset-password")
+        .send({ token, password: "abc", confirmPassword: "abc" });
+
+      expect(mismatch.status).toBe(400);
+      expect(short.status).toBe(400);
+      expect(short.body.reasons.map((r) => r.code)).toContain("too_short");
+    });
+
+    test("should reject a common password with structured reasons", async () => {
+      const user = await createTestUser(run);
+      const token = await requestResetToken(user.email);
+
+      const response = await request(app).post("/api/reset-password").send({
+        token,
+        password: "password123",
+        confirmPassword: "password123",
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("password does not meet requirements");
+      expect(response.body.reasons).toEqual([
+        { code: "common", message: expect.any(String) },
+      ]);
+      // The token is still usable for a better password
+      const retry = await request(app).post("/api/reset-password").send({
+        token,
+        password: "brandnew123",
+        confirmPassword: "brandnew123",
+      });
+      expect(retry.status).toBe(200);
+    });
+  });
+});
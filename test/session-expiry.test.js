@@ -0,0 +1,73 @@
+/**
+ * Tests for sliding session expiry and "remember me" lifetimes
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import {
+  SESSION_LIFETIMES,
+  sessionLifetime,
+  nextSessionExpiry,
+  isSessionExpired,
+  sessionCookieOptions,
+} from "../app/routes/session-expiry.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const createdAt = Date.UTC(2025, 0, 1);
+
+describe("Session expiry", () => {
+  test("remember me picks longer lifetimes", () => {
+    expect(sessionLifetime(false)).toBe(SESSION_LIFETIMES.default);
+    expect(sessionLifetime(1)).toBe(SESSION_LIFETIMES.remember);
+    expect(SESSION_LIFETIMES.remember.idle).toBeGreaterThan(
+      SESSION_LIFETIMES.default.idle,
+    );
+    expect(SESSION_LIFETIMES.remember.max).toBeGreaterThan(
+      SESSION_LIFETIMES.default.max,
+    );
+  });
+
+  test("use slides the expiry forward by the idle timeout", () => {
+    const row = { createdAt, remember: 0 };
+    const now = createdAt + 3 * DAY;
+    expect(nextSessionExpiry(row, now)).toBe(now + 7 * DAY);
+  });
+
+  test("sliding never passes the max lifetime", () => {
+    const row = { createdAt, remember: 0 };
+    const now = createdAt + 28 * DAY;
+    expect(nextSessionExpiry(row, now)).toBe(createdAt + 30 * DAY);
+  });
+
+  test("an active session outlives the old fixed 7 days", () => {
+    const row = {
+      createdAt,
+      remember: 0,
+      expires_at: nextSessionExpiry(
+        { createdAt, remember: 0 },
+        createdAt + 6 * DAY,
+      ),
+    };
+    expect(isSessionExpired(row, createdAt + 10 * DAY)).toBe(false);
+  });
+
+  test("an idle session expires", () => {
+    const row = { createdAt, remember: 0, expires_at: createdAt + 7 * DAY };
+    expect(isSessionExpired(row, createdAt + 7 * DAY + 1)).toBe(true);
+  });
+
+  test("a session expires at its max lifetime even if used", () => {
+    const row = { createdAt, remember: 1, expires_at: createdAt + 200 * DAY };
+    expect(isSessionExpired(row, createdAt + 90 * DAY + 1)).toBe(true);
+  });
+
+  test("rows without expires_at fall back to the idle timeout from creation", () => {
+    const row = { createdAt, remember: 0 };
+    expect(isSessionExpired(row, createdAt + 6 * DAY)).toBe(false);
+    expect(isSessionExpired(row, createdAt + 8 * DAY)).toBe(true);
+  });
+
+  test("only remember me cookies outlive the browser session", () => {
+    expect(sessionCookieOptions(false)).toEqual({});
+    expect(sessionCookieOptions(true)).toEqual({ maxAge: 90 * DAY });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Tests for listing and revoking sessions
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import cookieParser from "cookie-parser";
+import {
+  createTestDatabase,
+  initTestDatabase,
+  createTestUser,
+  createTestSession,
+  cleanupDatabase,
+} from "./helpers.js";
+
+import registerSessionRoutes from "../app/routes/sessions.js";
+
+let app;
+let db;
+let run, get, all;
+
+describe("Session management API", () => {
+  beforeEach(async () => {
+    const testDb = createTestDatabase();
+    db = testDb.db;
+    run = testDb.run;
+    get = testDb.get;
+    all = testDb.all;
+
+    await initTestDatabase(run);
+
+    app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+
+    const csrfProtection = (req, res, next) => next();
+    const getSession = async (req) => {
+      const sessionId = req.headers.authorization?.replace("Bearer ", "");
+      if (!sessionId) return null;
+      const session = await get("SELECT * FROM sessions WHERE sid = ?", [
+        sessionId,
+      ]);
+      if (!session) return null;
+      const user = await get("SELECT * FROM users WHERE id = ?", [
+        session.user_id,
+      ]);
+      return { user, ...session };
+    };
+
+    registerSessionRoutes(app, { csrfProtection, getSession, run, all });
+  });
+
+  afterEach(async () => {
+    await cleanupDatabase(db);
+  });
+
+  test("should list the user's sessions without exposing sids", async () => {
+    const user = await createTestUser(run);
+    const current = await createTestSession(run, user.id);
+    const other = await createTestSession(run, user.id);
+    await run(`UPDATE sessions SET user_agent = ?, ip = ? WHERE sid = ?`, [
+      "Phone Browser",
+      "10.0.0.2",
+      other,
+    ]);
+
+    const response = await request(app)
+      .get("/api/sessions")
+      .set("Authorization", `Bearer ${current}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.sessions).toHaveLength(2);
+    const phone = response.body.sessions.find(
+      (s) => s.user_agent === "Phone Browser",
+    );
+    expect(phone.ip).toBe("10.0.0.2");
+    expect(phone.current).toBe(false);
+    expect(response.body.sessions.filter((s) => s.current)).toHaveLength(1);
+    expect(JSON.stringify(response.body)).not.toContain(current);
+    expect(JSON.stringify(response.body)).not.toContain(other);
+  });
+
+  test("should not list sessions of other users", async () => {
+    const alice = await createTestUser(run, "alice@example.com");
+    const bob = await createTestUser(run, "bob@example.com");
+    const aliceSession = await createTestSession(run, alice.id);
+    await createTestSession(run, bob.id);
+
+    const response = await request(app)
+      .get("/api/sessions")
+      .set("Authorization", `Bearer ${aliceSession}`);
+
+    expect(response.body.sessions).toHaveLength(1);
+  });
+
+  test("should not list expired sessions", async () => {
+    const user = await createTestUser(run);
+    const current = await createTestSession(run, user.id);
+    const expired = await createTestSession(run, user.id);
+    await run(`UPDATE sessions SET expires_at = ? WHERE sid = ?`, [
+      Date.now() - 1000,
+      expired,
+    ]);
+
+    const response = await request(app)
+      .get("/api/sessions")
+      .set("Authorization", `Bearer ${current}`);
+
+    expect(response.body.sessions).toHaveLength(1);
+    expect(response.body.sessions[0].current).toBe(true);
+  });
+
+  test("should revoke a session by id", async () => {
+    const user = await createTestUser(run);
+    const current = await createTestSession(run, user.id);
+    const lost = await createTestSession(run, user.id);
+    const { public_id } = await get(
+      `SELECT public_id FROM sessions WHERE sid = ?`,
+      [lost],
+    );
+
+    const response = await request(app)
+      .delete(`/api/sessions/${public_id}`)
+      .set("Authorization", `Bearer ${current}`);
+
+    expect(response.status).toBe(200);
+    expect(await get(`SELECT sid FROM sessions WHERE sid = ?`, [lost])).toBe(
+      undefined,
+    );
+    expect(
+      await get(`SELECT sid FROM sessions WHERE sid = ?`, [current]),
+    ).toBeDefined();
+  });
+
+  test("should not revoke another user's session", async () => {
+    const alice = await createTestUser(run, "alice@example.com");
+    const bob = await createTestUser(run, "bob@example.com");
+    const aliceSession = await createTestSession(run, alice.id);
+    const bobSession = await createTestSession(run, bob.id);
+    const { public_id } = await get(
+      `SELECT public_id FROM sessions WHERE sid = ?`,
+      [bobSession],
+    );
+
+    const response = await request(app)
+      .delete(`/api/sessions/${public_id}`)
+      .set("Authorization", `Bearer ${aliceSession}`);
+
+    expect(response.status).toBe(404);
+    expect(
+      await get(`SELECT sid FROM sessions WHERE sid = ?`, [bobSession]),
+    ).toBeDefined();
+  });
+
+  test("should sign out everywhere else", async () => {
+    const user = await createTestUser(run);
+    const current = await createTestSession(run, user.id);
+    await createTestSession(run, user.id);
+    await createTestSession(run, user.id);
+
+    const response = await request(app)
+      .delete("/api/sessions")
+      .set("Authorization", `Bearer ${current}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.revoked).toBe(2);
+    const remaining = await all(`SELECT sid FROM sessions WHERE user_id = ?`, [
+      user.id,
+    ]);
+    expect(remaining.map((r) => r.sid)).toEqual([current]);
+  });
+
+  test("should require authentication", async () => {
+    const response = await request(app).get("/api/sessions");
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Software WebAuthn authenticator for tests
+ * Plays the part of browser + platform authenticator: answers the options
+ * from /api/passkeys/register/options and /api/login/passkey/options with
+ * PublicKeyCredential JSON, signing with an in-memory ES256 key.
+ */
+
+import crypto from "crypto";
+
+const b64url = (buffer) => Buffer.from(buffer).toString("base64url");
+
+// Minimal CBOR encoder for the types WebAuthn needs
+export function encodeCbor(value) {
+  function head(major, length) {
+    if (length < 24) return Buffer.from([(major << 5) | length]);
+    if (length < 0x100) return Buffer.from([(major << 5) | 24, length]);
+    if (length < 0x10000) {
+      const buf = Buffer.alloc(3);
+      buf[0] = (major << 5) | 25;
+      buf.writeUInt16BE(length, 1);
+      return buf;
+    }
+    const buf = Buffer.alloc(5);
+    buf[0] = (major << 5) | 26;
+    buf.writeUInt32BE(length, 1);
+    return buf;
+  }
+
+  if (Number.isInteger(value)) {
+    return value >= 0 ? head(0, value) : head(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value))
+    return Buffer.concat([head(2, value.length), value]);
+  if (typeof value === "string") {
+    const bytes = Buffer.from(value, "utf8");
+    return Buffer.concat([head(3, bytes.length), bytes]);
+  }
+  if (value instanceof Map) {
+    const parts = [head(5, value.size)];
+    for (const [k, v] of value) parts.push(encodeCbor(k), encodeCbor(v));
+    return Buffer.concat(parts);
+  }
+  throw new Error("unsupported value");
+}
+
+export class SoftwareAuthenticator {
+  constructor({ origin, userVerified = true } = {}) {
+    this.origin = origin;
+    this.userVerified = userVerified;
+    this.credentials = new Map(); // credential id -> { privateKey, rpId, userHandle, signCount }
+  }
+
+  clientData(type, challenge) {
+    return Buffer.from(
+      JSON.stringify({ type, challenge, origin: this.origin }),
+    );
+  }
+
+  authData(rpId, signCount, attested) {
+    const flags = 0x01 | (this.userVerified ? 0x04 : 0) | (attested ? 0x40 : 0);
+    const header = Buffer.alloc(37);
+    crypto.createHash("sha256").update(rpId).digest().copy(header, 0);
+    header[32] = flags;
+    header.writeUInt32BE(signCount, 33);
+    return attested ? Buffer.concat([header, attested]) : header;
+  }
+
+  // navigator.credentials.create()
+  create(publicKey) {
+    const { privateKey, publicKey: pub } = crypto.generateKeyPairSync("ec", {
+      namedCurve: "P-256",
+    });
+    const jwk = pub.export({ format: "jwk" });
+    const credentialId = crypto.randomBytes(16);
+    const cose = new Map([
+      [1, 2],
+      [3, -7],
+      [-1, 1],
+      [-2, Buffer.from(jwk.x, "base64url")],
+      [-3, Buffer.from(jwk.y, "base64url")],
+    ]);
+    const idLength = Buffer.alloc(2);
+    idLength.writeUInt16BE(credentialId.length);
+    const attested = Buffer.concat([
+      Buffer.alloc(16), // AAGUID
+      idLength,
+      credentialId,
+      encodeCbor(cose),
+    ]);
+
+    const rpId = publicKey.rp.id;
+    this.credentials.set(b64url(credentialId), {
+      privateKey,
+      rpId,
+      userHandle: publicKey.user.id,
+      signCount: 0,
+    });
+
+    const attestationObject = encodeCbor(
+      new Map([
+        ["fmt", "none"],
+        ["attStmt", new Map()],
+        ["authData", this.authData(rpId, 0, attested)],
+      ]),
+    );
+    return {
+      id: b64url(credentialId),
+      rawId: b64url(credentialId),
+      type: "public-key",
+      response: {
+        clientDataJSON: b64url(
+          this.clientData("webauthn.create", publicKey.challenge),
+        ),
+        attestationObject: b64url(attestationObject),
+        transports: ["internal"],
+      },
+    };
+  }
+
+  // navigator.credentials.get() with the first (or given) stored credential
+  get(publicKey, id = this.credentials.keys().next().value) {
+    const credential = this.credentials.get(id);
+    credential.signCount += 1;
+    const clientDataJSON = this.clientData("webauthn.get", publicKey.challenge);
+    const authenticatorData = this.authData(
+      publicKey.rpId,
+      credential.signCount,
+    );
+    const signature = crypto.sign(
+      "sha256",
+      Buffer.concat([
+        authenticatorData,
+        crypto.createHash("sha256").update(clientDataJSON).digest(),
+      ]),
+      credential.privateKey,
+    );
+    return {
+      id,
+      rawId: id,
+      type: "public-key",
+      response: {
+        clientDataJSON: b64url(clientDataJSON),
+        authenticatorData: b64url(authenticatorData),
+        signature: b64url(signature),
+        userHandle: credential.userHandle,
+      },
+    };
+  }
+}
@@ -0,0 +1,686 @@
+/**
+ * State API Tests
+ * Tests for reading and bulk-syncing the whole trip tree
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import cookieParser from "cookie-parser";
+import {
+  createTestDatabase,
+  initTestDatabase,
+  createTestUser,
+  createTestSession,
+  createTestTrip,
+  createTestCity,
+  cleanupDatabase,
+} from "./helpers.js";
+
+import registerStateRoutes from "../app/routes/state.js";
+
+let app;
+let db;
+let run, get, all;
+
+describe("State API", () => {
+  beforeEach(async () => {
+    const testDb = createTestDatabase();
+    db = testDb.db;
+    run = testDb.run;
+    get = testDb.get;
+    all = testDb.all;
+
+    await initTestDatabase(run);
+
+    app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+
+    // Mock dependencies
+    const csrfProtection = (req, res, next) => next();
+    const getSession = async (req) => {
+      const sessionId = req.headers.authorization?.replace("Bearer ", "");
+      if (!sessionId) return null;
+      const session = await get("SELECT * FROM sessions WHERE sid = ?", [
+        sessionId,
+      ]);
+      if (!session) return null;
+      const user = await get("SELECT * FROM users WHERE id = ?", [
+        session.user_id,
+      ]);
+      return { user, ...session };
+    };
+
+    registerStateRoutes(app, { csrfProtection, getSession, run, get, all });
+  });
+
+  afterEach(async () => {
+    await cleanupDatabase(db);
+  });
+
+  describe("GET /api/state", () => {
+    test("should return null state when user has no trips", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+
+      const response = await request(app)
+        .get("/api/state")
+        .set("Authorization", `Bearer ${sessionId}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.state).toBeNull();
+    });
+
+    test("should return trips with cities and transportation", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const trip = await createTestTrip(run, user.id, "Italy");
+      const rome = await createTestCity(run, trip.id, "Rome", 2, 0);
+      const milan = await createTestCity(run, trip.id, "Milan", 1, 1);
+      await run(
+        `INSERT INTO transportation(trip_id, from_city_id, to_city_id, mode) VALUES (?,?,?,?)`,
+        [trip.id, rome.id, milan.id, "train"],
+      );
+
+      const response = await request(app)
+        .get("/api/state")
+        .set("Authorization", `Bearer ${sessionId}`);
+
+      expect(response.status).toBe(200);
+      const [stateTrip] = response.body.state.trips;
+      expect(stateTrip.name).toBe("Italy");
+      expect(stateTrip.cities.map((c) => c.name)).toEqual(["Rome", "Milan"]);
+      expect(stateTrip.transportation).toHaveLength(1);
+      expect(stateTrip.transportation[0].mode).toBe("train");
+    });
+
+    test("should require authentication", async () => {
+      const response = await request(app).get("/api/state");
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe("GET /api/state?since=", () => {
+    const OLD = "2020-01-01 00:00:00";
+
+    async function ageAllRows() {
+      await run(`UPDATE trips SET updated_at = ?`, [OLD]);
+      await run(`UPDATE cities SET updated_at = ?`, [OLD]);
+      await run(`UPDATE transportation SET updated_at = ?`, [OLD]);
+    }
+
+    test("should return a cursor with the full state", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      await createTestTrip(run, user.id);
+
+      const response = await request(app)
+        .get("/api/state")
+        .set("Authorization", `Bearer ${sessionId}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.full).toBe(true);
+      expect(response.body.cursor).toMatch(
+        /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/,
+      );
+      expect(response.body.state.trips).toHaveLength(1);
+    });
+
+    test("should only return rows changed after the cursor", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const trip = await createTestTrip(run, user.id, "Italy");
+      await createTestCity(run, trip.id, "Rome", 2, 0);
+      const milan = await createTestCity(run, trip.id, "Milan", 1, 1);
+      await ageAllRows();
+
+      const first = await request(app)
+        .get("/api/state")
+        .set("Authorization", `Bearer ${sessionId}`);
+      const cursor = first.body.cursor;
+
+      await run(
+        `UPDATE cities SET nights = 5, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [milan.id],
+      );
+
+      const response = await request(app)
+        .get("/api/state")
+        .query({ since: cursor })
+        .set("Authorization", `Bearer ${sessionId}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.full).toBe(false);
+      expect(response.body.changes.trips).toHaveLength(0);
+      expect(response.body.changes.cities).toHaveLength(1);
+      expect(response.body.changes.cities[0].id).toBe(milan.id);
+      expect(response.body.changes.cities[0].nights).toBe(5);
+      expect(response.body.cursor >= cursor).toBe(true);
+    });
+
+    test("should report deletions as tombstones", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const keep = await createTestTrip(run, user.id, "Keep");
+      const drop = await createTestTrip(run, user.id, "Drop");
+      const rome = await createTestCity(run, keep.id, "Rome", 2, 0);
+      const milan = await createTestCity(run, keep.id, "Milan", 1, 1);
+      await run(
+        `INSERT INTO transportation(trip_id, from_city_id, to_city_id, mode) VALUES (?,?,?,?)`,
+        [keep.id, rome.id, milan.id, "train"],
+      );
+      await ageAllRows();
+
+      await run(`DELETE FROM cities WHERE id = ?`, [milan.id]);
+      await run(`DELETE FROM trips WHERE id = ?`, [drop.id]);
+
+      const response = await request(app)
+        .get("/api/state")
+        .query({ since: "2024-01-01 00:00:00" })
+        .set("Authorization", `Bearer ${sessionId}`);
+
+      // 2024 is outside the retention window, so use a fresh cursor instead
+      expect(response.body.full).toBe(true);
+
+      const since = (await get(`SELECT datetime('now', '-1 hour') as since`))
+        .since;
+      const delta = await request(app)
+        .get("/api/state")
+        .query({ since })
+        .set("Authorization", `Bearer ${sessionId}`);
+
+      expect(delta.status).toBe(200);
+      expect(delta.body.full).toBe(false);
+      expect(delta.body.changes.deleted.trips).toEqual([drop.id]);
+      expect(delta.body.changes.deleted.cities).toEqual([milan.id]);
+      expect(delta.body.changes.deleted.transportation).toHaveLength(1);
+      expect(delta.body.changes.cities).toHaveLength(0);
+    });
+
+    test("should not leak tombstones of other users", async () => {
+      const user = await createTestUser(run);
+      const other = await createTestUser(run, "other@example.com");
+      const sessionId = await createTestSession(run, user.id);
+      const foreign = await createTestTrip(run, other.id, "Not mine");
+      await run(`DELETE FROM trips WHERE id = ?`, [foreign.id]);
+
+      const since = (await get(`SELECT datetime('now', '-1 hour') as since`))
+        .since;
+      const response = await request(app)
+        .get("/api/state")
+        .query({ since })
+        .set("Authorization", `Bearer ${sessionId}`);
+
+      expect(response.body.changes.deleted.trips).toHaveLength(0);
+    });
+
+    test("should reject a malformed cursor", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+
+      const response = await request(app)
+        .get("/api/state")
+        .query({ since: "yesterday" })
+        .set("Authorization", `Bearer ${sessionId}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("POST /api/state/firstlogin", () => {
+    const localTrip = (overrides = {}) => ({
+      id: 1,
+      name: "Italy",
+      start_date: "2025-12-01",
+      cities: [{ id: "abc", name: "Venice", nights: 2, notes: "" }],
+      ...overrides,
+    });
+
+    test("should insert local trips when the account has none", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+
+      const response = await request(app)
+        .post("/api/state/firstlogin")
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({ state: { trips: [localTrip()] } });
+
+      expect(response.status).toBe(200);
+      const [trip] = response.body.state.trips;
+      expect(trip.name).toBe("Italy");
+      expect(trip.cities.map((c) => c.name)).toEqual(["Venice"]);
+    });
+
+    test("should persist coordinates and transportation and return an id mapping", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+
+      const response = await request(app)
+        .post("/api/state/firstlogin")
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({
+          state: {
+            trips: [
+              localTrip({
+                cities: [
+                  {
+                    id: "abc",
+                    name: "Venice",
+                    nights: 2,
+                    latitude: 45.44,
+                    longitude: 12.32,
+                  },
+                  { id: "def", name: "Florence", nights: 3 },
+                ],
+                transportation: [
+                  {
+                    id: "leg1",
+                    from_city_id: "abc",
+                    to_city_id: "def",
+                    mode: "train",
+                    notes: "Frecciarossa",
+                  },
+                ],
+              }),
+            ],
+          },
+        });
+
+      expect(response.status).toBe(200);
+      const [trip] = response.body.state.trips;
+      const [venice, florence] = trip.cities;
+      expect(venice.latitude).toBe(45.44);
+      expect(venice.longitude).toBe(12.32);
+      expect(trip.transportation).toHaveLength(1);
+      expect(trip.transportation[0]).toMatchObject({
+        from_city_id: venice.id,
+        to_city_id: florence.id,
+        mode: "train",
+        notes: "Frecciarossa",
+      });
+      expect(response.body.ids).toEqual({
+        trips: { 1: trip.id },
+        cities: { abc: venice.id, def: florence.id },
+        transportation: { leg1: trip.transportation[0].id },
+      });
+    });
+
+    test("should keep remote-only trips next to local ones", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      await createTestTrip(run, user.id, "Spain", "2026-05-01");
+
+      const response = await request(app)
+        .post("/api/state/firstlogin")
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({ state: { trips: [localTrip()] } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.state.trips.map((t) => t.name).sort()).toEqual([
+        "Italy",
+        "Spain",
+      ]);
+    });
+
+    test("should report conflicts without writing anything", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const remote = await createTestTrip(run, user.id, "italy", "2025-12-01");
+
+      const response = await request(app)
+        .post("/api/state/firstlogin")
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({
+          state: { trips: [localTrip(), localTrip({ id: 2, name: "Peru" })] },
+        });
+
+      expect(response.status).toBe(409);
+      expect(response.body.conflicts).toEqual([
+        {
+          localId: 1,
+          remoteId: remote.id,
+          name: "italy",
+          start_date: "2025-12-01",
+        },
+      ]);
+      const trips = await all(`SELECT id FROM trips WHERE user_id = ?`, [
+        user.id,
+      ]);
+      expect(trips).toHaveLength(1);
+    });
+
+    test("should not report identical trips as conflicts", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const remote = await createTestTrip(run, user.id, "Italy", "2025-12-01");
+      await createTestCity(run, remote.id, "Venice", 2, 0);
+
+      const response = await request(app)
+        .post("/api/state/firstlogin")
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({ state: { trips: [localTrip()] } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.state.trips.map((t) => t.id)).toEqual([remote.id]);
+      expect(response.body.ids.trips).toEqual({ 1: remote.id });
+      expect(response.body.ids.cities).toEqual({
+        abc: response.body.state.trips[0].cities[0].id,
+      });
+    });
+
+    test("should merge parallel first logins one after another", async () => {
+      const alice = await createTestUser(run, "alice@example.com");
+      const bob = await createTestUser(run, "bob@example.com");
+      const aliceSession = await createTestSession(run, alice.id);
+      const bobSession = await createTestSession(run, bob.id);
+      const firstLogin = (sessionId) =>
+        request(app)
+          .post("/api/state/firstlogin")
+          .set("Authorization", `Bearer ${sessionId}`)
+          .send({ state: { trips: [localTrip()] } });
+
+      const responses = await Promise.all([
+        firstLogin(aliceSession),
+        firstLogin(bobSession),
+      ]);
+
+      expect(responses.map((r) => r.status)).toEqual([200, 200]);
+      const trips = await all(
+        `SELECT t.user_id, COUNT(c.id) AS cities FROM trips t JOIN cities c ON c.trip_id = t.id GROUP BY t.id ORDER BY t.user_id`,
+      );
+      expect(trips).toEqual([
+        { user_id: alice.id, cities: 1 },
+        { user_id: bob.id, cities: 1 },
+      ]);
+    });
+
+    test("should match a trip renamed on the device by its uuid", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const remote = await createTestTrip(run, user.id, "Italy", "2025-12-01");
+      await createTestCity(run, remote.id, "Venice", 2, 0);
+      const uuid = "7d3f4a52-1c2b-4e8f-9a6d-2b5c8e1f0a34";
+      await run(`UPDATE trips SET uuid = ? WHERE id = ?`, [uuid, remote.id]);
+
+      const response = await request(app)
+        .post("/api/state/firstlogin")
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({ state: { trips: [localTrip({ uuid, name: "Italia" })] } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.ids.trips).toEqual({ 1: remote.id });
+      const trips = await all(`SELECT id FROM trips WHERE user_id = ?`, [
+        user.id,
+      ]);
+      expect(trips).toHaveLength(1);
+    });
+
+    test("should keep both trips when asked to", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      await createTestTrip(run, user.id, "Italy", "2025-12-01");
+
+      const response = await request(app)
+        .post("/api/state/firstlogin")
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({
+          state: { trips: [localTrip()] },
+          resolutions: { 1: "keep_both" },
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.state.trips).toHaveLength(2);
+    });
+
+    test("should overwrite the account copy with keep_local", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const remote = await createTestTrip(run, user.id, "Italy", "2025-12-01");
+      await createTestCity(run, remote.id, "Rome", 3, 0);
+
+      const response = await request(app)
+        .post("/api/state/firstlogin")
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({
+          state: { trips: [localTrip()] },
+          resolutions: { 1: "keep_local" },
+        });
+
+      expect(response.status).toBe(200);
+      const [trip] = response.body.state.trips;
+      expect(trip.id).toBe(remote.id);
+      expect(trip.cities.map((c) => c.name)).toEqual(["Venice"]);
+    });
+
+    test("should leave the account copy untouched with keep_remote", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const remote = await createTestTrip(run, user.id, "Italy", "2025-12-01");
+      await createTestCity(run, remote.id, "Rome", 3, 0);
+
+      const response = await request(app)
+        .post("/api/state/firstlogin")
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({
+          state: { trips: [localTrip()] },
+          resolutions: { 1: "keep_remote" },
+        });
+
+      expect(response.status).toBe(200);
+      const [trip] = response.body.state.trips;
+      expect(trip.id).toBe(remote.id);
+      expect(trip.cities.map((c) => c.name)).toEqual(["Rome"]);
+    });
+  });
+
+  describe("POST /api/state", () => {
+    test("should create trips, cities and transportation with server ids", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+
+      const response = await request(app)
+        .post("/api/state")
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({
+          state: {
+            trips: [
+              {
+                id: "local-trip",
+                name: "Japan",
+                start_date: "2026-04-01",
+                cities: [
+                  {
+                    id: "c1",
+                    name: "Tokyo",
+                    nights: 3,
+                    latitude: 35.68,
+                    longitude: 139.69,
+                  },
+                  { id: "c2", name: "Kyoto", nights: 2 },
+                ],
+                transportation: [
+                  { from_city_id: "c1", to_city_id: "c2", mode: "train" },
+                ],
+              },
+            ],
+          },
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.ok).toBe(true);
+      const [trip] = response.body.state.trips;
+      expect(Number.isInteger(trip.id)).toBe(true);
+      expect(trip.cities.map((c) => c.name)).toEqual(["Tokyo", "Kyoto"]);
+      expect(trip.cities[0].latitude).toBe(35.68);
+      expect(trip.transportation).toHaveLength(1);
+      expect(trip.transportation[0].from_city_id).toBe(trip.cities[0].id);
+      expect(trip.transportation[0].to_city_id).toBe(trip.cities[1].id);
+
+      const count = await get(
+        `SELECT COUNT(*) as count FROM trips WHERE user_id = ?`,
+        [user.id],
+      );
+      expect(count.count).toBe(1);
+    });
+
+    test("should run parallel syncs one after another", async () => {
+      const alice = await createTestUser(run, "alice@example.com");
+      const bob = await createTestUser(run, "bob@example.com");
+      const aliceSession = await createTestSession(run, alice.id);
+      const bobSession = await createTestSession(run, bob.id);
+      const sync = (sessionId, name) =>
+        request(app)
+          .post("/api/state")
+          .set("Authorization", `Bearer ${sessionId}`)
+          .send({
+            state: {
+              trips: [
+                {
+                  name,
+                  start_date: "2026-04-01",
+                  cities: [{ name: "Tokyo", nights: 3 }],
+                },
+              ],
+            },
+          });
+
+      const responses = await Promise.all([
+        sync(aliceSession, "Japan"),
+        sync(bobSession, "Korea"),
+      ]);
+
+      expect(responses.map((r) => r.status)).toEqual([200, 200]);
+      const trips = await all(
+        `SELECT t.name, COUNT(c.id) AS cities FROM trips t JOIN cities c ON c.trip_id = t.id GROUP BY t.id ORDER BY t.name`,
+      );
+      expect(trips).toEqual([
+        { name: "Japan", cities: 1 },
+        { name: "Korea", cities: 1 },
+      ]);
+    });
+
+    test("should update existing rows and delete rows missing from the client", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const keep = await createTestTrip(run, user.id, "Keep");
+      const drop = await createTestTrip(run, user.id, "Drop");
+      const rome = await createTestCity(run, keep.id, "Rome", 2, 0);
+      const naples = await createTestCity(run, keep.id, "Naples", 2, 1);
+      await createTestCity(run, drop.id, "Paris", 2, 0);
+
+      const response = await request(app)
+        .post("/api/state")
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({
+          state: {
+            trips: [
+              {
+                id: keep.id,
+                name: "Kept trip",
+                start_date: "2025-12-01",
+                cities: [
+                  { id: naples.id, name: "Naples", nights: 4 },
+                  { id: rome.id, name: "Rome", nights: 2 },
+                ],
+              },
+            ],
+          },
+        });
+
+      expect(response.status).toBe(200);
+      const trips = response.body.state.trips;
+      expect(trips).toHaveLength(1);
+      expect(trips[0].id).toBe(keep.id);
+      expect(trips[0].name).toBe("Kept trip");
+      expect(trips[0].cities.map((c) => c.id)).toEqual([naples.id, rome.id]);
+      expect(trips[0].cities[0].nights).toBe(4);
+
+      const dropped = await get(`SELECT id FROM trips WHERE id = ?`, [drop.id]);
+      expect(dropped).toBeUndefined();
+      const orphanCities = await all(
+        `SELECT id FROM cities WHERE trip_id = ?`,
+        [drop.id],
+      );
+      expect(orphanCities).toHaveLength(0);
+    });
+
+    test("should not touch trips owned by other users", async () => {
+      const user = await createTestUser(run);
+      const other = await createTestUser(run, "other@example.com");
+      const sessionId = await createTestSession(run, user.id);
+      const foreign = await createTestTrip(run, other.id, "Not mine");
+
+      const response = await request(app)
+        .post("/api/state")
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({
+          state: {
+            trips: [
+              {
+                id: foreign.id,
+                name: "Hijack",
+                start_date: "2026-01-01",
+                cities: [],
+              },
+            ],
+          },
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.state.trips[0].id).not.toBe(foreign.id);
+
+      const untouched = await get(`SELECT name FROM trips WHERE id = ?`, [
+        foreign.id,
+      ]);
+      expect(untouched.name).toBe("Not mine");
+    });
+
+    test("should reject invalid state without changing anything", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+      const trip = await createTestTrip(run, user.id, "Existing");
+
+      const response = await request(app)
+        .post("/api/state")
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({
+          state: {
+            trips: [
+              {
+                name: "Bad",
+                cities: [{ name: "Nowhere", latitude: 95, longitude: 0 }],
+              },
+            ],
+          },
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain("latitude");
+
+      const trips = await all(`SELECT id FROM trips WHERE user_id = ?`, [
+        user.id,
+      ]);
+      expect(trips.map((t) => t.id)).toEqual([trip.id]);
+    });
+
+    test("should reject missing state", async () => {
+      const user = await createTestUser(run);
+      const sessionId = await createTestSession(run, user.id);
+
+      const response = await request(app)
+        .post("/api/state")
+        .set("Authorization", `Bearer ${sessionId}`)
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+
+    test("should require authentication", async () => {
+      const response = await request(app)
+        .post("/api/state")
+        .send({ state: { trips: [] } });
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Tests for TOTP two-factor authentication
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import cookieParser from "cookie-parser";
+import { randomUUID } from "crypto";
+import {
+  createTestDatabase,
+  initTestDatabase,
+  createTestUser,
+  createTestSession,
+  cleanupDatabase,
+} from "./helpers.js";
+
+import {
+  base32Encode,
+  totpCode,
+  totpStep,
+  verifyTotp,
+} from "../app/routes/totp.js";
+import registerTwoFactorRoutes, {
+  createLoginChallenge,
+} from "../app/routes/two-factor.js";
+
+let app;
+let db;
+let run, get, all;
+
+// Enroll the user and return the secret and recovery codes
+async function enroll(sessionId) {
+  const setup = await request(app)
+    .post("/api/2fa/setup")
+    .set("Authorization", `Bearer ${sessionId}`);
+  const enable = await request(app)
+    .post("/api/2fa/enable")
+    .set("Authorization", `Bearer ${sessionId}`)
+    .send({ code: totpCode(setup.body.secret) });
+  return {
+    secret: setup.body.secret,
+    recoveryCodes: enable.body.recoveryCodes,
+  };
+}
+
+describe("TOTP", () => {
+  test("matches the RFC 6238 SHA1 test vector", () => {
+    const secret = base32Encode(Buffer.from("12345678901234567890"));
+    // RFC value 94287082 at T=59s, truncated to 6 digits
+    expect(totpCode(secret, totpStep(59 * 1000))).toBe("287082");
+  });
+
+  test("accepts adjacent steps but refuses replays", () => {
+    const secret = base32Encode(Buffer.from("12345678901234567890"));
+    const now = 1_700_000_000_000;
+    const previous = totpCode(secret, totpStep(now) - 1);
+
+    const step = verifyTotp(secret, previous, { now });
+    expect(step).toBe(totpStep(now) - 1);
+    expect(verifyTotp(secret, previous, { now, lastStep: step })).toBeNull();
+    expect(verifyTotp(secret, "000000x", { now })).toBeNull();
+  });
+});
+
+describe("Two-factor API", () => {
+  beforeEach(async () => {
+    const testDb = createTestDatabase();
+    db = testDb.db;
+    run = testDb.run;
+    get = testDb.get;
+    all = testDb.all;
+
+    await initTestDatabase(run);
+
+    app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+
+    const csrfProtection = (req, res, next) => next();
+    const limiter = (req, res, next) => next();
+    const getSession = async (req) => {
+      const sessionId = req.headers.authorization?.replace("Bearer ", "");
+      if (!sessionId) return null;
+      const session = await get("SELECT * FROM sessions WHERE sid = ?", [
+        sessionId,
+      ]);
+      if (!session) return null;
+      const user = await get("SELECT * FROM users WHERE id = ?", [
+        session.user_id,
+      ]);
+      return { user, ...session };
+    };
+    const createSessionForUserId = async (userId) => {
+      const sid = randomUUID();
+      await run(
+        `INSERT INTO sessions (sid, user_id, createdAt) VALUES (?, ?, ?)`,
+        [sid, userId, Date.now()],
+      );
+      return sid;
+    };
+    const setSessionCookie = (res, sid) => res.cookie("trippino_sid", sid);
+
+    registerTwoFactorRoutes(app, {
+      csrfProtection,
+      limiter,
+      getSession,
+      run,
+      get,
+      createSessionForUserId,
+      setSessionCookie,
+    });
+  });
+
+  afterEach(async () => {
+    await cleanupDatabase(db);
+  });
+
+  test("setup returns a secret and otpauth URI", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+
+    const response = await request(app)
+      .post("/api/2fa/setup")
+      .set("Authorization", `Bearer ${sessionId}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(response.body.otpauthUri).toContain("otpauth://totp/");
+    expect(response.body.otpauthUri).toContain(
+      `secret=${response.body.secret}`,
+    );
+  });
+
+  test("enable requires a valid code and returns recovery codes", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+    await request(app)
+      .post("/api/2fa/setup")
+      .set("Authorization", `Bearer ${sessionId}`);
+
+    const wrong = await request(app)
+      .post("/api/2fa/enable")
+      .set("Authorization", `Bearer ${sessionId}`)
+      .send({ code: "000000" });
+    expect(wrong.status).toBe(400);
+
+    const { recoveryCodes } = await enroll(sessionId);
+    expect(recoveryCodes).toHaveLength(10);
+
+    const status = await request(app)
+      .get("/api/2fa")
+      .set("Authorization", `Bearer ${sessionId}`);
+    expect(status.body).toEqual({ enabled: true, recoveryCodesLeft: 10 });
+  });
+
+  test("second login step accepts a TOTP code once", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+    const { secret } = await enroll(sessionId);
+    // the enrollment code's step is used; wait for the next one
+    await run(`UPDATE users SET totp_last_step = ? WHERE id = ?`, [
+      totpStep() - 2,
+      user.id,
+    ]);
+
+    const challenge = await createLoginChallenge(run, user.id);
+    const response = await request(app)
+      .post("/api/login/2fa")
+      .send({ challenge, code: totpCode(secret) });
+
+    expect(response.status).toBe(200);
+    expect(response.headers["set-cookie"][0]).toContain("trippino_sid=");
+
+    const again = await request(app)
+      .post("/api/login/2fa")
+      .send({ challenge, code: totpCode(secret) });
+    expect(again.status).toBe(401);
+  });
+
+  test("second login step accepts each recovery code once", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+    const { recoveryCodes } = await enroll(sessionId);
+
+    const first = await request(app)
+      .post("/api/login/2fa")
+      .send({
+        challenge: await createLoginChallenge(run, user.id),
+        code: recoveryCodes[0].toLowerCase(),
+      });
+    expect(first.status).toBe(200);
+    expect(first.body.usedRecoveryCode).toBe(true);
+    expect(first.body.recoveryCodesLeft).toBe(9);
+
+    const reuse = await request(app)
+      .post("/api/login/2fa")
+      .send({
+        challenge: await createLoginChallenge(run, user.id),
+        code: recoveryCodes[0],
+      });
+    expect(reuse.status).toBe(401);
+  });
+
+  test("challenge is dropped after too many wrong codes", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+    const { recoveryCodes } = await enroll(sessionId);
+    const challenge = await createLoginChallenge(run, user.id);
+
+    for (let i = 0; i < 5; i++) {
+      await request(app)
+        .post("/api/login/2fa")
+        .send({ challenge, code: "000000" });
+    }
+    const response = await request(app)
+      .post("/api/login/2fa")
+      .send({ challenge, code: recoveryCodes[0] });
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe("invalid or expired login challenge");
+  });
+
+  test("disable requires the current password", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+    await enroll(sessionId);
+
+    const wrong = await request(app)
+      .post("/api/2fa/disable")
+      .set("Authorization", `Bearer ${sessionId}`)
+      .send({ password: "wrong-password" });
+    expect(wrong.status).toBe(401);
+
+    const response = await request(app)
+      .post("/api/2fa/disable")
+      .set("Authorization", `Bearer ${sessionId}`)
+      .send({ password: user.password });
+    expect(response.status).toBe(200);
+
+    const row = await get(
+      `SELECT totp_enabled, totp_secret FROM users WHERE id = ?`,
+      [user.id],
+    );
+    expect(row).toEqual({ totp_enabled: 0, totp_secret: null });
+    const codes = await all(`SELECT id FROM recovery_codes WHERE user_id = ?`, [
+      user.id,
+    ]);
+    expect(codes).toHaveLength(0);
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Tests for client-generated uuids used as idempotency keys on create routes
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import cookieParser from "cookie-parser";
+import {
+  createTestDatabase,
+  initTestDatabase,
+  createTestUser,
+  createTestSession,
+  createTestTrip,
+  createTestCity,
+  cleanupDatabase,
+} from "./helpers.js";
+
+import registerCityRoutes from "../app/routes/cities.js";
+import registerTripRoutes from "../app/routes/trips.js";
+import registerTransportationRoutes from "../app/routes/transportation.js";
+
+let app;
+let db;
+let run, get, all;
+
+const TRIP_UUID = "3f1c2b8e-9a4d-4c6e-8f7a-1b2c3d4e5f60";
+const CITY_UUID = "7d9e0a1b-2c3d-4e5f-9a6b-7c8d9e0f1a2b";
+const LEG_UUID = "a1b2c3d4-e5f6-4a7b-8c9d-0e1f2a3b4c5d";
+
+describe("Client uuid API", () => {
+  beforeEach(async () => {
+    const testDb = createTestDatabase();
+    db = testDb.db;
+    run = testDb.run;
+    get = testDb.get;
+    all = testDb.all;
+
+    await initTestDatabase(run);
+
+    app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+
+    const csrfProtection = (req, res, next) => next();
+    const getSession = async (req) => {
+      const sessionId = req.headers.authorization?.replace("Bearer ", "");
+      if (!sessionId) return null;
+      const session = await get("SELECT * FROM sessions WHERE sid = ?", [
+        sessionId,
+      ]);
+      if (!session) return null;
+      const user = await get("SELECT * FROM users WHERE id = ?", [
+        session.user_id,
+      ]);
+      return session ? { user, ...session } : null;
+    };
+
+    registerCityRoutes(app, { csrfProtection, getSession, run, get });
+    registerTripRoutes(app, { csrfProtection, getSession, run, get, all });
+    registerTransportationRoutes(app, {
+      csrfProtection,
+      getSession,
+      run,
+      get,
+      all,
+    });
+  });
+
+  afterEach(async () => {
+    await cleanupDatabase(db);
+  });
+
+  test("replayed trip create returns the same trip", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+    const body = { name: "Japan", start_date: "2025-04-01", uuid: TRIP_UUID };
+
+    const first = await request(app)
+      .post("/api/trips")
+      .set("Authorization", `Bearer ${sessionId}`)
+      .send(body);
+    expect(first.status).toBe(200);
+    expect(first.body.uuid).toBe(TRIP_UUID);
+
+    const replay = await request(app)
+      .post("/api/trips")
+      .set("Authorization", `Bearer ${sessionId}`)
+      .send(body);
+    expect(replay.status).toBe(200);
+    expect(replay.body.id).toBe(first.body.id);
+
+    const rows = await all(`SELECT id FROM trips WHERE user_id = ?`, [user.id]);
+    expect(rows).toHaveLength(1);
+  });
+
+  test("trip create without uuid gets a generated one", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+
+    const response = await request(app)
+      .post("/api/trips")
+      .set("Authorization", `Bearer ${sessionId}`)
+      .send({ name: "Japan", start_date: "2025-04-01" });
+
+    expect(response.status).toBe(200);
+    expect(response.body.uuid).toMatch(
+      /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/,
+    );
+  });
+
+  test("should reject an invalid uuid", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+
+    const response = await request(app)
+      .post("/api/trips")
+      .set("Authorization", `Bearer ${sessionId}`)
+      .send({ name: "Japan", start_date: "2025-04-01", uuid: "not-a-uuid" });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe("uuid must be a valid UUID");
+  });
+
+  test("should give a trip a fresh uuid if another user owns it", async () => {
+    const owner = await createTestUser(run, "owner@example.com");
+    const other = await createTestUser(run, "other@example.com");
+    const ownerSession = await createTestSession(run, owner.id);
+    const otherSession = await createTestSession(run, other.id);
+    const body = { name: "Japan", start_date: "2025-04-01", uuid: TRIP_UUID };
+
+    await request(app)
+      .post("/api/trips")
+      .set("Authorization", `Bearer ${ownerSession}`)
+      .send(body);
+    const response = await request(app)
+      .post("/api/trips")
+      .set("Authorization", `Bearer ${otherSession}`)
+      .send(body);
+
+    expect(response.status).toBe(200);
+    expect(response.body.uuid).not.toBe(TRIP_UUID);
+    const rows = await all(`SELECT user_id FROM trips WHERE uuid = ?`, [
+      TRIP_UUID,
+    ]);
+    expect(rows).toEqual([{ user_id: owner.id }]);
+  });
+
+  test("should give a city a fresh uuid if another user owns it", async () => {
+    const owner = await createTestUser(run, "owner@example.com");
+    const other = await createTestUser(run, "other@example.com");
+    const ownerSession = await createTestSession(run, owner.id);
+    const otherSession = await createTestSession(run, other.id);
+    const ownerTrip = await createTestTrip(run, owner.id);
+    const otherTrip = await createTestTrip(run, other.id);
+    const body = { name: "Kyoto", uuid: CITY_UUID };
+
+    await request(app)
+      .post(`/api/trips/${ownerTrip.id}/cities`)
+      .set("Authorization", `Bearer ${ownerSession}`)
+      .send(body);
+    const response = await request(app)
+      .post(`/api/trips/${otherTrip.id}/cities`)
+      .set("Authorization", `Bearer ${otherSession}`)
+      .send(body);
+
+    expect(response.status).toBe(201);
+    expect(response.body.trip_id).toBe(otherTrip.id);
+    expect(response.body.uuid).not.toBe(CITY_UUID);
+  });
+
+  test("replayed city create returns the existing city", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+    const trip = await createTestTrip(run, user.id);
+    const body = { name: "Kyoto", nights: 2, uuid: CITY_UUID };
+
+    const first = await request(app)
+      .post(`/api/trips/${trip.id}/cities`)
+      .set("Authorization", `Bearer ${sessionId}`)
+      .send(body);
+    expect(first.status).toBe(201);
+    expect(first.body.uuid).toBe(CITY_UUID);
+
+    const replay = await request(app)
+      .post(`/api/trips/${trip.id}/cities`)
+      .set("Authorization", `Bearer ${sessionId}`)
+      .send(body);
+    expect(replay.status).toBe(201);
+    expect(replay.body.id).toBe(first.body.id);
+
+    const rows = await all(`SELECT id FROM cities WHERE trip_id = ?`, [
+      trip.id,
+    ]);
+    expect(rows).toHaveLength(1);
+  });
+
+  test("should reject a city uuid used in another trip", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+    const tripA = await createTestTrip(run, user.id, "A");
+    const tripB = await createTestTrip(run, user.id, "B");
+    const body = { name: "Kyoto", uuid: CITY_UUID };
+
+    await request(app)
+      .post(`/api/trips/${tripA.id}/cities`)
+      .set("Authorization", `Bearer ${sessionId}`)
+      .send(body);
+    const response = await request(app)
+      .post(`/api/trips/${tripB.id}/cities`)
+      .set("Authorization", `Bearer ${sessionId}`)
+      .send(body);
+
+    expect(response.status).toBe(409);
+  });
+
+  test("transportation keeps the client uuid", async () => {
+    const user = await createTestUser(run);
+    const sessionId = await createTestSession(run, user.id);
+    const trip = await createTestTrip(run, user.id);
+    const from = await createTestCity(run, trip.id, "Tokyo", 2, 0);
+    const to = await createTestCity(run, trip.id, "Kyoto", 2, 1);
+
+    const response = await request(app)
+      .put(`/api/trips/${trip.id}/cities/${from.id}/transportation`)
+      .set("Authorization", `Bearer ${sessionId}`)
+      .send({ toCityId: to.id, mode: "train", uuid: LEG_UUID });
+
+    expect(response.status).toBe(200);
+    const leg = await get(`SELECT uuid FROM transportation WHERE trip_id = ?`, [
+      trip.id,
+    ]);
+    expect(leg.uuid).toBe(LEG_UUID);
+  });
+});
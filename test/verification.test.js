@@ -0,0 +1,123 @@
+/**
+ * Tests for resending the verification email
+ */
+
+import { describe, test, expect, jest } from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import cookieParser from "cookie-parser";
+import {
+  createTestDatabase,
+  initTestDatabase,
+  createTestUser,
+  cleanupDatabase,
+} from "./helpers.js";
+
+import registerVerificationRoutes, {
+  VERIFICATION_TOKEN_TTL,
+} from "../app/routes/verification.js";
+
+let app;
+let db;
+let run, get, all;
+let sendVerificationEmail;
+
+// Unverified user whose link was sent `sentAgo` ms ago
+async function createUnverifiedUser(sentAgo = 25 * 60 * 60 * 1000) {
+  const user = await createTestUser(run, "new@example.com", "password123", 0);
+  await run(
+    `UPDATE users SET verification_token = ?, verification_expires = ? WHERE id = ?`,
+    ["old-token", Date.now() - sentAgo + VERIFICATION_TOKEN_TTL, user.id],
+  );
+  return user;
+}
+
+describe("Resend verification API", () => {
+  beforeEach(async () => {
+    const testDb = createTestDatabase();
+    db = testDb.db;
+    run = testDb.run;
+    get = testDb.get;
+    all = testDb.all;
+
+    await initTestDatabase(run);
+
+    app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+
+    const csrfProtection = (req, res, next) => next();
+    const limiter = (req, res, next) => next();
+    sendVerificationEmail = jest.fn(async () => {});
+
+    registerVerificationRoutes(app, {
+      csrfProtection,
+      limiter,
+      run,
+      get,
+      sendVerificationEmail,
+    });
+  });
+
+  afterEach(async () => {
+    await cleanupDatabase(db);
+  });
+
+  test("should rotate the token and email a new link", async () => {
+    const user = await createUnverifiedUser();
+
+    const response = await request(app)
+      .post("/api/resend-verification")
+      .send({ email: user.email });
+
+    expect(response.status).toBe(200);
+    expect(sendVerificationEmail).toHaveBeenCalledTimes(1);
+    const [to, token] = sendVerificationEmail.mock.calls[0];
+    expect(to).toBe(user.email);
+    expect(token).not.toBe("old-token");
+
+    const row = await get(
+      `SELECT verification_token, verification_expires FROM users WHERE id = ?`,
+      [user.id],
+    );
+    expect(row.verification_token).toBe(token);
+    expect(row.verification_expires).toBeGreaterThan(Date.now());
+  });
+
+  test("should not resend within the cooldown", async () => {
+    const user = await createUnverifiedUser(10 * 1000);
+
+    const response = await request(app)
+      .post("/api/resend-verification")
+      .send({ email: user.email });
+
+    expect(response.status).toBe(200);
+    expect(sendVerificationEmail).not.toHaveBeenCalled();
+  });
+
+  test("should answer the same for unknown and verified emails", async () => {
+    const unverified = await createUnverifiedUser();
+    const verified = await createTestUser(run, "verified@example.com");
+
+    const first = await request(app)
+      .post("/api/resend-verification")
+      .send({ email: unverified.email });
+    const unknown = await request(app)
+      .post("/api/resend-verification")
+      .send({ email: "nobody@example.com" });
+    const alreadyVerified = await request(app)
+      .post("/api/resend-verification")
+      .send({ email: verified.email });
+
+    expect(unknown.body).toEqual(first.body);
+    expect(alreadyVerified.body).toEqual(first.body);
+    expect(sendVerificationEmail).toHaveBeenCalledTimes(1);
+  });
+
+  test("should require an email", async () => {
+    const response = await request(app)
+      .post("/api/resend-verification")
+      .send({});
+    expect(response.status).toBe(400);
+  });
+});